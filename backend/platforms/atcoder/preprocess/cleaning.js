@@ -0,0 +1,83 @@
+const cheerio = require('cheerio');
+const { cleanText, cleanURL, cleanPlatformData, runCleaningScript } = require('../../../utils/cleaning');
+const { normalizeMath } = require('../../../utils/math');
+const { ATCODER_HEADERS } = require('./scraping');
+
+/**
+ * Convert the English statement HTML of an AtCoder task to text
+ *
+ * Sample input/output sections and <pre> blocks (input formats) are dropped,
+ * as is the score line, which is already stored as the difficulty.
+ * @param {string} html - Statement HTML (span.lang-en of the task page)
+ * @returns {string} - Statement text
+ */
+function extractStatement(html) {
+    if (!html || typeof html !== 'string') {
+        return '';
+    }
+
+    const $ = cheerio.load(html);
+
+    $('section').each((i, section) => {
+        if (/^\s*Sample\s+(Input|Output)/i.test($(section).find('h3').first().text())) {
+            $(section).remove();
+        }
+    });
+    $('p').each((i, paragraph) => {
+        if (/^\s*Score\s*:/i.test($(paragraph).text())) {
+            $(paragraph).remove();
+        }
+    });
+    $('pre, h3, img, script, style').remove();
+    $('br').replaceWith(' ');
+
+    // Math is marked up as LaTeX inside <var>
+    $('var').each((i, element) => {
+        $(element).replaceWith(` ${normalizeMath($(element).text())} `);
+    });
+
+    return normalizeMath($.root().text());
+}
+
+/**
+ * Clean AtCoder problem data from CSV file
+ * @param {string} inputPath - Path to input CSV file
+ * @param {string} outputPath - Path to output CSV file (optional, defaults to input path)
+ * @returns {Promise<Object>} - Cleaning result statistics
+ */
+function cleanAtCoderData(inputPath, outputPath = null) {
+    return cleanPlatformData(inputPath, outputPath, {
+        platformName: 'AtCoder',
+        headers: ATCODER_HEADERS,
+        cleanSingleProblem
+    });
+}
+
+/**
+ * Clean individual problem fields for real-time processing
+ * @param {Object} problem - Problem object to clean
+ * @returns {Object} - Cleaned problem object
+ */
+function cleanSingleProblem(problem) {
+    return {
+        Name: cleanText(problem.Name || ''),
+        URL: cleanURL(problem.URL || ''),
+        Tag: cleanText(problem.Tag || ''),
+        Difficulty: cleanText(problem.Difficulty || ''),
+        Text: cleanText(extractStatement(problem.Text || '')),
+        Contest: cleanText(problem.Contest || ''),
+        Task: cleanText(problem.Task || '')
+    };
+}
+
+// Export functions
+module.exports = {
+    extractStatement,
+    cleanAtCoderData,
+    cleanSingleProblem
+};
+
+// Run if called directly
+if (require.main === module) {
+    runCleaningScript(cleanAtCoderData, __dirname);
+}
@@ -0,0 +1,285 @@
+const cheerio = require('cheerio');
+const fs = require('fs-extra');
+const { writeCSV, PROBLEM_HEADERS } = require('../../../utils/csv');
+const { HttpClient } = require('../../../utils/http');
+const path = require('path');
+
+// AtCoder rows also record where the task comes from
+const ATCODER_HEADERS = [
+    ...PROBLEM_HEADERS,
+    { id: 'Contest', title: 'Contest' },
+    { id: 'Task', title: 'Task' }
+];
+
+class AtCoderScraper {
+    /**
+     * @param {Object} options - Scraper options
+     * @param {string} options.fixturesDir - Read saved HTML pages from this directory instead of the network
+     * @param {Object} options.http - HttpClient options (rate, cache, offline replay)
+     */
+    constructor(options = {}) {
+        this.baseUrl = 'https://atcoder.jp';
+        this.archiveUrl = 'https://atcoder.jp/contests/archive';
+        this.fixturesDir = options.fixturesDir || null;
+        this.http = new HttpClient({ requestsPerSecond: 1, ...options.http });
+    }
+
+    /**
+     * Fetch a page, or its saved copy in fixture mode
+     * @param {string} url - Page URL
+     * @param {string} fixtureName - Fixture file name (without .html) holding the saved page
+     * @returns {Promise<CheerioAPI>} - Parsed page
+     */
+    async fetchPage(url, fixtureName) {
+        try {
+            if (this.fixturesDir) {
+                const html = await fs.readFile(path.join(this.fixturesDir, `${fixtureName}.html`), 'utf8');
+                return cheerio.load(html);
+            }
+
+            const response = await this.http.get(url, { responseType: 'text' });
+            return cheerio.load(response.data);
+        } catch (error) {
+            console.error(`Error fetching page ${url}:`, error.message);
+            throw error;
+        }
+    }
+
+    async getTotalArchivePages() {
+        const $ = await this.fetchPage(`${this.archiveUrl}?lang=en&page=1`, 'archive-1');
+
+        const lastPage = parseInt($('ul.pagination li').last().text().trim());
+        return isNaN(lastPage) ? 1 : lastPage;
+    }
+
+    /**
+     * Read contest ids from one page of the contest archive
+     * @param {number} pageNum - Archive page number
+     * @returns {Promise<Array>} - Contest ids, e.g. ['abc300', 'arc160']
+     */
+    async fetchContestIds(pageNum) {
+        console.log(`Fetching contest archive page ${pageNum}`);
+        const $ = await this.fetchPage(`${this.archiveUrl}?lang=en&page=${pageNum}`, `archive-${pageNum}`);
+
+        const contestIds = [];
+        $('table tbody tr').each((i, row) => {
+            const href = $(row).find('a[href^="/contests/"]').last().attr('href') || '';
+            const match = href.match(/^\/contests\/([^/?#]+)/);
+            if (match) {
+                contestIds.push(match[1]);
+            }
+        });
+
+        return contestIds;
+    }
+
+    /**
+     * Read the task list of a contest
+     * @param {string} contestId - Contest id
+     * @returns {Promise<Array>} - Array of {letter, name, taskId, url}
+     */
+    async fetchContestTasks(contestId) {
+        const $ = await this.fetchPage(`${this.baseUrl}/contests/${contestId}/tasks?lang=en`, `${contestId}-tasks`);
+
+        const tasks = [];
+        $('table tbody tr').each((i, row) => {
+            const cells = $(row).find('td');
+            const link = cells.eq(0).find('a');
+            const href = link.attr('href') || '';
+            const match = href.match(/\/tasks\/([^/?#]+)/);
+            if (!match) return;
+
+            tasks.push({
+                letter: link.text().trim(),
+                name: cells.eq(1).text().trim(),
+                taskId: match[1],
+                url: this.baseUrl + href
+            });
+        });
+
+        return tasks;
+    }
+
+    /**
+     * Read the English statement and point value of a task
+     * @param {Object} task - Task from fetchContestTasks
+     * @returns {Promise<Object>} - {statement (HTML), score}
+     */
+    async fetchTaskStatement(task) {
+        try {
+            const $ = await this.fetchPage(`${task.url}?lang=en`, task.taskId);
+
+            // Statements hold both languages; older contests are Japanese only
+            let statement = $('#task-statement .lang-en').first();
+            if (statement.length === 0) {
+                statement = $('#task-statement').first();
+            }
+
+            const scoreMatch = statement.text().match(/Score\s*:\s*(\d+)\s*points?/i);
+
+            return {
+                statement: statement.html() || '',
+                score: scoreMatch ? scoreMatch[1] : ''
+            };
+        } catch (error) {
+            console.error(`Error fetching statement of ${task.taskId}:`, error.message);
+            return { statement: '', score: '' };
+        }
+    }
+
+    async scrapeContest(contestId) {
+        console.log(`\n******** Fetching contest ${contestId} ********`);
+
+        const tasks = await this.fetchContestTasks(contestId);
+        const problems = [];
+
+        for (const task of tasks) {
+            console.log(`  Fetching statement for: ${task.letter} - ${task.name}`);
+            const { statement, score } = await this.fetchTaskStatement(task);
+
+            problems.push({
+                Name: task.name,
+                URL: task.url,
+                Tag: '',
+                Difficulty: score,
+                Text: statement,
+                Contest: contestId,
+                Task: task.letter
+            });
+        }
+
+        console.log(`******** Contest ${contestId} completed (${problems.length} problems) ********`);
+        return problems;
+    }
+
+    /**
+     * Scrape contests from the archive, or an explicit list of contests
+     * @param {Object} options - {contests, maxPages, maxContests}
+     * @returns {Promise<Array>} - Problem rows
+     */
+    async scrapeAllProblems(options = {}) {
+        const { contests = null, maxPages = null, maxContests = null } = options;
+
+        try {
+            console.log('Starting AtCoder scraping...');
+
+            let contestIds = contests;
+            if (!contestIds) {
+                const totalPages = await this.getTotalArchivePages();
+                const pagesToScrape = maxPages ? Math.min(maxPages, totalPages) : totalPages;
+                console.log(`Will read ${pagesToScrape} of ${totalPages} archive pages`);
+
+                contestIds = [];
+                for (let pageNum = 1; pageNum <= pagesToScrape; pageNum++) {
+                    contestIds = contestIds.concat(await this.fetchContestIds(pageNum));
+                }
+            }
+
+            if (maxContests) {
+                contestIds = contestIds.slice(0, maxContests);
+            }
+            console.log(`Will scrape ${contestIds.length} contests`);
+
+            let allProblems = [];
+            for (const contestId of contestIds) {
+                try {
+                    allProblems = allProblems.concat(await this.scrapeContest(contestId));
+                } catch (error) {
+                    console.error(`Error scraping contest ${contestId}:`, error.message);
+                }
+            }
+
+            console.log(`\n***** Scraping completed! Total problems: ${allProblems.length} *****`);
+            return allProblems;
+
+        } catch (error) {
+            console.error('Error in scrapeAllProblems:', error.message);
+            throw error;
+        }
+    }
+
+    async saveToCSV(problems, outputPath = null) {
+        try {
+            const csvPath = outputPath || path.join(__dirname, 'problems.csv');
+
+            await writeCSV(csvPath, problems, ATCODER_HEADERS);
+            console.log(`Problems saved to ${csvPath}`);
+            return csvPath;
+        } catch (error) {
+            console.error('Error saving to CSV:', error.message);
+            throw error;
+        }
+    }
+}
+
+// Function to run scraping
+async function scrapeAtCoder(options = {}) {
+    const {
+        contests = null,
+        maxPages = null,
+        maxContests = null,
+        fixturesDir = null,
+        http = {},
+        outputPath = null
+    } = options;
+
+    const scraper = new AtCoderScraper({ fixturesDir, http });
+
+    try {
+        const problems = await scraper.scrapeAllProblems({ contests, maxPages, maxContests });
+        const csvPath = await scraper.saveToCSV(problems, outputPath);
+
+        return {
+            success: true,
+            problemCount: problems.length,
+            csvPath: csvPath
+        };
+    } catch (error) {
+        console.error('Scraping failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Export for use as module or run directly
+module.exports = {
+    ATCODER_HEADERS,
+    AtCoderScraper,
+    scrapeAtCoder
+};
+
+// Run if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {
+        maxPages: 1,
+        maxContests: 5, // Limit to 5 contests for testing
+        outputPath: path.join(__dirname, 'problems.csv')
+    };
+
+    // Replay saved pages from preprocess/fixtures
+    if (args.includes('--fixtures')) {
+        options.fixturesDir = path.join(__dirname, 'fixtures');
+    }
+
+    // Cache responses in preprocess/.http-cache; --offline replays only from the cache
+    if (args.includes('--cache') || args.includes('--offline')) {
+        options.http = { cacheDir: path.join(__dirname, '.http-cache'), offline: args.includes('--offline') };
+    }
+
+    scrapeAtCoder(options)
+        .then(result => {
+            if (result.success) {
+                console.log(`\nScraping completed successfully!`);
+                console.log(`Problems scraped: ${result.problemCount}`);
+                console.log(`Saved to: ${result.csvPath}`);
+            } else {
+                console.error(`\nScraping failed: ${result.error}`);
+            }
+        })
+        .catch(error => {
+            console.error('Unexpected error:', error);
+        });
+}
@@ -1,6 +1,7 @@
 const { loadPlatformData } = require('../../../utils/storage');
 const { readProblemData } = require('../../../utils/csv');
-const { cosineSimilarityMatrix, getTopSimilar } = require('../../../utils/similarity');
+const { cosineSimilarityMatrix } = require('../../../utils/similarity');
+const InvertedIndex = require('../../../utils/invertedIndex');
 const path = require('path');
 
 /**
@@ -29,13 +30,12 @@ async function testQuery(query, topK = 10, threshold = 0.01) {
         console.log(`Problem count: ${problemData.names.length}`);
         
         // Transform query
-        const queryVector = vectorizer.transform([query.toLowerCase()]);
-        
-        // Calculate similarities
-        const similarities = cosineSimilarityMatrix(matrix, queryVector);
+        const queryVector = vectorizer.documentToSparseVector(query.toLowerCase());
         
-        // Get top results
-        const topResults = getTopSimilar(similarities, topK, threshold);
+        // Score problems through the inverted index
+        const index = InvertedIndex.fromMatrix(matrix);
+        const matches = index.search(queryVector, threshold);
+        const topResults = topK > 0 ? matches.slice(0, topK) : matches;
         
         // Format results
         const results = topResults.map(result => ({
@@ -1,23 +1,159 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
-const { writeCSV } = require('../../../utils/csv');
+const fs = require('fs-extra');
+const { readCSV, writeCSV, PROBLEM_HEADERS } = require('../../../utils/csv');
+const { HttpClient } = require('../../../utils/http');
 const path = require('path');
 
+// Codeforces rows also record the problem id, how many users solved it and
+// the statement sections besides the legend (stored in Text). Samples are a
+// JSON array of {input, output}.
+const CODEFORCES_HEADERS = [
+    ...PROBLEM_HEADERS,
+    { id: 'Contest', title: 'Contest' },
+    { id: 'Index', title: 'Index' },
+    { id: 'SolvedCount', title: 'SolvedCount' },
+    { id: 'Input', title: 'Input' },
+    { id: 'Output', title: 'Output' },
+    { id: 'TimeLimit', title: 'TimeLimit' },
+    { id: 'MemoryLimit', title: 'MemoryLimit' },
+    { id: 'Samples', title: 'Samples' },
+    { id: 'Note', title: 'Note' }
+];
+
+// Statement fields scraped from a problem page
+const STATEMENT_FIELDS = ['Text', 'Input', 'Output', 'TimeLimit', 'MemoryLimit', 'Samples', 'Note'];
+
+/**
+ * Split a problem page into its statement sections
+ * @param {CheerioAPI} $ - Parsed problem page
+ * @returns {Object} - Statement fields (see STATEMENT_FIELDS); Text is the legend
+ */
+function parseStatement($) {
+    const statement = $('#pageContent .problemindexholder .problem-statement').first();
+
+    // Text of an element without its title ("Input", "time limit per test", ...)
+    const sectionText = (selector) => {
+        const element = statement.find(selector).first().clone();
+        element.find('.section-title, .property-title').remove();
+        return element.text().replace(/\$/g, '').replace(/\s+/g, ' ').trim();
+    };
+
+    // Sample lines are either <br>-separated or one div.test-example-line per line
+    const sampleText = (pre) => {
+        const lines = pre.find('.test-example-line');
+        if (lines.length > 0) {
+            return lines.map((i, line) => $(line).text()).get().join('\n');
+        }
+        pre.find('br').replaceWith('\n');
+        return pre.text().replace(/^\n+|\s+$/g, '');
+    };
+
+    const samples = statement.find('.sample-test').first().children('.input').map((i, input) => ({
+        input: sampleText($(input).find('pre')),
+        output: sampleText($(input).next('.output').find('pre'))
+    })).get();
+
+    // The legend is the only untitled section after the header
+    const legend = statement.children('div').filter((i, element) => !$(element).attr('class')).first();
+
+    return {
+        Text: legend.text().replace(/\$/g, '').trim(),
+        Input: sectionText('.input-specification'),
+        Output: sectionText('.output-specification'),
+        TimeLimit: sectionText('.header .time-limit'),
+        MemoryLimit: sectionText('.header .memory-limit'),
+        Samples: samples.length > 0 ? JSON.stringify(samples) : '',
+        Note: sectionText('.note')
+    };
+}
+
+/**
+ * Files that let an interrupted scrape resume, stored next to problems.csv
+ * @param {string} outputPath - Path of problems.csv
+ * @returns {Object} - {checkpoint, partial, failures} file paths
+ */
+function getStatePaths(outputPath) {
+    const dir = path.dirname(outputPath);
+    const base = path.basename(outputPath, path.extname(outputPath));
+
+    return {
+        checkpoint: path.join(dir, `${base}.checkpoint.json`),
+        partial: path.join(dir, `${base}.partial.jsonl`),
+        failures: path.join(dir, `${base}.failures.json`)
+    };
+}
+
 class CodeforcesScraper {
-    constructor() {
+    /**
+     * @param {Object} options - Scraper options
+     * @param {string} options.fixturesDir - Read saved HTML pages from this directory instead of the network
+     * @param {Object} options.http - HttpClient options (rate, cache, offline replay)
+     */
+    constructor(options = {}) {
         this.baseUrl = 'https://codeforces.com';
         this.problemsetUrl = 'https://codeforces.com/problemset';
-        this.headers = {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        };
+        this.apiUrl = 'https://codeforces.com/api/problemset.problems';
+        this.fixturesDir = options.fixturesDir || null;
+        this.http = new HttpClient({ requestsPerSecond: 2, ...options.http });
+        // Statements already scraped, by URL (see loadKnownProblems)
+        this.knownStatements = new Map();
+        // Resume state (see startRun)
+        this.statePaths = null;
+        this.doneUrls = new Set();
+        this.failures = [];
+    }
+
+    /**
+     * Load statements from a previous problems.csv so they are not fetched again
+     * @param {string} csvPath - Path to a previous problems.csv
+     * @returns {Promise<number>} - Number of known statements
+     */
+    async loadKnownProblems(csvPath) {
+        if (!await fs.pathExists(csvPath)) {
+            return 0;
+        }
+
+        const problems = await readCSV(csvPath);
+        problems.forEach(problem => {
+            // Empty statements are failed fetches and are retried
+            if (problem.URL && problem.Text) {
+                const statement = {};
+                STATEMENT_FIELDS.forEach(field => {
+                    statement[field] = problem[field] || '';
+                });
+                this.knownStatements.set(problem.URL, statement);
+            }
+        });
+
+        console.log(`Loaded ${this.knownStatements.size} known statements from ${csvPath}`);
+        return this.knownStatements.size;
+    }
+
+    /**
+     * Fixture file holding the saved copy of a page
+     * @param {string} url - Page URL
+     * @returns {string} - Fixture file path
+     */
+    fixturePath(url) {
+        const { pathname, searchParams } = new URL(url);
+
+        const problem = pathname.match(/\/problemset\/problem\/(\d+)\/(\w+)/);
+        if (problem) {
+            return path.join(this.fixturesDir, `problem-${problem[1]}-${problem[2]}.html`);
+        }
+
+        const page = pathname.match(/\/problemset\/page\/(\d+)/);
+        const order = searchParams.get('order') || 'BY_RATING_ASC';
+        return path.join(this.fixturesDir, `problemset-${order}-${page ? page[1] : 1}.html`);
     }
 
     async fetchPage(url) {
         try {
-            const response = await axios.get(url, { 
-                headers: this.headers,
-                timeout: 10000 
-            });
+            if (this.fixturesDir) {
+                return cheerio.load(await fs.readFile(this.fixturePath(url), 'utf8'));
+            }
+
+            const response = await this.http.get(url, { responseType: 'text' });
             return cheerio.load(response.data);
         } catch (error) {
             console.error(`Error fetching page ${url}:`, error.message);
@@ -25,110 +161,327 @@ class CodeforcesScraper {
         }
     }
 
-    async fetchProblemText(url) {
+    /**
+     * Fetch the statement of a problem
+     * @param {string} url - Problem URL
+     * @returns {Promise<Object>} - Statement fields (legend in Text, see parseStatement)
+     * @throws {Error} - If the page cannot be fetched or has no statement
+     */
+    async fetchProblemStatement(url) {
+        const statement = parseStatement(await this.fetchPage(url));
+
+        if (!statement.Text) {
+            throw new Error('Problem statement not found');
+        }
+
+        return statement;
+    }
+
+    /**
+     * Start or resume a scrape that writes to outputPath
+     * @param {string} outputPath - Path of problems.csv
+     * @param {Object} run - Options identifying the scrape, e.g. {source, order, maxPages}
+     * @param {boolean} resume - Resume from a matching checkpoint if one exists
+     * @returns {Promise<Object>} - Checkpoint {run, completedPages}
+     */
+    async startRun(outputPath, run, resume = true) {
+        this.statePaths = getStatePaths(outputPath);
+        this.doneUrls = new Set();
+        this.failures = [];
+
+        const { checkpoint: checkpointPath, partial, failures } = this.statePaths;
+        const checkpoint = resume && await fs.pathExists(checkpointPath) ? await fs.readJson(checkpointPath) : null;
+
+        if (checkpoint && JSON.stringify(checkpoint.run) === JSON.stringify(run)) {
+            (await this.readPartialProblems()).forEach(problem => this.doneUrls.add(problem.URL));
+            this.failures = await fs.pathExists(failures) ? await fs.readJson(failures) : [];
+            console.log(`Resuming after page ${checkpoint.completedPages} (${this.doneUrls.size} problems, ${this.failures.length} failures so far)`);
+            return checkpoint;
+        }
+
+        // Start from scratch
+        await Promise.all([fs.remove(checkpointPath), fs.remove(partial), fs.remove(failures)]);
+        const fresh = { run, completedPages: 0, startedAt: new Date().toISOString() };
+        await fs.outputJson(checkpointPath, fresh);
+        return fresh;
+    }
+
+    // Problems saved so far in this run
+    async readPartialProblems() {
+        if (!this.statePaths || !await fs.pathExists(this.statePaths.partial)) {
+            return [];
+        }
+
+        const content = await fs.readFile(this.statePaths.partial, 'utf8');
+        return content.split('\n')
+            .filter(line => line.trim().length > 0)
+            .map(line => JSON.parse(line));
+    }
+
+    // Persist a scraped problem immediately so a crash does not lose it
+    async saveProblem(problem) {
+        this.doneUrls.add(problem.URL);
+        if (this.statePaths) {
+            await fs.appendFile(this.statePaths.partial, JSON.stringify(problem) + '\n');
+        }
+
+        // A page refetched after a crash may recover a problem that failed before
+        if (this.failures.some(failure => failure.URL === problem.URL)) {
+            this.failures = this.failures.filter(failure => failure.URL !== problem.URL);
+            if (this.statePaths) {
+                await fs.outputJson(this.statePaths.failures, this.failures, { spaces: 2 });
+            }
+        }
+    }
+
+    // Record a problem whose statement could not be fetched
+    async recordFailure(problem, error) {
+        const existing = this.failures.find(failure => failure.URL === problem.URL);
+        if (existing) {
+            existing.attempts++;
+            existing.error = error.message;
+        } else {
+            this.failures.push({ ...problem, attempts: 1, error: error.message });
+        }
+
+        if (this.statePaths) {
+            await fs.outputJson(this.statePaths.failures, this.failures, { spaces: 2 });
+        }
+    }
+
+    async saveCheckpoint(checkpoint) {
+        checkpoint.updatedAt = new Date().toISOString();
+        if (this.statePaths) {
+            await fs.outputJson(this.statePaths.checkpoint, checkpoint);
+        }
+    }
+
+    /**
+     * Fetch the statement of a listed problem and save it
+     * @param {Object} problem - Problem row without Text
+     * @returns {Promise<Object|null>} - Saved problem, or null if it was already saved or its statement failed
+     */
+    async collectProblem(problem) {
+        // Already saved before a restart
+        if (this.doneUrls.has(problem.URL)) return null;
+
+        // Statements rarely change; only fetch new problems
+        if (this.knownStatements.has(problem.URL)) {
+            Object.assign(problem, this.knownStatements.get(problem.URL));
+            await this.saveProblem(problem);
+            return problem;
+        }
+
+        // Fetch problem statement
+        console.log(`  Fetching statement for: ${problem.Name}`);
+        let saved = null;
         try {
-            const $ = await this.fetchPage(url);
-            
-            // Try to extract problem text from the main content area
-            const textElement = $('#pageContent .problemindexholder .ttypography > div > div').eq(1);
-            let text = textElement.text() || '';
-            
-            // Clean up the text
-            text = text.replace(/\$/g, '').trim();
-            
-            return text;
+            Object.assign(problem, await this.fetchProblemStatement(problem.URL));
+            await this.saveProblem(problem);
+            saved = problem;
         } catch (error) {
-            console.error(`Error fetching problem text from ${url}:`, error.message);
-            return '';
+            console.error(`  Failed to fetch ${problem.URL}: ${error.message}`);
+            await this.recordFailure(problem, error);
         }
+
+        return saved;
     }
 
-    async fetchProblemsFromPage(pageUrl) {
+    /**
+     * Load the problemset in the Codeforces API format
+     * @param {string} source - API URL or path to a saved problemset.problems response
+     * @returns {Promise<Object>} - API result {problems, problemStatistics}
+     */
+    async fetchProblemset(source = this.apiUrl) {
         try {
-            console.log(`Fetching problems from: ${pageUrl}`);
-            const $ = await this.fetchPage(pageUrl);
-            const problems = [];
+            let body;
+            if (/^https?:\/\//.test(source)) {
+                const response = await this.http.get(source, { timeout: 30000 });
+                body = response.data;
+            } else {
+                body = await fs.readJson(source);
+            }
 
-            // Find all problem rows in the table
-            const problemRows = $('tr').filter((i, el) => {
-                return $(el).find('[style="float: left;"]').length > 0;
+            if (body.status !== 'OK') {
+                throw new Error(body.comment || 'Codeforces API request failed');
+            }
+            return body.result;
+        } catch (error) {
+            console.error(`Error loading problemset from ${source}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert an API problemset to problem rows (without statements)
+     * @param {Object} problemset - API result {problems, problemStatistics}
+     * @returns {Array} - Problem rows in API order
+     */
+    problemsFromAPI(problemset) {
+        const solvedCounts = new Map();
+        (problemset.problemStatistics || []).forEach(stats => {
+            solvedCounts.set(`${stats.contestId}/${stats.index}`, stats.solvedCount);
+        });
+
+        return (problemset.problems || [])
+            .filter(problem => problem.contestId && problem.index)
+            .map(problem => {
+                const id = `${problem.contestId}/${problem.index}`;
+                return {
+                    Name: problem.name,
+                    URL: `${this.problemsetUrl}/problem/${id}`,
+                    Tag: (problem.tags || []).join(', '),
+                    Difficulty: problem.rating ? String(problem.rating) : '',
+                    Text: '',
+                    Contest: String(problem.contestId),
+                    Index: problem.index,
+                    SolvedCount: solvedCounts.has(id) ? String(solvedCounts.get(id)) : ''
+                };
             });
+    }
 
-            for (let i = 0; i < problemRows.length; i++) {
-                const row = $(problemRows[i]);
-                
-                try {
-                    // Extract problem name
-                    const nameElement = row.find('[style="float: left;"]');
-                    if (nameElement.length === 0) continue;
-                    
-                    let name = nameElement.text().replace(/\n/g, '').trim();
-                    if (name.startsWith('A') || name.startsWith('B') || name.startsWith('C') || 
-                        name.startsWith('D') || name.startsWith('E') || name.startsWith('F')) {
-                        name = name.substring(1).trim(); // Remove letter prefix
-                    }
-
-                    // Extract problem URL
-                    const linkElement = row.find('a').first();
-                    if (linkElement.length === 0) continue;
-                    
-                    const relativeUrl = linkElement.attr('href');
-                    const url = this.baseUrl + relativeUrl;
-
-                    // Extract tags
-                    const tagElement = row.find('.notice');
-                    const tag = tagElement.length > 0 ? tagElement.text().trim() : '';
-
-                    // Extract difficulty
-                    const difficultyElement = row.find('.ProblemRating');
-                    let difficulty = '';
-                    if (difficultyElement.length > 0) {
-                        difficulty = difficultyElement.text().trim();
-                    }
-
-                    // Fetch problem text
-                    console.log(`  Fetching text for: ${name}`);
-                    const text = await this.fetchProblemText(url);
-
-                    problems.push({
-                        Name: name,
-                        URL: url,
-                        Tag: tag,
-                        Difficulty: difficulty,
-                        Text: text
-                    });
-
-                    // Add delay to avoid overwhelming the server
-                    await new Promise(resolve => setTimeout(resolve, 500));
-
-                } catch (error) {
-                    console.error(`Error processing problem row:`, error.message);
-                    continue;
-                }
+    /**
+     * Ingest the problemset from the API format, fetching statements from HTML
+     * @param {Object} options - {source, maxProblems, outputPath, resume, retries}
+     * @returns {Promise<Object>} - {problems, failures}; failed problems are included without text
+     */
+    async scrapeFromAPI(options = {}) {
+        const {
+            source = this.apiUrl,
+            maxProblems = null,
+            outputPath = path.join(__dirname, 'problems.csv'),
+            resume = true,
+            retries = 1
+        } = options;
+
+        try {
+            console.log(`Starting Codeforces API ingestion from ${source}...`);
+
+            let listed = this.problemsFromAPI(await this.fetchProblemset(source));
+            console.log(`Total problems found: ${listed.length}`);
+
+            if (maxProblems) {
+                listed = listed.slice(0, maxProblems);
             }
+            console.log(`Will fetch statements for ${listed.length} problems`);
+
+            const checkpoint = await this.startRun(outputPath, { source: 'api', maxProblems }, resume);
+
+            // The whole list is a single page; progress is kept per problem
+            for (const problem of listed) {
+                await this.collectProblem(problem);
+            }
+            checkpoint.completedPages = 1;
+            await this.saveCheckpoint(checkpoint);
+
+            return this.finishScrape(retries);
 
-            return problems;
         } catch (error) {
-            console.error(`Error fetching problems from page ${pageUrl}:`, error.message);
-            return [];
+            console.error('Error in scrapeFromAPI:', error.message);
+            throw error;
         }
     }
 
+    /**
+     * Retry failed problems and collect every problem of the run
+     * @param {number} retries - Number of retry passes
+     * @returns {Promise<Object>} - {problems, failures}; failed problems are included without text
+     */
+    async finishScrape(retries) {
+        // Failures saved since (e.g. on a page refetched after a crash) are not failing anymore
+        this.failures = this.failures.filter(failure => !this.doneUrls.has(failure.URL));
+
+        for (let attempt = 0; attempt < retries && this.failures.length > 0; attempt++) {
+            await this.retryFailures();
+        }
+
+        const allProblems = (await this.readPartialProblems())
+            .concat(this.failures.map(({ attempts, error, ...problem }) => problem));
+
+        console.log(`\n***** Scraping completed! Total problems: ${allProblems.length} (${this.failures.length} without statement) *****`);
+        return { problems: allProblems, failures: this.failures };
+    }
+
+    async fetchProblemsFromPage(pageUrl) {
+        console.log(`Fetching problems from: ${pageUrl}`);
+        const $ = await this.fetchPage(pageUrl);
+        const problems = [];
+
+        // Find all problem rows in the table
+        const problemRows = $('tr').filter((i, el) => {
+            return $(el).find('[style="float: left;"]').length > 0;
+        });
+
+        for (let i = 0; i < problemRows.length; i++) {
+            const row = $(problemRows[i]);
+
+            // Extract problem name
+            const nameElement = row.find('[style="float: left;"]');
+            if (nameElement.length === 0) continue;
+
+            let name = nameElement.text().replace(/\n/g, '').trim();
+
+            // Extract problem URL
+            const linkElement = row.find('a').first();
+            if (linkElement.length === 0) continue;
+
+            const relativeUrl = linkElement.attr('href');
+            const url = this.baseUrl + relativeUrl;
+            const [, contestId = '', index = ''] = relativeUrl.match(/\/problem\/(\d+)\/(\w+)/) || [];
+
+            // Older layouts prefix the name with the problem index ("G. Name")
+            const prefix = name.match(/^(\w+)\.\s*(.*)$/);
+            if (prefix && index && prefix[1] === index) {
+                name = prefix[2];
+            }
+
+            // Extract tags (one .notice link per tag)
+            const tag = row.find('.notice')
+                .map((j, el) => $(el).text().trim())
+                .get()
+                .filter(text => text.length > 0)
+                .join(', ');
+
+            // Extract difficulty
+            const difficultyElement = row.find('.ProblemRating');
+            let difficulty = '';
+            if (difficultyElement.length > 0) {
+                difficulty = difficultyElement.text().trim();
+            }
+
+            const problem = await this.collectProblem({
+                Name: name,
+                URL: url,
+                Tag: tag,
+                Difficulty: difficulty,
+                Text: '',
+                Contest: contestId,
+                Index: index,
+                SolvedCount: ''
+            });
+            if (problem) {
+                problems.push(problem);
+            }
+        }
+
+        return problems;
+    }
+
     async getTotalPages(order = 'BY_RATING_ASC') {
         try {
             const url = `${this.problemsetUrl}?order=${order}`;
             const $ = await this.fetchPage(url);
-            
+
             const paginationElement = $('.pagination li').eq(-2);
             if (paginationElement.length === 0) {
                 throw new Error('Could not find pagination information');
             }
-            
+
             const totalPages = parseInt(paginationElement.text().trim());
             if (isNaN(totalPages)) {
                 throw new Error('Could not parse total pages number');
             }
-            
+
             return totalPages;
         } catch (error) {
             console.error('Error getting total pages:', error.message);
@@ -136,33 +489,73 @@ class CodeforcesScraper {
         }
     }
 
-    async scrapeAllProblems(order = 'BY_RATING_ASC', maxPages = null) {
+    /**
+     * Fetch statements of failed problems again
+     * @returns {Promise<Array>} - Problems recovered in this pass
+     */
+    async retryFailures() {
+        if (this.failures.length === 0) return [];
+
+        console.log(`\nRetrying ${this.failures.length} failed problems...`);
+        const recovered = [];
+
+        for (const failure of [...this.failures]) {
+            const { attempts, error, ...problem } = failure;
+            try {
+                Object.assign(problem, await this.fetchProblemStatement(problem.URL));
+                await this.saveProblem(problem);
+                recovered.push(problem);
+            } catch (retryError) {
+                console.error(`  Retry failed for ${problem.URL}: ${retryError.message}`);
+                await this.recordFailure(problem, retryError);
+            }
+        }
+
+        if (this.statePaths) {
+            await fs.outputJson(this.statePaths.failures, this.failures, { spaces: 2 });
+        }
+
+        console.log(`Recovered ${recovered.length} problems, ${this.failures.length} still failing`);
+        return recovered;
+    }
+
+    /**
+     * Scrape the problemset, persisting progress after every problem and page
+     * @param {string} order - Problemset order
+     * @param {number} maxPages - Maximum number of pages (null for all)
+     * @param {Object} options - {outputPath, resume, retries}
+     * @returns {Promise<Object>} - {problems, failures}; failed problems are included without text
+     */
+    async scrapeAllProblems(order = 'BY_RATING_ASC', maxPages = null, options = {}) {
+        const {
+            outputPath = path.join(__dirname, 'problems.csv'),
+            resume = true,
+            retries = 1
+        } = options;
+
         try {
             console.log('Starting Codeforces scraping...');
-            
+
             const totalPages = await this.getTotalPages(order);
             console.log(`Total pages found: ${totalPages}`);
-            
+
             const pagesToScrape = maxPages ? Math.min(maxPages, totalPages) : totalPages;
             console.log(`Will scrape ${pagesToScrape} pages`);
 
-            let allProblems = [];
+            const checkpoint = await this.startRun(outputPath, { source: 'html', order, maxPages }, resume);
 
-            for (let pageNum = 1; pageNum <= pagesToScrape; pageNum++) {
+            for (let pageNum = checkpoint.completedPages + 1; pageNum <= pagesToScrape; pageNum++) {
                 console.log(`\n******** Fetching Page ${pageNum}/${pagesToScrape} ********`);
-                
+
                 const pageUrl = `${this.problemsetUrl}/page/${pageNum}?order=${order}`;
                 const problems = await this.fetchProblemsFromPage(pageUrl);
-                
-                allProblems = allProblems.concat(problems);
+
+                checkpoint.completedPages = pageNum;
+                await this.saveCheckpoint(checkpoint);
                 console.log(`******** Page ${pageNum} completed (${problems.length} problems) ********`);
-                
-                // Add delay between pages
-                await new Promise(resolve => setTimeout(resolve, 1000));
             }
 
-            console.log(`\n***** Scraping completed! Total problems: ${allProblems.length} *****`);
-            return allProblems;
+            return this.finishScrape(retries);
 
         } catch (error) {
             console.error('Error in scrapeAllProblems:', error.message);
@@ -170,19 +563,24 @@ class CodeforcesScraper {
         }
     }
 
+    /**
+     * Remove the checkpoint and partial results once problems.csv is written.
+     * The failure log is kept while problems are still failing.
+     */
+    async finishRun() {
+        if (!this.statePaths) return;
+
+        await Promise.all([fs.remove(this.statePaths.checkpoint), fs.remove(this.statePaths.partial)]);
+        if (this.failures.length === 0) {
+            await fs.remove(this.statePaths.failures);
+        }
+    }
+
     async saveToCSV(problems, outputPath = null) {
         try {
             const csvPath = outputPath || path.join(__dirname, 'problems.csv');
-            
-            const headers = [
-                { id: 'Name', title: 'Name' },
-                { id: 'URL', title: 'URL' },
-                { id: 'Tag', title: 'Tag' },
-                { id: 'Difficulty', title: 'Difficulty' },
-                { id: 'Text', title: 'Text' }
-            ];
-
-            await writeCSV(csvPath, problems, headers);
+
+            await writeCSV(csvPath, problems, CODEFORCES_HEADERS);
             console.log(`Problems saved to ${csvPath}`);
             return csvPath;
         } catch (error) {
@@ -195,20 +593,50 @@ class CodeforcesScraper {
 // Function to run scraping
 async function scrapeCodeforces(options = {}) {
     const {
+        source = 'html',
         order = 'BY_RATING_ASC',
         maxPages = null,
-        outputPath = null
+        apiSource = null,
+        maxProblems = null,
+        outputPath = path.join(__dirname, 'problems.csv'),
+        incremental = false,
+        resume = true,
+        retries = 1,
+        fixturesDir = null,
+        http = {}
     } = options;
 
-    const scraper = new CodeforcesScraper();
-    
+    const scraper = new CodeforcesScraper({ fixturesDir, http });
+
     try {
-        const problems = await scraper.scrapeAllProblems(order, maxPages);
+        // Reuse statements from the previous run instead of refetching them
+        if (incremental) {
+            await scraper.loadKnownProblems(outputPath);
+        }
+
+        let scrapeResult;
+        if (source === 'api') {
+            // Fixture runs read the saved API response next to the saved pages
+            const savedResponse = fixturesDir ? path.join(fixturesDir, 'problemset.problems.json') : undefined;
+            scrapeResult = await scraper.scrapeFromAPI({
+                source: apiSource || savedResponse,
+                maxProblems,
+                outputPath,
+                resume,
+                retries
+            });
+        } else {
+            scrapeResult = await scraper.scrapeAllProblems(order, maxPages, { outputPath, resume, retries });
+        }
+
+        const { problems, failures } = scrapeResult;
         const csvPath = await scraper.saveToCSV(problems, outputPath);
-        
+        await scraper.finishRun();
+
         return {
             success: true,
             problemCount: problems.length,
+            failureCount: failures.length,
             csvPath: csvPath
         };
     } catch (error) {
@@ -220,26 +648,116 @@ async function scrapeCodeforces(options = {}) {
     }
 }
 
+/**
+ * Retry only the problems in the failure log of a finished scrape
+ * @param {Object} options - {outputPath, fixturesDir, http}
+ * @returns {Promise<Object>} - Result with recovered and remaining failure counts
+ */
+async function retryFailedProblems(options = {}) {
+    const {
+        outputPath = path.join(__dirname, 'problems.csv'),
+        fixturesDir = null,
+        http = {}
+    } = options;
+
+    const scraper = new CodeforcesScraper({ fixturesDir, http });
+    const { failures: failuresPath } = getStatePaths(outputPath);
+
+    try {
+        if (!await fs.pathExists(failuresPath)) {
+            console.log('No failure log found, nothing to retry');
+            return { success: true, recovered: 0, failureCount: 0 };
+        }
+
+        scraper.failures = await fs.readJson(failuresPath);
+        scraper.statePaths = getStatePaths(outputPath);
+
+        const recovered = await scraper.retryFailures();
+        const recoveredProblems = new Map(recovered.map(problem => [problem.URL, problem]));
+
+        // Fill in the recovered statements
+        const problems = await readCSV(outputPath);
+        problems.forEach(problem => {
+            const recoveredProblem = recoveredProblems.get(problem.URL);
+            if (recoveredProblem) {
+                STATEMENT_FIELDS.forEach(field => {
+                    problem[field] = recoveredProblem[field];
+                });
+            }
+        });
+
+        await scraper.saveToCSV(problems, outputPath);
+        await scraper.finishRun();
+
+        return {
+            success: true,
+            recovered: recovered.length,
+            failureCount: scraper.failures.length
+        };
+    } catch (error) {
+        console.error('Retry failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
 // Export for use as module or run directly
 module.exports = {
+    CODEFORCES_HEADERS,
     CodeforcesScraper,
-    scrapeCodeforces
+    getStatePaths,
+    parseStatement,
+    scrapeCodeforces,
+    retryFailedProblems
 };
 
 // Run if called directly
 if (require.main === module) {
+    const args = process.argv.slice(2);
     const options = {
         order: 'BY_RATING_ASC',
         maxPages: 2, // Limit to 2 pages for testing
-        outputPath: path.join(__dirname, 'problems.csv')
+        outputPath: path.join(__dirname, 'problems.csv'),
+        resume: !args.includes('--restart')
     };
-    
-    scrapeCodeforces(options)
+
+    // Replay saved pages from preprocess/fixtures
+    if (args.includes('--fixtures')) {
+        options.fixturesDir = path.join(__dirname, 'fixtures');
+    }
+
+    // Cache responses in preprocess/.http-cache; --offline replays only from the cache
+    if (args.includes('--cache') || args.includes('--offline')) {
+        options.http = { cacheDir: path.join(__dirname, '.http-cache'), offline: args.includes('--offline') };
+    }
+
+    // Ingest the API problemset (from the API or --api-file) instead of the HTML tables
+    const sourceIndex = args.indexOf('--source');
+    if (sourceIndex !== -1 && args[sourceIndex + 1]) {
+        options.source = args[sourceIndex + 1];
+    }
+
+    const apiFileIndex = args.indexOf('--api-file');
+    if (apiFileIndex !== -1 && args[apiFileIndex + 1]) {
+        options.source = 'api';
+        options.apiSource = path.resolve(args[apiFileIndex + 1]);
+    }
+
+    const run = args.includes('--retry-failures') ? retryFailedProblems(options) : scrapeCodeforces(options);
+
+    run
         .then(result => {
             if (result.success) {
                 console.log(`\nScraping completed successfully!`);
-                console.log(`Problems scraped: ${result.problemCount}`);
-                console.log(`Saved to: ${result.csvPath}`);
+                if (result.problemCount !== undefined) {
+                    console.log(`Problems scraped: ${result.problemCount}`);
+                    console.log(`Saved to: ${result.csvPath}`);
+                } else {
+                    console.log(`Problems recovered: ${result.recovered}`);
+                }
+                console.log(`Problems still failing: ${result.failureCount}`);
             } else {
                 console.error(`\nScraping failed: ${result.error}`);
             }
@@ -0,0 +1,90 @@
+const { cleanText, cleanURL, cleanPlatformData, runCleaningScript } = require('../../../utils/cleaning');
+const { normalizeMath } = require('../../../utils/math');
+const { DMOJ_HEADERS } = require('./scraping');
+
+/**
+ * Convert a DMOJ Markdown statement to text
+ *
+ * Sections whose heading mentions a sample (sample input/output and their
+ * explanations) are dropped along with code blocks. Math between ~ or $
+ * delimiters is normalized to searchable words (see utils/math).
+ * @param {string} markdown - Problem description
+ * @returns {string} - Statement text
+ */
+function extractStatement(markdown) {
+    if (!markdown || typeof markdown !== 'string') {
+        return '';
+    }
+
+    const lines = [];
+    let inSample = false;
+    let inFence = false;
+
+    for (const line of markdown.split(/\r?\n/)) {
+        const heading = line.match(/^\s{0,3}#{1,6}\s+(.*)$/);
+        if (heading && !inFence) {
+            inSample = /sample/i.test(heading[1]);
+            continue; // Headings are boilerplate ("Input Specification")
+        }
+
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+
+        // Skip samples, fenced code and indented code blocks
+        if (inSample || inFence || /^( {4}|\t)/.test(line)) continue;
+
+        lines.push(line);
+    }
+
+    return lines.join('\n')
+        .replace(/~([^~]*)~/g, (match, math) => ` ${normalizeMath(math)} `)
+        .replace(/\$([^$]*)\$/g, (match, math) => ` ${normalizeMath(math)} `)
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')          // Remove images
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')        // Keep link text only
+        .replace(/<[^>]+>/g, ' ')                       // Remove inline HTML
+        .replace(/[*_`]+/g, '');                        // Remove emphasis and code markers
+}
+
+/**
+ * Clean DMOJ problem data from CSV file
+ * @param {string} inputPath - Path to input CSV file
+ * @param {string} outputPath - Path to output CSV file (optional, defaults to input path)
+ * @returns {Promise<Object>} - Cleaning result statistics
+ */
+function cleanDMOJData(inputPath, outputPath = null) {
+    return cleanPlatformData(inputPath, outputPath, {
+        platformName: 'DMOJ',
+        headers: DMOJ_HEADERS,
+        cleanSingleProblem
+    });
+}
+
+/**
+ * Clean individual problem fields for real-time processing
+ * @param {Object} problem - Problem object to clean
+ * @returns {Object} - Cleaned problem object
+ */
+function cleanSingleProblem(problem) {
+    return {
+        Name: cleanText(problem.Name || ''),
+        URL: cleanURL(problem.URL || ''),
+        Tag: cleanText(problem.Tag || ''),
+        Difficulty: cleanText(problem.Difficulty || ''),
+        Text: cleanText(extractStatement(problem.Text || '')),
+        Group: cleanText(problem.Group || '')
+    };
+}
+
+// Export functions
+module.exports = {
+    extractStatement,
+    cleanDMOJData,
+    cleanSingleProblem
+};
+
+// Run if called directly
+if (require.main === module) {
+    runCleaningScript(cleanDMOJData, __dirname);
+}
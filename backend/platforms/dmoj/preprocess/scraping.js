@@ -0,0 +1,208 @@
+const fs = require('fs-extra');
+const { writeCSV, PROBLEM_HEADERS } = require('../../../utils/csv');
+const { HttpClient } = require('../../../utils/http');
+const path = require('path');
+
+// DMOJ rows also record the problem group (category)
+const DMOJ_HEADERS = [
+    ...PROBLEM_HEADERS,
+    { id: 'Group', title: 'Group' }
+];
+
+class DMOJScraper {
+    /**
+     * @param {Object} options - Scraper options
+     * @param {string} options.fixturesDir - Read saved API responses from this directory instead of the network
+     * @param {Object} options.http - HttpClient options (rate, cache, offline replay)
+     */
+    constructor(options = {}) {
+        this.baseUrl = 'https://dmoj.ca';
+        this.apiUrl = 'https://dmoj.ca/api/v2';
+        this.fixturesDir = options.fixturesDir || null;
+        this.http = new HttpClient({ requestsPerSecond: 2, ...options.http });
+    }
+
+    /**
+     * Call the DMOJ API, or read its saved response in fixture mode
+     * @param {string} endpoint - API path, e.g. "/problems?page=1"
+     * @param {string} fixtureName - Fixture file name (without .json) holding the saved response
+     * @returns {Promise<Object>} - Response data
+     */
+    async fetchAPI(endpoint, fixtureName) {
+        try {
+            let body;
+            if (this.fixturesDir) {
+                body = await fs.readJson(path.join(this.fixturesDir, `${fixtureName}.json`));
+            } else {
+                const response = await this.http.get(this.apiUrl + endpoint);
+                body = response.data;
+            }
+
+            if (body.error) {
+                throw new Error(body.error.message || 'DMOJ API error');
+            }
+            return body.data;
+        } catch (error) {
+            console.error(`Error fetching DMOJ ${endpoint}:`, error.message);
+            throw error;
+        }
+    }
+
+    async fetchProblemList(pageNum) {
+        console.log(`Fetching problem list page ${pageNum}`);
+        return this.fetchAPI(`/problems?page=${pageNum}`, `problems-${pageNum}`);
+    }
+
+    async fetchProblemDetails(code) {
+        try {
+            const data = await this.fetchAPI(`/problem/${encodeURIComponent(code)}`, `problem-${code}`);
+            return data.object;
+        } catch (error) {
+            console.error(`Error fetching problem ${code}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Convert a problem to a problems.csv row
+     * @param {Object} problem - Problem list entry
+     * @param {Object|null} details - Problem details (null if they could not be fetched)
+     * @returns {Object} - Problem row
+     */
+    toProblem(problem, details) {
+        const source = details || problem;
+
+        return {
+            Name: source.name,
+            URL: `${this.baseUrl}/problem/${problem.code}`,
+            Tag: (source.types || []).join(', '),
+            Difficulty: source.points !== undefined && source.points !== null ? String(source.points) : '',
+            Text: (details && details.description) || '',
+            Group: source.group || ''
+        };
+    }
+
+    async scrapeAllProblems(maxPages = null, maxProblems = null) {
+        try {
+            console.log('Starting DMOJ scraping...');
+
+            const firstPage = await this.fetchProblemList(1);
+            const totalPages = firstPage.total_pages || 1;
+            console.log(`Total problems found: ${firstPage.total_objects} (${totalPages} pages)`);
+
+            const pagesToScrape = maxPages ? Math.min(maxPages, totalPages) : totalPages;
+            console.log(`Will read ${pagesToScrape} pages`);
+
+            let problemList = firstPage.objects;
+            for (let pageNum = 2; pageNum <= pagesToScrape; pageNum++) {
+                const page = await this.fetchProblemList(pageNum);
+                problemList = problemList.concat(page.objects);
+            }
+
+            // Organization problems are only visible to their members
+            problemList = problemList.filter(problem => !problem.is_organization_private);
+            if (maxProblems) {
+                problemList = problemList.slice(0, maxProblems);
+            }
+            console.log(`Will scrape ${problemList.length} problems`);
+
+            const allProblems = [];
+            for (const problem of problemList) {
+                console.log(`  Fetching statement for: ${problem.name}`);
+                const details = await this.fetchProblemDetails(problem.code);
+                allProblems.push(this.toProblem(problem, details));
+            }
+
+            console.log(`\n***** Scraping completed! Total problems: ${allProblems.length} *****`);
+            return allProblems;
+
+        } catch (error) {
+            console.error('Error in scrapeAllProblems:', error.message);
+            throw error;
+        }
+    }
+
+    async saveToCSV(problems, outputPath = null) {
+        try {
+            const csvPath = outputPath || path.join(__dirname, 'problems.csv');
+
+            await writeCSV(csvPath, problems, DMOJ_HEADERS);
+            console.log(`Problems saved to ${csvPath}`);
+            return csvPath;
+        } catch (error) {
+            console.error('Error saving to CSV:', error.message);
+            throw error;
+        }
+    }
+}
+
+// Function to run scraping
+async function scrapeDMOJ(options = {}) {
+    const {
+        maxPages = null,
+        maxProblems = null,
+        fixturesDir = null,
+        http = {},
+        outputPath = null
+    } = options;
+
+    const scraper = new DMOJScraper({ fixturesDir, http });
+
+    try {
+        const problems = await scraper.scrapeAllProblems(maxPages, maxProblems);
+        const csvPath = await scraper.saveToCSV(problems, outputPath);
+
+        return {
+            success: true,
+            problemCount: problems.length,
+            csvPath: csvPath
+        };
+    } catch (error) {
+        console.error('Scraping failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Export for use as module or run directly
+module.exports = {
+    DMOJ_HEADERS,
+    DMOJScraper,
+    scrapeDMOJ
+};
+
+// Run if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {
+        maxPages: 1,
+        maxProblems: 100, // Limit to 100 problems for testing
+        outputPath: path.join(__dirname, 'problems.csv')
+    };
+
+    // Replay saved responses from preprocess/fixtures
+    if (args.includes('--fixtures')) {
+        options.fixturesDir = path.join(__dirname, 'fixtures');
+    }
+
+    // Cache responses in preprocess/.http-cache; --offline replays only from the cache
+    if (args.includes('--cache') || args.includes('--offline')) {
+        options.http = { cacheDir: path.join(__dirname, '.http-cache'), offline: args.includes('--offline') };
+    }
+
+    scrapeDMOJ(options)
+        .then(result => {
+            if (result.success) {
+                console.log(`\nScraping completed successfully!`);
+                console.log(`Problems scraped: ${result.problemCount}`);
+                console.log(`Saved to: ${result.csvPath}`);
+            } else {
+                console.error(`\nScraping failed: ${result.error}`);
+            }
+        })
+        .catch(error => {
+            console.error('Unexpected error:', error);
+        });
+}
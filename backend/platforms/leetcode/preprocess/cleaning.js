@@ -0,0 +1,90 @@
+const cheerio = require('cheerio');
+const { cleanText, cleanURL, cleanPlatformData, runCleaningScript } = require('../../../utils/cleaning');
+const { normalizeMath } = require('../../../utils/math');
+const { LEETCODE_HEADERS } = require('./scraping');
+
+/**
+ * Convert LeetCode problem HTML to the statement text, with math normalized
+ *
+ * Examples and constraints come after the first "Example 1:" heading and are
+ * dropped, since their sample data only adds noise to the index.
+ * @param {string} html - Problem content HTML
+ * @returns {string} - Statement text
+ */
+function extractStatement(html) {
+    if (!html || typeof html !== 'string') {
+        return '';
+    }
+
+    const $ = cheerio.load(html);
+    $('pre, img, script, style').remove();
+    $('br').replaceWith(' ');
+
+    // Powers are written as 10<sup>5</sup>
+    $('sup').each((i, element) => {
+        $(element).replaceWith(`^{${$(element).text()}}`);
+    });
+
+    const text = $.root().text();
+    const exampleIndex = text.search(/Example\s*1\s*:/);
+
+    return normalizeMath(exampleIndex === -1 ? text : text.slice(0, exampleIndex));
+}
+
+/**
+ * Convert LeetCode hints (one HTML hint per line) to text, with math normalized
+ * @param {string} hints - Hints column of problems.csv
+ * @returns {string} - Hint text
+ */
+function extractHints(hints) {
+    if (!hints || typeof hints !== 'string') {
+        return '';
+    }
+
+    return hints.split('\n')
+        .map(hint => normalizeMath(cheerio.load(hint).root().text()))
+        .join(' ');
+}
+
+/**
+ * Clean LeetCode problem data from CSV file
+ * @param {string} inputPath - Path to input CSV file
+ * @param {string} outputPath - Path to output CSV file (optional, defaults to input path)
+ * @returns {Promise<Object>} - Cleaning result statistics
+ */
+function cleanLeetCodeData(inputPath, outputPath = null) {
+    return cleanPlatformData(inputPath, outputPath, {
+        platformName: 'LeetCode',
+        headers: LEETCODE_HEADERS,
+        cleanSingleProblem
+    });
+}
+
+/**
+ * Clean individual problem fields for real-time processing
+ * @param {Object} problem - Problem object to clean
+ * @returns {Object} - Cleaned problem object
+ */
+function cleanSingleProblem(problem) {
+    return {
+        Name: cleanText(problem.Name || ''),
+        URL: cleanURL(problem.URL || ''),
+        Tag: cleanText(problem.Tag || ''),
+        Difficulty: cleanText(problem.Difficulty || ''),
+        Text: cleanText(extractStatement(problem.Text || '')),
+        Hints: cleanText(extractHints(problem.Hints || ''))
+    };
+}
+
+// Export functions
+module.exports = {
+    extractStatement,
+    extractHints,
+    cleanLeetCodeData,
+    cleanSingleProblem
+};
+
+// Run if called directly
+if (require.main === module) {
+    runCleaningScript(cleanLeetCodeData, __dirname);
+}
@@ -0,0 +1,264 @@
+const fs = require('fs-extra');
+const { writeCSV, PROBLEM_HEADERS } = require('../../../utils/csv');
+const { HttpClient } = require('../../../utils/http');
+const path = require('path');
+
+// LeetCode rows also record the hints shown under the statement
+const LEETCODE_HEADERS = [
+    ...PROBLEM_HEADERS,
+    { id: 'Hints', title: 'Hints' }
+];
+
+const PROBLEM_LIST_QUERY = `
+query problemsetQuestionList($categorySlug: String, $limit: Int, $skip: Int, $filters: QuestionListFilterInput) {
+    problemsetQuestionList: questionList(categorySlug: $categorySlug, limit: $limit, skip: $skip, filters: $filters) {
+        total: totalNum
+        questions: data {
+            difficulty
+            frontendQuestionId: questionFrontendId
+            paidOnly: isPaidOnly
+            title
+            titleSlug
+            topicTags {
+                name
+                slug
+            }
+        }
+    }
+}`;
+
+const QUESTION_CONTENT_QUERY = `
+query questionContent($titleSlug: String!) {
+    question(titleSlug: $titleSlug) {
+        content
+        hints
+    }
+}`;
+
+class LeetCodeScraper {
+    /**
+     * @param {Object} options - Scraper options
+     * @param {string} options.fixturesDir - Read saved GraphQL responses from this directory instead of the network
+     * @param {Object} options.http - HttpClient options (rate, cache, offline replay)
+     */
+    constructor(options = {}) {
+        this.baseUrl = 'https://leetcode.com';
+        this.graphqlUrl = 'https://leetcode.com/graphql';
+        this.fixturesDir = options.fixturesDir || null;
+        this.http = new HttpClient({ requestsPerSecond: 2, ...options.http });
+        this.headers = {
+            'Content-Type': 'application/json',
+            'Referer': 'https://leetcode.com/problemset/'
+        };
+    }
+
+    /**
+     * Fixture file holding the saved response of a GraphQL request
+     * @param {string} operationName - GraphQL operation name
+     * @param {Object} variables - GraphQL variables
+     * @returns {string} - Fixture file path
+     */
+    fixturePath(operationName, variables) {
+        const key = operationName === 'questionContent' ? variables.titleSlug : variables.skip;
+        return path.join(this.fixturesDir, `${operationName}-${key}.json`);
+    }
+
+    async postGraphQL(operationName, query, variables) {
+        try {
+            let body;
+            if (this.fixturesDir) {
+                body = await fs.readJson(this.fixturePath(operationName, variables));
+            } else {
+                const response = await this.http.post(this.graphqlUrl, { operationName, query, variables }, {
+                    headers: this.headers
+                });
+                body = response.data;
+            }
+
+            if (body.errors && body.errors.length > 0) {
+                throw new Error(body.errors.map(error => error.message).join('; '));
+            }
+            return body.data;
+        } catch (error) {
+            console.error(`Error running LeetCode ${operationName} query:`, error.message);
+            throw error;
+        }
+    }
+
+    async fetchProblemList(skip, limit) {
+        const data = await this.postGraphQL('problemsetQuestionList', PROBLEM_LIST_QUERY, {
+            categorySlug: '',
+            skip,
+            limit,
+            filters: {}
+        });
+        return data.problemsetQuestionList;
+    }
+
+    /**
+     * Fetch the statement and hints of a problem
+     * @param {string} titleSlug - Problem slug
+     * @returns {Promise<Object>} - {content: statement HTML, hints: array of HTML hints}
+     */
+    async fetchProblemContent(titleSlug) {
+        try {
+            const data = await this.postGraphQL('questionContent', QUESTION_CONTENT_QUERY, { titleSlug });
+            const question = data.question || {};
+            return { content: question.content || '', hints: question.hints || [] };
+        } catch (error) {
+            console.error(`Error fetching problem content for ${titleSlug}:`, error.message);
+            return { content: '', hints: [] };
+        }
+    }
+
+    /**
+     * Convert a question list entry to a problems.csv row
+     * @param {Object} question - Entry of problemsetQuestionList.questions
+     * @param {string} content - Problem statement HTML
+     * @param {Array} hints - Hints as HTML, one per hint
+     * @returns {Object} - Problem row
+     */
+    toProblem(question, content, hints = []) {
+        return {
+            Name: question.title,
+            URL: `${this.baseUrl}/problems/${question.titleSlug}/`,
+            Tag: (question.topicTags || []).map(tag => tag.name).join(', '),
+            Difficulty: question.difficulty || '',
+            Text: content,
+            Hints: hints.join('\n')
+        };
+    }
+
+    async scrapeAllProblems(pageSize = 50, maxPages = null, includePaidOnly = false) {
+        try {
+            console.log('Starting LeetCode scraping...');
+
+            const firstPage = await this.fetchProblemList(0, pageSize);
+            const totalPages = Math.ceil(firstPage.total / pageSize);
+            console.log(`Total problems found: ${firstPage.total} (${totalPages} pages)`);
+
+            const pagesToScrape = maxPages ? Math.min(maxPages, totalPages) : totalPages;
+            console.log(`Will scrape ${pagesToScrape} pages`);
+
+            const allProblems = [];
+
+            for (let pageNum = 1; pageNum <= pagesToScrape; pageNum++) {
+                console.log(`\n******** Fetching Page ${pageNum}/${pagesToScrape} ********`);
+
+                const page = pageNum === 1 ? firstPage : await this.fetchProblemList((pageNum - 1) * pageSize, pageSize);
+                let pageCount = 0;
+
+                for (const question of page.questions) {
+                    // Statements of premium problems are not public
+                    if (question.paidOnly && !includePaidOnly) continue;
+
+                    console.log(`  Fetching content for: ${question.title}`);
+                    const { content, hints } = question.paidOnly
+                        ? { content: '', hints: [] }
+                        : await this.fetchProblemContent(question.titleSlug);
+
+                    allProblems.push(this.toProblem(question, content, hints));
+                    pageCount++;
+                }
+
+                console.log(`******** Page ${pageNum} completed (${pageCount} problems) ********`);
+            }
+
+            console.log(`\n***** Scraping completed! Total problems: ${allProblems.length} *****`);
+            return allProblems;
+
+        } catch (error) {
+            console.error('Error in scrapeAllProblems:', error.message);
+            throw error;
+        }
+    }
+
+    async saveToCSV(problems, outputPath = null) {
+        try {
+            const csvPath = outputPath || path.join(__dirname, 'problems.csv');
+
+            await writeCSV(csvPath, problems, LEETCODE_HEADERS);
+            console.log(`Problems saved to ${csvPath}`);
+            return csvPath;
+        } catch (error) {
+            console.error('Error saving to CSV:', error.message);
+            throw error;
+        }
+    }
+}
+
+// Function to run scraping
+async function scrapeLeetCode(options = {}) {
+    const {
+        pageSize = 50,
+        maxPages = null,
+        includePaidOnly = false,
+        fixturesDir = null,
+        http = {},
+        outputPath = null
+    } = options;
+
+    const scraper = new LeetCodeScraper({ fixturesDir, http });
+
+    try {
+        const problems = await scraper.scrapeAllProblems(pageSize, maxPages, includePaidOnly);
+        const csvPath = await scraper.saveToCSV(problems, outputPath);
+
+        return {
+            success: true,
+            problemCount: problems.length,
+            csvPath: csvPath
+        };
+    } catch (error) {
+        console.error('Scraping failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Export for use as module or run directly
+module.exports = {
+    LEETCODE_HEADERS,
+    LeetCodeScraper,
+    scrapeLeetCode
+};
+
+// Run if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {
+        pageSize: 50,
+        maxPages: 2, // Limit to 2 pages for testing
+        outputPath: path.join(__dirname, 'problems.csv')
+    };
+
+    // Replay saved responses, e.g. --fixtures platforms/leetcode/preprocess/fixtures (default: preprocess/fixtures)
+    const fixturesIndex = args.indexOf('--fixtures');
+    if (fixturesIndex !== -1) {
+        const fixturesDir = args[fixturesIndex + 1];
+        options.fixturesDir = fixturesDir && !fixturesDir.startsWith('--')
+            ? path.resolve(fixturesDir)
+            : path.join(__dirname, 'fixtures');
+    }
+
+    // Cache responses in preprocess/.http-cache; --offline replays only from the cache
+    if (args.includes('--cache') || args.includes('--offline')) {
+        options.http = { cacheDir: path.join(__dirname, '.http-cache'), offline: args.includes('--offline') };
+    }
+
+    scrapeLeetCode(options)
+        .then(result => {
+            if (result.success) {
+                console.log(`\nScraping completed successfully!`);
+                console.log(`Problems scraped: ${result.problemCount}`);
+                console.log(`Saved to: ${result.csvPath}`);
+            } else {
+                console.error(`\nScraping failed: ${result.error}`);
+            }
+        })
+        .catch(error => {
+            console.error('Unexpected error:', error);
+        });
+}
@@ -0,0 +1,527 @@
+const path = require('path');
+const { loadPlatformData, loadEmbeddings, checkPlatformData } = require('../utils/storage');
+const { readProblemData } = require('../utils/csv');
+const { EMBEDDING_MODELS, HYBRID_ALPHA, EmbeddingScorer, createScorers, parseQuery } = require('../utils/scoring');
+const { parseTags, parseRating, createProblemFilter, getSectionText } = require('../utils/filters');
+const { normalizeMath } = require('../utils/math');
+const { getSynonyms } = require('../utils/synonyms');
+const { SpellingCorrector } = require('../utils/spelling');
+const { QuerySuggester } = require('../utils/suggest');
+const { sparseRow } = require('../utils/similarity');
+const { getEncoder } = require('../utils/embeddings');
+
+/**
+ * Search module shared by every platform.
+ *
+ * A platform is a directory under platforms/ holding a config.json and a
+ * preprocess/ folder with problem.csv, vectorizer.json and matrix.csr, and
+ * optionally the embeddings.bin written by scripts/embed-all.js.
+ */
+class PlatformSearchModule {
+    /**
+     * @param {Object} config - Platform configuration
+     * @param {string} config.id - Platform id (directory name, also used as route)
+     * @param {string} config.name - Display name
+     * @param {string} config.platformPath - Directory holding the preprocessed data
+     * @param {string} config.ratingScale - Rating scale of numeric difficulties; without it
+     * difficulties (e.g. AtCoder or DMOJ points) are not ratings and rating filters never match
+     */
+    constructor(config) {
+        this.id = config.id;
+        this.name = config.name || config.id;
+        this.platformPath = config.platformPath;
+        this.ratingScale = config.ratingScale || null;
+        this.vectorizer = null;
+        this.matrix = null;
+        this.columnTerms = null;
+        this.scorers = null;
+        this.embeddings = null;
+        this.speller = null;
+        this.suggester = null;
+        this.defaultModel = 'tfidf';
+        this.problemNames = null;
+        this.problemUrls = null;
+        this.problemIndexes = null;
+        this.problemTags = null;
+        this.problemDifficulties = null;
+        this.problemRatings = null;
+        this.problemSections = null;
+        this.useFallback = false;
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            console.log(`Initializing ${this.name} module...`);
+
+            // Check if required files exist
+            const dataStatus = await checkPlatformData(this.platformPath);
+            if (!dataStatus.allReady) {
+                console.warn(`${this.name} data not ready. Missing files:`, {
+                    vectorizer: !dataStatus.vectorizer,
+                    matrix: !dataStatus.matrix,
+                    csv: !dataStatus.csv
+                });
+                throw new Error(`${this.name} preprocessed data not found. Please run preprocessing first.`);
+            }
+
+            // Load vectorizer and matrix
+            const { vectorizer, matrix, counts, fieldCounts } = await loadPlatformData(this.platformPath);
+            this.vectorizer = vectorizer;
+            this.matrix = matrix;
+
+            // Check if matrix is properly loaded (not the fallback empty matrix)
+            this.useFallback = matrix.rows <= 1 && matrix.columns <= 1;
+            this.scorers = createScorers(vectorizer, matrix, counts, fieldCounts);
+            this.speller = new SpellingCorrector(vectorizer);
+            this.defaultModel = vectorizer.scoring.model;
+
+            // Load problem data
+            const csvPath = path.join(this.platformPath, 'problem.csv');
+            const problemData = await readProblemData(csvPath);
+            this.problemNames = problemData.names;
+            this.problemUrls = problemData.urls;
+            this.problemIndexes = new Map(problemData.urls.map((url, index) => [url, index]));
+            this.problemTags = problemData.tags.map(parseTags);
+            this.problemDifficulties = problemData.difficulties;
+            this.problemRatings = problemData.difficulties.map(difficulty => this.ratingScale ? parseRating(difficulty) : null);
+            this.problemSections = problemData.sections;
+
+            this.embeddings = await this.loadEmbeddingScorer();
+
+            this.initialized = true;
+            console.log(`${this.name} module initialized with ${this.problemNames.length} problems`);
+        } catch (error) {
+            console.error(`Error initializing ${this.name} module:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Search this platform
+     * @param {string} queryText - Query string
+     * @param {number} threshold - Minimum score threshold
+     * @param {Object} options - {model, alpha (lexical weight of hybrid scores), section, expand (false disables
+     * synonyms), fuzzy (false disables typo correction), boosts (field weights),
+     * filters: {tags, tagMode, minRating, maxRating}}
+     * @returns {Promise<Array>} - Matching problems sorted by score
+     */
+    async query(queryText, threshold = 0.01, options = {}) {
+        try {
+            // Initialize if not already done
+            if (!this.initialized) {
+                await this.initialize();
+            }
+
+            if (!queryText || typeof queryText !== 'string') {
+                return [];
+            }
+
+            console.log(`${this.name} query: "${queryText}"`);
+
+            const filter = createProblemFilter(options.filters);
+
+            if (this.useFallback) {
+                console.warn(`${this.name}: TF-IDF matrix not available (file too large). Using simple text matching as fallback.`);
+                return this.fallbackSearch(queryText, threshold, filter);
+            }
+
+            // Pick the requested scoring model, falling back to TF-IDF for older models
+            const model = options.model || this.defaultModel;
+            let scorer = this.scorers[model];
+            if (EMBEDDING_MODELS.includes(model)) {
+                const alpha = model === 'hybrid' ? (options.alpha !== undefined ? options.alpha : HYBRID_ALPHA) : 0;
+                scorer = await this.getEmbeddingScorer(queryText, alpha);
+            } else if (!scorer) {
+                console.warn(`${this.name}: ${model} scoring not available, using TF-IDF. Please retrain the model.`);
+                scorer = this.scorers.tfidf;
+            }
+
+            // Abbreviations such as "dp" also search for their full names
+            const expansions = options.expand === false ? [] : getSynonyms().expand(queryText);
+
+            // Misspelled words ("djikstra") search for the closest vocabulary term instead
+            if (options.fuzzy !== false) {
+                this.speller.correct(queryText).forEach(correction => {
+                    expansions.push({ text: correction.suggestion, weight: 1 });
+                });
+            }
+
+            // Score only the problems sharing a term with the query
+            const topResults = options.section
+                ? this.sectionSearch(scorer, queryText, options.section, filter, expansions, options.boosts)
+                : scorer.search(queryText, threshold, expansions, options.boosts)
+                    .filter(result => !filter || filter(this.getProblemFacets(result.index)));
+
+            // Format results
+            const results = topResults.map(result => this.formatResult(result.index, result.score));
+
+            console.log(`${this.name} found ${results.length} matching problems`);
+            return results;
+
+        } catch (error) {
+            console.error(`Error in ${this.name} query:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Load the problem embeddings written by scripts/embed-all.js
+     * @returns {Promise<EmbeddingScorer|null>} - Scorer, or null if the platform has no usable embeddings
+     */
+    async loadEmbeddingScorer() {
+        try {
+            const embeddings = await loadEmbeddings(this.platformPath);
+            if (!embeddings) return null;
+
+            // Rows are problem ids, so embeddings of an older problem.csv would score the wrong problems
+            if (embeddings.index.rows !== this.problemNames.length) {
+                console.warn(`${this.name}: embeddings cover ${embeddings.index.rows} problems, not ${this.problemNames.length}. ` +
+                    'Run "npm run embed" again to use embedding search.');
+                return null;
+            }
+            return new EmbeddingScorer(embeddings.index, embeddings.modelId);
+        } catch (error) {
+            console.warn(`${this.name}: embeddings not loaded (${error.message})`);
+            return null;
+        }
+    }
+
+    /**
+     * Scorer ranking a query by embedding similarity, blended with the default model's scores
+     *
+     * Falls back to the default model if the platform has no embeddings or
+     * the encoder cannot be loaded or differs from the one that embedded it.
+     * @param {string} queryText - Query string
+     * @param {number} alpha - Weight of the lexical score (0 for embedding similarity only)
+     * @returns {Promise<Object>} - Scorer with search(queryText, threshold, expansions, boosts)
+     */
+    async getEmbeddingScorer(queryText, alpha) {
+        const lexical = this.scorers[this.defaultModel] || this.scorers.tfidf;
+
+        if (!this.embeddings) {
+            console.warn(`${this.name}: embedding search not available, using ${lexical.model}. Run "npm run embed" first.`);
+            return lexical;
+        }
+
+        try {
+            const encoder = await getEncoder();
+            if (encoder.modelId !== this.embeddings.modelId) {
+                console.warn(`${this.name}: embeddings were computed with model ${this.embeddings.modelId}, not ${encoder.modelId}. ` +
+                    `Using ${lexical.model}; run "npm run embed" again.`);
+                return lexical;
+            }
+
+            const queryVector = await encoder.encodeQuery(parseQuery(queryText).text);
+            return this.embeddings.forQuery(queryVector, lexical, alpha);
+        } catch (error) {
+            console.warn(`${this.name}: embedding search not available (${error.message}), using ${lexical.model}`);
+            return lexical;
+        }
+    }
+
+    /**
+     * Corrections for the query words missing from this platform's vocabulary
+     * @param {string} queryText - Query string
+     * @returns {Promise<Array|null>} - Corrections from SpellingCorrector.correct, or null if the platform has no model
+     */
+    async correctQuery(queryText) {
+        try {
+            if (!this.initialized) {
+                await this.initialize();
+            }
+            return this.useFallback ? null : this.speller.correct(queryText);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get a problem by its row
+     * @param {number} index - Row of the problem in the platform data (see findProblem)
+     * @returns {Promise<Object|null>} - Problem formatted like a search result without score, or null if unknown
+     */
+    async getProblem(index) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        if (!Number.isInteger(index) || index < 0 || index >= this.problemNames.length) {
+            return null;
+        }
+
+        const { score, ...problem } = this.formatResult(index, 0);
+        return problem;
+    }
+
+    /**
+     * Find a problem by its id (its URL, which stays the same when the platform is retrained)
+     * @param {string} id - Problem id, as in search results
+     * @returns {Promise<number>} - Row of the problem in the platform data, or -1 if unknown
+     */
+    async findProblem(id) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        return this.problemIndexes.has(id) ? this.problemIndexes.get(id) : -1;
+    }
+
+    /**
+     * Terms of a problem with their frequency, read from its stored TF-IDF vector
+     *
+     * Frequencies rather than TF-IDF weights are returned, so each platform can
+     * weight them with its own IDF in findSimilar.
+     * @param {number} index - Row of the problem in the platform data
+     * @returns {Promise<Map|null>} - Map of term -> term frequency, or null without a TF-IDF matrix
+     */
+    async getProblemTerms(index) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        if (this.useFallback) return null;
+
+        if (!this.columnTerms) {
+            this.columnTerms = [];
+            this.vectorizer.vocabulary.forEach((column, term) => {
+                this.columnTerms[column] = term;
+            });
+        }
+
+        const terms = new Map();
+        sparseRow(this.matrix, index).forEach(([column, weight]) => {
+            const term = this.columnTerms[column];
+            const idf = this.vectorizer.idf.get(term);
+            if (term !== undefined && idf) {
+                terms.set(term, weight / idf);
+            }
+        });
+        return terms;
+    }
+
+    /**
+     * Find the problems closest to a document given by its terms (cosine similarity of TF-IDF vectors)
+     * @param {Map} terms - Map of term -> term frequency, from getProblemTerms of any platform
+     * @param {number} threshold - Minimum similarity
+     * @param {Object} options - {exclude (row of a problem left out, e.g. the document itself),
+     * filters: {tags, tagMode, minRating, maxRating}}
+     * @returns {Promise<Array>} - Matching problems sorted by score
+     */
+    async findSimilar(terms, threshold = 0.01, options = {}) {
+        try {
+            if (!this.initialized) {
+                await this.initialize();
+            }
+
+            if (this.useFallback) return [];
+
+            // Terms missing from this platform's vocabulary are dropped
+            const vector = new Map();
+            terms.forEach((frequency, term) => {
+                const column = this.vectorizer.vocabulary.get(term);
+                const idf = this.vectorizer.idf.get(term);
+                if (column !== undefined && idf) {
+                    vector.set(column, frequency * idf);
+                }
+            });
+
+            const filter = createProblemFilter(options.filters);
+            return this.scorers.tfidf.index.search(vector, threshold)
+                .filter(result => result.index !== options.exclude)
+                .filter(result => !filter || filter(this.getProblemFacets(result.index)))
+                .map(result => this.formatResult(result.index, result.score));
+        } catch (error) {
+            console.error(`Error finding similar problems in ${this.name}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Complete a partial query with this platform's problem names and terms
+     * @param {string} prefix - Partial query
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Promise<Array>} - Suggestions from QuerySuggester.suggest
+     */
+    async suggest(prefix, limit) {
+        try {
+            if (!this.initialized) {
+                await this.initialize();
+            }
+
+            // Built on the first request, since only the search box asks for suggestions
+            if (!this.suggester) {
+                this.suggester = new QuerySuggester(this.vectorizer, this.problemNames);
+                console.log(`${this.name} suggestions built with ${this.suggester.trie.size} entries`);
+            }
+            return this.suggester.suggest(prefix, limit);
+        } catch (error) {
+            console.error(`Error in ${this.name} suggest:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Find problems whose statement section contains every query term and quoted phrase
+     *
+     * Section text is not indexed, so every problem is checked; matches are
+     * ranked by the model score of the whole problem (0 if it shares no term).
+     * @param {Object} scorer - Scorer of the requested model
+     * @param {string} queryText - Query string
+     * @param {string} section - Section to search (see STATEMENT_SECTIONS)
+     * @param {Function|null} filter - Problem filter
+     * @param {Array} expansions - Synonyms added to the query when ranking [{text, weight}]
+     * @param {Object|null} boosts - Field weights used when ranking
+     * @returns {Array} - Array of {index, score} sorted by score
+     */
+    sectionSearch(scorer, queryText, section, filter, expansions = [], boosts = null) {
+        // Math is compared normalized, so "1e5" finds "10^5"; phrases must appear as written
+        const { phrases, unquoted } = parseQuery(queryText);
+        const terms = [
+            ...phrases.map(phrase => normalizeMath(phrase).toLowerCase()),
+            ...normalizeMath(unquoted).toLowerCase().split(/\s+/)
+        ].filter(term => term.length > 0);
+        if (terms.length === 0) return [];
+
+        const modelScores = new Map(scorer.search(queryText, 0, expansions, boosts).map(result => [result.index, result.score]));
+        const results = [];
+
+        this.problemSections.forEach((sections, index) => {
+            const text = normalizeMath(getSectionText(sections, section)).toLowerCase();
+            if (!text || !terms.every(term => text.includes(term))) return;
+            if (filter && !filter(this.getProblemFacets(index))) return;
+
+            results.push({ index, score: modelScores.get(index) || 0 });
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    // Tags and numeric rating of a problem, as seen by filters
+    getProblemFacets(index) {
+        return {
+            tags: this.problemTags[index],
+            rating: this.problemRatings[index]
+        };
+    }
+
+    // Format a problem as an API result
+    formatResult(index, score) {
+        return {
+            platform: this.id,
+            id: this.problemUrls[index],
+            name: this.problemNames[index],
+            url: this.problemUrls[index],
+            tags: this.problemTags[index],
+            difficulty: this.problemDifficulties[index] || null,
+            rating: this.problemRatings[index],
+            ...this.formatSections(index),
+            score: Math.round(score * 1000) / 1000 // Round to 3 decimal places
+        };
+    }
+
+    // Limits and samples of a problem, for platforms that scrape statement sections
+    formatSections(index) {
+        const sections = this.problemSections && this.problemSections[index];
+        if (!sections) return {};
+
+        return {
+            timeLimit: sections.timeLimit || null,
+            memoryLimit: sections.memoryLimit || null,
+            samples: sections.samples || []
+        };
+    }
+
+    // Fallback search using simple text matching when TF-IDF is not available
+    fallbackSearch(queryText, threshold = 0.01, filter = null) {
+        try {
+            console.log(`Using fallback text search for ${this.name}...`);
+
+            if (!this.problemNames || this.problemNames.length === 0) {
+                return [];
+            }
+
+            const query = queryText.toLowerCase();
+            const queryTerms = query.split(/\s+/).filter(term => term.length > 2);
+
+            const results = [];
+
+            for (let i = 0; i < this.problemNames.length; i++) {
+                const problemName = this.problemNames[i].toLowerCase();
+                let score = 0;
+
+                // Simple scoring based on term matches
+                queryTerms.forEach(term => {
+                    if (problemName.includes(term)) {
+                        score += 0.5;
+                    }
+                    // Check for partial matches
+                    if (problemName.includes(term.substring(0, Math.max(3, term.length - 2)))) {
+                        score += 0.2;
+                    }
+                });
+
+                // Normalize score
+                score = score / queryTerms.length;
+
+                if (score >= threshold && (!filter || filter(this.getProblemFacets(i)))) {
+                    results.push({
+                        ...this.formatResult(i, score),
+                        index: i
+                    });
+                }
+            }
+
+            // Sort by score descending
+            results.sort((a, b) => b.score - a.score);
+
+            // Limit results to top 50 for performance
+            const limitedResults = results.slice(0, 50);
+
+            console.log(`Fallback search found ${limitedResults.length} matches for "${queryText}"`);
+            return limitedResults;
+
+        } catch (error) {
+            console.error('Error in fallback search:', error.message);
+            return [];
+        }
+    }
+
+    // Get module status and statistics
+    async getStatus() {
+        try {
+            const dataStatus = await checkPlatformData(this.platformPath);
+            return {
+                id: this.id,
+                platform: this.name,
+                initialized: this.initialized,
+                dataReady: dataStatus.allReady,
+                problemCount: this.problemNames ? this.problemNames.length : 0,
+                vocabularySize: this.vectorizer ? this.vectorizer.vocabulary.size : 0,
+                indexedTerms: this.scorers ? this.scorers.tfidf.index.postings.size : 0,
+                scoringModels: this.scorers ? [...Object.keys(this.scorers), ...(this.embeddings ? EMBEDDING_MODELS : [])] : [],
+                stemmer: this.vectorizer ? this.vectorizer.stemmer : null,
+                ngrams: this.vectorizer ? this.vectorizer.ngrams : null,
+                fields: this.scorers && this.scorers.tfidf.fieldIndexes ? Object.keys(this.scorers.tfidf.fieldIndexes) : [],
+                defaultModel: this.defaultModel,
+                embeddings: this.embeddings ? {
+                    problems: this.embeddings.index.rows,
+                    dimensions: this.embeddings.index.dimensions,
+                    lists: this.embeddings.index.lists,
+                    modelId: this.embeddings.modelId
+                } : null
+            };
+        } catch (error) {
+            return {
+                id: this.id,
+                platform: this.name,
+                initialized: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = PlatformSearchModule;
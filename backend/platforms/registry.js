@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const PlatformSearchModule = require('./platformSearchModule');
+
+/**
+ * Read the config.json of every directory under platformsDir
+ * @param {string} platformsDir - Directory to scan (default: this directory)
+ * @returns {Array} - Platform configs {id, platformDir, platformPath, config}, sorted by id
+ */
+function readPlatformConfigs(platformsDir = __dirname) {
+    const configs = [];
+
+    const entries = fs.readdirSync(platformsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        const platformDir = path.join(platformsDir, entry.name);
+        const configPath = path.join(platformDir, 'config.json');
+
+        if (!fs.existsSync(configPath)) continue;
+
+        try {
+            configs.push({
+                id: entry.name,
+                platformDir,
+                platformPath: path.join(platformDir, 'preprocess'),
+                config: JSON.parse(fs.readFileSync(configPath, 'utf8'))
+            });
+        } catch (error) {
+            console.error(`Error loading platform config ${configPath}:`, error.message);
+        }
+    }
+
+    return configs;
+}
+
+/**
+ * Discover platforms: every directory under platformsDir with a config.json
+ * @param {string} platformsDir - Directory to scan (default: this directory)
+ * @returns {Array<PlatformSearchModule>} - One search module per platform, sorted by id
+ */
+function discoverPlatforms(platformsDir = __dirname) {
+    return readPlatformConfigs(platformsDir).map(({ id, platformPath, config }) => new PlatformSearchModule({
+        ...config,
+        id,
+        platformPath
+    }));
+}
+
+/**
+ * Load the preprocessing steps a platform declares in the pipeline section of its config.json
+ *
+ * Scrape and clean steps name a module (relative to the platform directory) and
+ * its export; a platform without its own train step uses the shared trainer.
+ * @param {Object} platformConfig - Platform config from readPlatformConfigs
+ * @returns {Object|null} - {scrape, clean, train, scrapeOptions}, or null without a pipeline
+ * @throws {Error} - If a declared module does not export its step
+ */
+function loadPipeline({ id, platformDir, config }) {
+    if (!config.pipeline) return null;
+
+    const loadStep = (step) => {
+        const { module: modulePath, export: exportName } = step;
+        const fn = require(path.join(platformDir, modulePath))[exportName];
+        if (typeof fn !== 'function') {
+            throw new Error(`${id}: ${modulePath} does not export ${exportName}`);
+        }
+        return fn;
+    };
+
+    const { scrape, clean, train, scrapeOptions = {} } = config.pipeline;
+    const trainPlatform = train ? loadStep(train) : require('../utils/training').trainTFIDF;
+
+    return {
+        scrape: scrape ? loadStep(scrape) : null,
+        clean: clean ? loadStep(clean) : null,
+        train: (csvPath, outputDir, options = {}) => trainPlatform(csvPath, outputDir, {
+            ...options,
+            platformName: config.name || id
+        }),
+        scrapeOptions
+    };
+}
+
+// Platforms discovered once per process
+let platforms = null;
+
+/**
+ * Get all registered platforms
+ * @returns {Array<PlatformSearchModule>} - Registered platform modules
+ */
+function getPlatforms() {
+    if (!platforms) {
+        platforms = discoverPlatforms();
+        console.log(`Registered platforms: ${platforms.map(platform => platform.id).join(', ')}`);
+    }
+    return platforms;
+}
+
+/**
+ * Get a registered platform by id
+ * @param {string} id - Platform id (directory name)
+ * @returns {PlatformSearchModule|null} - Platform module or null if unknown
+ */
+function getPlatform(id) {
+    return getPlatforms().find(platform => platform.id === id) || null;
+}
+
+module.exports = {
+    readPlatformConfigs,
+    loadPipeline,
+    discoverPlatforms,
+    getPlatforms,
+    getPlatform
+};
@@ -0,0 +1,218 @@
+const path = require('path');
+const fs = require('fs-extra');
+const SparseMatrix = require('../utils/sparse');
+const { saveSparseMatrix, formatBytes } = require('../utils/storage');
+
+/**
+ * Stream-parse a legacy dense matrix.json file into a sparse matrix.
+ *
+ * The file is never held in memory as a whole, so this also works for
+ * matrices too large for loadMatrix (which gives up above 1.8GB).
+ * @param {string} inputPath - Path to the legacy matrix.json file
+ * @returns {Promise<SparseMatrix>} - Parsed sparse matrix
+ */
+function readDenseMatrixAsSparse(inputPath) {
+    return new Promise((resolve, reject) => {
+        const indptr = [0];
+        const indices = [];
+        const data = [];
+        let columns = 0;
+
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        let currentString = '';
+        let lastKey = null;
+        let inData = false;
+        let column = 0;
+        let numberBuffer = '';
+
+        const flushNumber = () => {
+            if (numberBuffer === '') return;
+
+            const value = Number(numberBuffer);
+            if (Number.isNaN(value)) {
+                throw new Error(`Invalid number "${numberBuffer}" in matrix data`);
+            }
+            if (value !== 0) {
+                indices.push(column);
+                data.push(value);
+            }
+            column++;
+            numberBuffer = '';
+        };
+
+        const stream = fs.createReadStream(inputPath, { encoding: 'utf8', highWaterMark: 1024 * 1024 });
+
+        stream.on('data', (chunk) => {
+            try {
+                for (let i = 0; i < chunk.length; i++) {
+                    const char = chunk[i];
+
+                    if (inString) {
+                        if (escaped) {
+                            escaped = false;
+                        } else if (char === '\\') {
+                            escaped = true;
+                        } else if (char === '"') {
+                            inString = false;
+                            if (depth === 1) lastKey = currentString;
+                        } else {
+                            currentString += char;
+                        }
+                        continue;
+                    }
+
+                    switch (char) {
+                        case '"':
+                            inString = true;
+                            currentString = '';
+                            break;
+                        case '[':
+                            depth++;
+                            if (depth === 2 && lastKey === 'data') {
+                                inData = true;
+                            } else if (inData && depth === 3) {
+                                column = 0;
+                            }
+                            break;
+                        case ']':
+                            if (inData) flushNumber();
+                            if (inData && depth === 3) {
+                                indptr.push(indices.length);
+                                columns = Math.max(columns, column);
+                            } else if (inData && depth === 2) {
+                                inData = false;
+                            }
+                            depth--;
+                            break;
+                        case '{':
+                            depth++;
+                            break;
+                        case '}':
+                            depth--;
+                            break;
+                        case ',':
+                            if (inData) flushNumber();
+                            break;
+                        default:
+                            if (inData && depth === 3 && /[-+.eE0-9]/.test(char)) {
+                                numberBuffer += char;
+                            }
+                    }
+                }
+            } catch (error) {
+                stream.destroy(error);
+            }
+        });
+
+        stream.on('end', () => {
+            const rows = indptr.length - 1;
+            resolve(new SparseMatrix(
+                rows,
+                columns,
+                Uint32Array.from(indptr),
+                Uint32Array.from(indices),
+                Float32Array.from(data)
+            ));
+        });
+
+        stream.on('error', (error) => {
+            reject(new Error(`Matrix conversion failed: ${error.message}`));
+        });
+    });
+}
+
+/**
+ * Convert a legacy matrix.json file to the sparse matrix.csr format
+ * @param {string} inputPath - Path to the legacy matrix.json file
+ * @param {string} outputPath - Path to the output file (defaults to matrix.csr next to the input)
+ * @returns {Promise<Object>} - Conversion result
+ */
+async function convertMatrixFile(inputPath, outputPath = null) {
+    const outputFile = outputPath || path.join(path.dirname(inputPath), 'matrix.csr');
+
+    try {
+        console.log(`Converting ${inputPath} -> ${outputFile}`);
+        const matrix = await readDenseMatrixAsSparse(inputPath);
+        await saveSparseMatrix(matrix, outputFile);
+
+        const [inputStat, outputStat] = await Promise.all([fs.stat(inputPath), fs.stat(outputFile)]);
+
+        return {
+            success: true,
+            rows: matrix.rows,
+            columns: matrix.columns,
+            nnz: matrix.nnz,
+            inputBytes: inputStat.size,
+            outputBytes: outputStat.size,
+            outputPath: outputFile
+        };
+    } catch (error) {
+        console.error(`Error converting ${inputPath}:`, error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Convert every platform's legacy matrix.json that has no matrix.csr yet
+ * @param {Array} platforms - Platform directory names (defaults to all)
+ * @returns {Promise<Object>} - Results keyed by platform
+ */
+async function convertAllPlatforms(platforms = null) {
+    const platformsDir = path.join(__dirname, '..', 'platforms');
+    const names = platforms || (await fs.readdir(platformsDir));
+    const results = {};
+
+    for (const name of names) {
+        const preprocessDir = path.join(platformsDir, name, 'preprocess');
+        const legacyPath = path.join(preprocessDir, 'matrix.json');
+        const sparsePath = path.join(preprocessDir, 'matrix.csr');
+
+        if (!await fs.pathExists(legacyPath)) continue;
+        if (await fs.pathExists(sparsePath)) {
+            console.log(`${name}: matrix.csr already exists, skipping`);
+            continue;
+        }
+
+        results[name] = await convertMatrixFile(legacyPath, sparsePath);
+    }
+
+    return results;
+}
+
+module.exports = {
+    readDenseMatrixAsSparse,
+    convertMatrixFile,
+    convertAllPlatforms
+};
+
+// Run if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const platformsIndex = args.indexOf('--platforms');
+
+    const run = args.length > 0 && platformsIndex === -1
+        ? convertMatrixFile(args[0], args[1]).then(result => ({ [args[0]]: result }))
+        : convertAllPlatforms(platformsIndex !== -1 ? args[platformsIndex + 1].split(',') : null);
+
+    run
+        .then(results => {
+            Object.entries(results).forEach(([name, result]) => {
+                if (result.success) {
+                    console.log(`${name}: ${result.rows}x${result.columns}, ${result.nnz} non-zeros ` +
+                        `(${formatBytes(result.inputBytes)} -> ${formatBytes(result.outputBytes)})`);
+                } else {
+                    console.log(`${name}: failed - ${result.error}`);
+                }
+            });
+            process.exit(Object.values(results).every(result => result.success) ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Unexpected error:', error);
+            process.exit(1);
+        });
+}
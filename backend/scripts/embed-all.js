@@ -0,0 +1,142 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { discoverPlatforms } = require('../platforms/registry');
+const { readProblemData } = require('../utils/csv');
+const { saveEmbeddings } = require('../utils/storage');
+const { IVFIndex } = require('../utils/ann');
+const { EMBEDDING_DEFAULTS, OnnxEncoder, getModelDir } = require('../utils/embeddings');
+
+/**
+ * Compute the problem embeddings of every platform and build their ANN indexes
+ *
+ * Each problem's name and cleaned statement are encoded, so run it after
+ * preprocessing (and again whenever problem.csv or the model changes).
+ * @param {Object} options - Options
+ * @param {string} options.platformsDir - Directory holding the platforms (default: platforms/)
+ * @param {Array} options.platforms - Platform ids to embed (default: all)
+ * @param {string} options.modelDir - Model directory (default: getModelDir())
+ * @param {number} options.batchSize - Texts per model run
+ * @param {number} options.lists - IVF lists per platform (default: about the square root of the problem count)
+ * @param {OnnxEncoder} options.encoder - Encoder to use instead of loading modelDir
+ * @returns {Promise<Object>} - Result with statistics per platform
+ */
+async function embedAll(options = {}) {
+    const {
+        platformsDir = path.join(__dirname, '..', 'platforms'),
+        platforms: platformIds = null,
+        modelDir = getModelDir(),
+        batchSize = EMBEDDING_DEFAULTS.batchSize,
+        lists
+    } = options;
+
+    try {
+        const encoder = options.encoder || await OnnxEncoder.load(modelDir);
+        console.log(`Using embedding model ${encoder.modelId}`);
+
+        const platforms = discoverPlatforms(platformsDir)
+            .filter(platform => !platformIds || platformIds.includes(platform.id));
+        const results = {};
+
+        for (const platform of platforms) {
+            const csvPath = path.join(platform.platformPath, 'problem.csv');
+            if (!await fs.pathExists(csvPath)) {
+                console.warn(`${platform.id}: ${csvPath} not found, skipping`);
+                continue;
+            }
+
+            const data = await readProblemData(csvPath);
+            const texts = data.names.map((name, index) => `${name}. ${data.texts[index]}`);
+            console.log(`${platform.id}: encoding ${texts.length} problems...`);
+
+            const startTime = Date.now();
+            let lastLogged = 0;
+            const vectors = await encoder.encode(texts, {
+                batchSize,
+                onProgress: (encoded, total) => {
+                    if (encoded - lastLogged >= 1000 || encoded === total) {
+                        console.log(`${platform.id}: ${encoded}/${total} problems encoded`);
+                        lastLogged = encoded;
+                    }
+                }
+            });
+
+            const dimensions = vectors.length > 0 ? vectors[0].length : 0;
+            const flat = new Float32Array(vectors.length * dimensions);
+            vectors.forEach((vector, row) => flat.set(vector, row * dimensions));
+
+            const index = IVFIndex.build(flat, dimensions, { lists });
+            await saveEmbeddings(platform.platformPath, index, encoder.modelId);
+
+            results[platform.id] = {
+                problems: index.rows,
+                dimensions,
+                lists: index.lists,
+                seconds: Math.round((Date.now() - startTime) / 100) / 10
+            };
+        }
+
+        if (Object.keys(results).length === 0) {
+            throw new Error('No problems found. Please run preprocessing first.');
+        }
+
+        return {
+            success: true,
+            modelId: encoder.modelId,
+            platforms: results
+        };
+    } catch (error) {
+        console.error('Error computing embeddings:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    embedAll
+};
+
+// Run if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    const platformsIndex = args.indexOf('--platforms');
+    if (platformsIndex !== -1 && args[platformsIndex + 1]) {
+        options.platforms = args[platformsIndex + 1].split(',');
+    }
+
+    const modelIndex = args.indexOf('--model');
+    if (modelIndex !== -1 && args[modelIndex + 1]) {
+        options.modelDir = path.resolve(args[modelIndex + 1]);
+    }
+
+    const batchIndex = args.indexOf('--batch-size');
+    if (batchIndex !== -1 && args[batchIndex + 1]) {
+        options.batchSize = parseInt(args[batchIndex + 1]);
+    }
+
+    const listsIndex = args.indexOf('--lists');
+    if (listsIndex !== -1 && args[listsIndex + 1]) {
+        options.lists = parseInt(args[listsIndex + 1]);
+    }
+
+    embedAll(options)
+        .then(result => {
+            if (result.success) {
+                console.log(`\nEmbeddings computed with model ${result.modelId}:`);
+                Object.entries(result.platforms).forEach(([id, stats]) => {
+                    console.log(`  ${id}: ${stats.problems} problems, ${stats.dimensions} dimensions, ` +
+                        `${stats.lists} lists (${stats.seconds}s)`);
+                });
+            } else {
+                console.error('\nEmbedding failed:', result.error);
+            }
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Unexpected error:', error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,124 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { discoverPlatforms } = require('../platforms/registry');
+const { readProblemData } = require('../utils/csv');
+const { DEDUPE_DEFAULTS, DUPLICATES_VERSION, findDuplicateClusters, getDuplicatesPath } = require('../utils/duplicates');
+
+/**
+ * Cluster near-duplicate problems across platforms and save the duplicate map
+ *
+ * Reads every platform's cleaned problem.csv, so run it after preprocessing.
+ * @param {Object} options - Options
+ * @param {string} options.platformsDir - Directory holding the platforms (default: platforms/)
+ * @param {Array} options.platforms - Platform ids to include (default: all)
+ * @param {string} options.outputPath - Duplicate map to write (default: getDuplicatesPath())
+ * @param {number} options.threshold - Least Jaccard similarity of duplicates (see DEDUPE_DEFAULTS)
+ * @param {number} options.shingleSize - Words per shingle
+ * @returns {Promise<Object>} - Result with statistics
+ */
+async function findDuplicates(options = {}) {
+    const {
+        platformsDir = path.join(__dirname, '..', 'platforms'),
+        platforms: platformIds = null,
+        outputPath = getDuplicatesPath(),
+        ...dedupeOptions
+    } = options;
+
+    try {
+        const problems = [];
+        const platforms = discoverPlatforms(platformsDir)
+            .filter(platform => !platformIds || platformIds.includes(platform.id));
+
+        for (const platform of platforms) {
+            const csvPath = path.join(platform.platformPath, 'problem.csv');
+            if (!await fs.pathExists(csvPath)) {
+                console.warn(`${platform.id}: ${csvPath} not found, skipping`);
+                continue;
+            }
+
+            const data = await readProblemData(csvPath);
+            data.texts.forEach((text, index) => {
+                problems.push({ platform: platform.id, name: data.names[index], url: data.urls[index], text });
+            });
+            console.log(`${platform.id}: ${data.length} problems`);
+        }
+
+        if (problems.length === 0) {
+            throw new Error('No problems found. Please run preprocessing first.');
+        }
+
+        console.log(`Clustering ${problems.length} problems...`);
+        const { clusters, compared } = findDuplicateClusters(problems, dedupeOptions);
+        const crossPlatform = clusters.filter(cluster => new Set(cluster.map(problem => problem.platform)).size > 1);
+
+        await fs.outputJson(outputPath, {
+            version: DUPLICATES_VERSION,
+            createdAt: new Date().toISOString(),
+            options: { ...DEDUPE_DEFAULTS, ...dedupeOptions },
+            problems: problems.length,
+            clusters
+        }, { spaces: 2 });
+        console.log(`Duplicate map saved to: ${outputPath}`);
+
+        return {
+            success: true,
+            problems: problems.length,
+            compared,
+            clusters: clusters.length,
+            crossPlatform: crossPlatform.length,
+            duplicates: clusters.reduce((sum, cluster) => sum + cluster.length, 0),
+            outputPath
+        };
+    } catch (error) {
+        console.error('Error finding duplicates:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    findDuplicates
+};
+
+// Run if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    const platformsIndex = args.indexOf('--platforms');
+    if (platformsIndex !== -1 && args[platformsIndex + 1]) {
+        options.platforms = args[platformsIndex + 1].split(',');
+    }
+
+    const outputIndex = args.indexOf('--output');
+    if (outputIndex !== -1 && args[outputIndex + 1]) {
+        options.outputPath = path.resolve(args[outputIndex + 1]);
+    }
+
+    const thresholdIndex = args.indexOf('--threshold');
+    if (thresholdIndex !== -1 && args[thresholdIndex + 1]) {
+        options.threshold = parseFloat(args[thresholdIndex + 1]);
+    }
+
+    const shingleIndex = args.indexOf('--shingle-size');
+    if (shingleIndex !== -1 && args[shingleIndex + 1]) {
+        options.shingleSize = parseInt(args[shingleIndex + 1]);
+    }
+
+    findDuplicates(options)
+        .then(result => {
+            if (result.success) {
+                console.log(`\n${result.clusters} clusters (${result.crossPlatform} across platforms) ` +
+                    `covering ${result.duplicates} of ${result.problems} problems`);
+            } else {
+                console.error('\nDuplicate detection failed:', result.error);
+            }
+            process.exit(result.success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Unexpected error:', error);
+            process.exit(1);
+        });
+}
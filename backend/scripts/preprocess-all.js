@@ -1,15 +1,56 @@
 const path = require('path');
 const fs = require('fs-extra');
 
-// Import preprocessing modules for each platform
-const { scrapeCodeforces } = require('../platforms/codeforce/preprocess/scraping');
-const { cleanCodeforceData } = require('../platforms/codeforce/preprocess/cleaning');
-const { trainTFIDF: trainCodeforcesTFIDF } = require('../platforms/codeforce/preprocess/tfidf');
+const { readPlatformConfigs, loadPipeline } = require('../platforms/registry');
+
+/**
+ * HttpClient options of a platform's scraper
+ * @param {string} platformDir - Platform preprocess directory
+ * @param {Object} options - Scrape options ({cache, offline})
+ * @returns {Object} - Options with the platform's response cache
+ */
+function httpOptions(platformDir, options) {
+    return {
+        cacheDir: options.cache || options.offline ? path.join(platformDir, '.http-cache') : null,
+        offline: Boolean(options.offline)
+    };
+}
+
+/**
+ * Run a platform's scraper with its default options from config.json
+ * @param {Object} pipeline - Pipeline from loadPipeline
+ * @param {string} sourceDir - Platform preprocess directory holding the saved fixtures
+ * @param {string} platformDir - Directory the scraped problems (and response cache) are written to
+ * @param {Object} options - Scrape options overriding the defaults ({fixtures, cache, offline} are resolved here)
+ * @returns {Promise<Object>} - Scraping result
+ */
+function runScraper(pipeline, sourceDir, platformDir, options = {}) {
+    const { fixtures, cache, offline, ...scrapeOptions } = { ...pipeline.scrapeOptions, ...options };
+
+    return pipeline.scrape({
+        ...scrapeOptions,
+        fixturesDir: fixtures ? path.join(sourceDir, 'fixtures') : null,
+        http: httpOptions(platformDir, { cache, offline }),
+        outputPath: path.join(platformDir, 'problems.csv')
+    });
+}
+
+/**
+ * Platforms whose config.json declares a preprocessing pipeline
+ * @param {string} platformsDir - Directory holding the platforms
+ * @returns {Array} - Platform ids
+ */
+function getPipelinePlatforms(platformsDir) {
+    return readPlatformConfigs(platformsDir)
+        .filter(({ config }) => config.pipeline)
+        .map(({ id }) => id);
+}
 
 /**
  * Preprocess a single platform
  * @param {string} platformName - Name of the platform
- * @param {Object} config - Configuration for preprocessing
+ * @param {Object} config - Configuration for preprocessing ({scrape, scrapeOptions, trainOptions, platformsDir, ...});
+ * config.platformPath writes the data to another directory than the platform's preprocess/
  * @returns {Promise<Object>} - Processing result
  */
 async function preprocessPlatform(platformName, config) {
@@ -27,7 +68,13 @@ async function preprocessPlatform(platformName, config) {
     };
     
     try {
-        const platformDir = path.join(__dirname, '..', 'platforms', platformName, 'preprocess');
+        const platformConfig = readPlatformConfigs(config.platformsDir)
+            .find(({ id }) => id === platformName);
+        const pipeline = platformConfig ? loadPipeline(platformConfig) : null;
+        const sourceDir = platformConfig
+            ? platformConfig.platformPath
+            : path.join(__dirname, '..', 'platforms', platformName, 'preprocess');
+        const platformDir = config.platformPath || sourceDir;
         await fs.ensureDir(platformDir);
         
         // Step 1: Scraping (if enabled)
@@ -36,12 +83,8 @@ async function preprocessPlatform(platformName, config) {
             const scrapeStart = Date.now();
             
             let scrapeResult;
-            if (platformName === 'codeforce') {
-                scrapeResult = await scrapeCodeforces({
-                    order: config.scrapeOptions?.order || 'BY_RATING_ASC',
-                    maxPages: config.scrapeOptions?.maxPages || 2,
-                    outputPath: path.join(platformDir, 'problems.csv')
-                });
+            if (pipeline && pipeline.scrape) {
+                scrapeResult = await runScraper(pipeline, sourceDir, platformDir, config.scrapeOptions);
             } else {
                 console.log(`Scraping not implemented for ${platformName} yet`);
                 scrapeResult = { success: false, error: 'Not implemented' };
@@ -51,6 +94,7 @@ async function preprocessPlatform(platformName, config) {
                 success: scrapeResult.success,
                 time: Date.now() - scrapeStart,
                 problemCount: scrapeResult.problemCount || 0,
+                failureCount: scrapeResult.failureCount || 0,
                 error: scrapeResult.error
             };
             
@@ -67,9 +111,9 @@ async function preprocessPlatform(platformName, config) {
         const outputFile = path.join(platformDir, 'problem.csv');
         
         let cleanResult;
-        if (platformName === 'codeforce') {
+        if (pipeline && pipeline.clean) {
             if (await fs.pathExists(inputFile)) {
-                cleanResult = await cleanCodeforceData(inputFile, outputFile);
+                cleanResult = await pipeline.clean(inputFile, outputFile);
             } else {
                 console.log('No problems.csv found, skipping cleaning step');
                 cleanResult = { success: false, error: 'Input file not found' };
@@ -97,9 +141,9 @@ async function preprocessPlatform(platformName, config) {
         const csvPath = path.join(platformDir, 'problem.csv');
         
         let tfidfResult;
-        if (platformName === 'codeforce') {
+        if (pipeline) {
             if (await fs.pathExists(csvPath)) {
-                tfidfResult = await trainCodeforcesTFIDF(csvPath, platformDir);
+                tfidfResult = await pipeline.train(csvPath, platformDir, config.trainOptions);
             } else {
                 console.log('No problem.csv found, skipping TF-IDF training');
                 tfidfResult = { success: false, error: 'CSV file not found' };
@@ -143,11 +187,13 @@ async function preprocessPlatform(platformName, config) {
  */
 async function preprocessAll(options = {}) {
     const {
-        platforms = ['codeforce'], // Only codeforce is fully implemented
+        platformsDir,
+        platforms = getPipelinePlatforms(platformsDir),
         scrape = true,
         requireScraping = false,
         requireCleaning = false,
-        scrapeOptions = {}
+        scrapeOptions = {},
+        trainOptions = {}
     } = options;
     
     console.log('Problem Finder API - Data Preprocessing');
@@ -163,39 +209,16 @@ async function preprocessAll(options = {}) {
         failureCount: 0
     };
     
-    // Platform-specific configurations
-    const platformConfigs = {
-        codeforce: {
+    // Process each platform
+    for (const platform of platforms) {
+        const result = await preprocessPlatform(platform, {
+            platformsDir,
             scrape,
             requireScraping,
             requireCleaning,
-            scrapeOptions: {
-                order: 'BY_RATING_ASC',
-                maxPages: scrapeOptions.maxPages || 2,
-                ...scrapeOptions
-            }
-        },
-        leetcode: {
-            scrape: false, // Not implemented yet
-            requireScraping: false,
-            requireCleaning: false
-        },
-        atcoder: {
-            scrape: false, // Not implemented yet
-            requireScraping: false,
-            requireCleaning: false
-        },
-        dmoj: {
-            scrape: false, // Not implemented yet
-            requireScraping: false,
-            requireCleaning: false
-        }
-    };
-    
-    // Process each platform
-    for (const platform of platforms) {
-        const config = platformConfigs[platform] || {};
-        const result = await preprocessPlatform(platform, config);
+            scrapeOptions,
+            trainOptions
+        });
         results.platforms[platform] = result;
         
         if (result.success) {
@@ -247,6 +270,7 @@ async function preprocessAll(options = {}) {
 
 // Export for use as module
 module.exports = {
+    getPipelinePlatforms,
     preprocessPlatform,
     preprocessAll
 };
@@ -257,11 +281,12 @@ if (require.main === module) {
     
     // Parse command line arguments
     const options = {
-        platforms: ['codeforce'],
+        platforms: getPipelinePlatforms(),
         scrape: !args.includes('--no-scrape'),
         requireScraping: args.includes('--require-scraping'),
         requireCleaning: args.includes('--require-cleaning'),
-        scrapeOptions: {}
+        scrapeOptions: {},
+        trainOptions: {}
     };
     
     // Parse max pages option
@@ -270,6 +295,103 @@ if (require.main === module) {
         options.scrapeOptions.maxPages = parseInt(args[maxPagesIndex + 1]);
     }
     
+    // Parse AtCoder contest options
+    const contestsIndex = args.indexOf('--contests');
+    if (contestsIndex !== -1 && args[contestsIndex + 1]) {
+        options.scrapeOptions.contests = args[contestsIndex + 1].split(',');
+    }
+    
+    const maxContestsIndex = args.indexOf('--max-contests');
+    if (maxContestsIndex !== -1 && args[maxContestsIndex + 1]) {
+        options.scrapeOptions.maxContests = parseInt(args[maxContestsIndex + 1]);
+    }
+    
+    // Parse DMOJ (and Codeforces API) problem limit
+    const maxProblemsIndex = args.indexOf('--max-problems');
+    if (maxProblemsIndex !== -1 && args[maxProblemsIndex + 1]) {
+        options.scrapeOptions.maxProblems = parseInt(args[maxProblemsIndex + 1]);
+    }
+    
+    // Read the Codeforces problemset from the JSON API (or a saved response) instead of HTML
+    const sourceIndex = args.indexOf('--source');
+    if (sourceIndex !== -1 && args[sourceIndex + 1]) {
+        options.scrapeOptions.source = args[sourceIndex + 1];
+    }
+    
+    const apiFileIndex = args.indexOf('--api-file');
+    if (apiFileIndex !== -1 && args[apiFileIndex + 1]) {
+        options.scrapeOptions.source = 'api';
+        options.scrapeOptions.apiSource = path.resolve(args[apiFileIndex + 1]);
+    }
+    
+    // Replay saved responses from preprocess/fixtures instead of hitting the network
+    if (args.includes('--fixtures')) {
+        options.scrapeOptions.fixtures = true;
+    }
+    
+    // Cache responses in preprocess/.http-cache and revalidate them on reruns
+    if (args.includes('--cache')) {
+        options.scrapeOptions.cache = true;
+    }
+    
+    // Replay scraping entirely from the response cache
+    if (args.includes('--offline')) {
+        options.scrapeOptions.offline = true;
+    }
+    
+    // Codeforces scraping resumes from its checkpoint unless restarted
+    if (args.includes('--restart')) {
+        options.scrapeOptions.resume = false;
+    }
+    
+    const retriesIndex = args.indexOf('--retries');
+    if (retriesIndex !== -1 && args[retriesIndex + 1]) {
+        options.scrapeOptions.retries = parseInt(args[retriesIndex + 1]);
+    }
+    
+    // Only fetch and re-index new or changed problems
+    if (args.includes('--incremental')) {
+        options.scrapeOptions.incremental = true;
+        options.trainOptions.incremental = true;
+    }
+    
+    const fullRebuildIndex = args.indexOf('--full-rebuild-every');
+    if (fullRebuildIndex !== -1 && args[fullRebuildIndex + 1]) {
+        options.trainOptions.fullRebuildEvery = parseInt(args[fullRebuildIndex + 1]);
+    }
+    
+    // Parse scoring model options
+    const modelIndex = args.indexOf('--model');
+    if (modelIndex !== -1 && args[modelIndex + 1]) {
+        options.trainOptions.model = args[modelIndex + 1];
+    }
+    
+    const k1Index = args.indexOf('--k1');
+    if (k1Index !== -1 && args[k1Index + 1]) {
+        options.trainOptions.k1 = parseFloat(args[k1Index + 1]);
+    }
+    
+    const bIndex = args.indexOf('--b');
+    if (bIndex !== -1 && args[bIndex + 1]) {
+        options.trainOptions.b = parseFloat(args[bIndex + 1]);
+    }
+    
+    const stemmerIndex = args.indexOf('--stemmer');
+    if (stemmerIndex !== -1 && args[stemmerIndex + 1]) {
+        options.trainOptions.stemmer = args[stemmerIndex + 1];
+    }
+    
+    // Index n-grams up to this length, keeping those found in at least --min-df problems
+    const ngramsIndex = args.indexOf('--ngrams');
+    if (ngramsIndex !== -1 && args[ngramsIndex + 1]) {
+        options.trainOptions.ngrams = parseInt(args[ngramsIndex + 1]);
+    }
+    
+    const minDfIndex = args.indexOf('--min-df');
+    if (minDfIndex !== -1 && args[minDfIndex + 1]) {
+        options.trainOptions.minDf = parseInt(args[minDfIndex + 1]);
+    }
+    
     // Parse platforms option
     const platformsIndex = args.indexOf('--platforms');
     if (platformsIndex !== -1 && args[platformsIndex + 1]) {
@@ -0,0 +1,67 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { readPlatformConfigs } = require('../platforms/registry');
+const { trainTFIDF } = require('../utils/training');
+
+/**
+ * Train the index of every platform from its cleaned problem.csv
+ * @param {Object} options - Options
+ * @param {string} options.platformsDir - Directory holding the platforms (default: platforms/)
+ * @param {Array} options.platforms - Platform ids to train (default: all)
+ * @param {Object} options.trainOptions - Options passed to trainTFIDF
+ * @returns {Promise<Object>} - Training result of each platform
+ */
+async function trainAll(options = {}) {
+    const { platformsDir, platforms: platformIds = null, trainOptions = {} } = options;
+    const results = {};
+
+    const platforms = readPlatformConfigs(platformsDir)
+        .filter(({ id }) => !platformIds || platformIds.includes(id));
+
+    for (const { id, platformPath, config } of platforms) {
+        const csvPath = path.join(platformPath, 'problem.csv');
+        if (!await fs.pathExists(csvPath)) {
+            console.warn(`${id}: ${csvPath} not found, skipping`);
+            continue;
+        }
+
+        results[id] = await trainTFIDF(csvPath, platformPath, {
+            ...trainOptions,
+            platformName: config.name || id
+        });
+    }
+
+    return results;
+}
+
+module.exports = {
+    trainAll
+};
+
+// Run if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    const platformsIndex = args.indexOf('--platforms');
+    if (platformsIndex !== -1 && args[platformsIndex + 1]) {
+        options.platforms = args[platformsIndex + 1].split(',');
+    }
+
+    trainAll(options)
+        .then(results => {
+            Object.entries(results).forEach(([id, result]) => {
+                if (result.success) {
+                    console.log(`\n${id}: TF-IDF training completed successfully!`);
+                    console.log('Statistics:', result.stats);
+                } else {
+                    console.error(`\n${id}: TF-IDF training failed:`, result.error);
+                }
+            });
+            process.exit(Object.values(results).every(result => result.success) ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Unexpected error:', error);
+            process.exit(1);
+        });
+}
@@ -2,11 +2,20 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 
-// Import platform modules
-const codeforceModule = require('./platforms/codeforce/codeforce');
-const leetcodeModule = require('./platforms/leetcode/leetcode');
-const atcoderModule = require('./platforms/atcoder/atcoder');
-const dmojModule = require('./platforms/dmoj/dmoj');
+// Platform modules are discovered from platforms/*/config.json
+const { getPlatforms, getPlatform } = require('./platforms/registry');
+const { SCORING_MODELS, EMBEDDING_MODELS, isSearchModel, parseBoosts } = require('./utils/scoring');
+const { TAG_MODES, STATEMENT_SECTIONS, parseTags } = require('./utils/filters');
+const { createFingerprint, resolvePagination, paginate } = require('./utils/pagination');
+const { getSynonyms, getSynonymsPath, reloadSynonyms } = require('./utils/synonyms');
+const { suggestQuery } = require('./utils/spelling');
+const { FUSION_MODES, isFusionMode, fuseResults } = require('./utils/fusion');
+const { getDuplicates, getDuplicatesPath, reloadDuplicates } = require('./utils/duplicates');
+const { DEFAULT_SUGGESTIONS, MAX_SUGGESTIONS, mergeSuggestions } = require('./utils/suggest');
+
+// Similar problems returned by default, and the most a request may ask for
+const DEFAULT_SIMILAR = 10;
+const MAX_SIMILAR = 50;
 
 const app = express();
 const PORT = process.env.PORT || 8081;
@@ -22,135 +31,323 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Root endpoint - search across all platforms
-app.get('/', async (req, res) => {
-    try {
-        const { q = '', n = -1 } = req.query;
-        
-        if (!q) {
-            return res.json({ message: "Please provide a query." });
+/**
+ * Parse and validate search options from the query string
+ * @param {Object} query - Express query object
+ * @returns {Object} - {options} on success or {error} with a message
+ */
+function parseSearchOptions(query) {
+    const { model, alpha, section, fusion = 'raw', expand, fuzzy, dedupe, boost, tags, tagMode = 'and', minRating, maxRating } = query;
+
+    if (model && !isSearchModel(model)) {
+        return { error: `Unknown model "${model}". Use one of: ${[...SCORING_MODELS, ...EMBEDDING_MODELS].join(', ')}` };
+    }
+
+    let lexicalWeight;
+    if (alpha !== undefined && alpha !== '') {
+        lexicalWeight = Number(alpha);
+        if (!(lexicalWeight >= 0 && lexicalWeight <= 1)) {
+            return { error: 'alpha must be a number from 0 to 1' };
         }
+    }
 
-        // Query all platforms in parallel
-        const [cfQuestions, lcQuestions, atQuestions, dmojQuestions] = await Promise.all([
-            codeforceModule.query(q),
-            leetcodeModule.query(q),
-            atcoderModule.query(q),
-            dmojModule.query(q)
-        ]);
-
-        // Combine and sort results by score
-        const totalQuestions = [...cfQuestions, ...lcQuestions, ...atQuestions, ...dmojQuestions];
-        totalQuestions.sort((a, b) => b.score - a.score);
-
-        // Apply limit if specified
-        const limit = parseInt(n);
-        if (limit > 0 && limit < totalQuestions.length) {
-            return res.json(totalQuestions.slice(0, limit));
+    if (section && !STATEMENT_SECTIONS.includes(section)) {
+        return { error: `Unknown section "${section}". Use one of: ${STATEMENT_SECTIONS.join(', ')}` };
+    }
+
+    if (!isFusionMode(fusion)) {
+        return { error: `Unknown fusion "${fusion}". Use one of: ${FUSION_MODES.join(', ')}` };
+    }
+
+    for (const [key, value] of Object.entries({ expand, fuzzy, dedupe })) {
+        if (value !== undefined && !['true', 'false'].includes(value)) {
+            return { error: `${key} must be true or false` };
+        }
+    }
+
+    let boosts = null;
+    if (boost) {
+        try {
+            boosts = parseBoosts(boost);
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    if (!TAG_MODES.includes(tagMode)) {
+        return { error: `Unknown tagMode "${tagMode}". Use one of: ${TAG_MODES.join(', ')}` };
+    }
+
+    const ratings = {};
+    for (const [key, value] of Object.entries({ minRating, maxRating })) {
+        if (value === undefined || value === '') {
+            ratings[key] = null;
+            continue;
         }
 
-        res.json(totalQuestions);
+        const rating = Number(value);
+        if (!Number.isFinite(rating)) {
+            return { error: `${key} must be a number` };
+        }
+        ratings[key] = rating;
+    }
+
+    return {
+        options: {
+            model,
+            alpha: lexicalWeight,
+            section,
+            fusion,
+            expand: expand !== 'false',
+            fuzzy: fuzzy !== 'false',
+            dedupe: dedupe === 'true',
+            boosts,
+            filters: { tags: parseTags(tags), tagMode, ...ratings }
+        }
+    };
+}
+
+/**
+ * Query a set of platforms and send one page of the combined results
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array} platforms - Platform modules to query
+ */
+async function searchPlatforms(req, res, platforms) {
+    const { q = '', n = -1 } = req.query;
+    
+    if (!q) {
+        return res.json({ message: "Please provide a query." });
+    }
+
+    const { options, error } = parseSearchOptions(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const fingerprint = createFingerprint({
+        platforms: platforms.map(platform => platform.id),
+        q,
+        n,
+        options
+    });
+    const pagination = resolvePagination(req.query, fingerprint);
+    if (pagination.error) {
+        return res.status(400).json({ error: pagination.error });
+    }
+
+    // Query platforms in parallel
+    const platformResults = await Promise.all(
+        platforms.map(platform => platform.query(q, undefined, options))
+    );
+
+    // Combine and sort results by (fused) score. The sort is stable and
+    // platforms are always queried in registry order, so equal scores keep a
+    // fixed order and cursors stay valid across requests.
+    let results = fuseResults(platformResults, options.fusion);
+
+    // Copies of a problem on several platforms become one result listing all URLs
+    if (options.dedupe) {
+        results = getDuplicates().collapse(results);
+    }
+
+    // Apply limit if specified
+    const limit = parseInt(n);
+    if (limit > 0 && limit < results.length) {
+        results = results.slice(0, limit);
+    }
+
+    // Suggest a corrected query for words no platform knows
+    const didYouMean = options.fuzzy
+        ? suggestQuery(q, (await Promise.all(platforms.map(platform => platform.correctQuery(q)))).filter(Boolean))
+        : null;
+
+    const counts = {};
+    platforms.forEach(platform => {
+        counts[platform.id] = 0;
+    });
+    results.forEach(result => {
+        counts[result.platform]++;
+    });
+
+    res.json({
+        query: q,
+        ...paginate(results, pagination, fingerprint),
+        counts,
+        didYouMean
+    });
+}
+
+// Root endpoint - search across all platforms
+app.get('/', async (req, res) => {
+    try {
+        await searchPlatforms(req, res, getPlatforms());
     } catch (error) {
         console.error('Error in root endpoint:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Codeforces endpoint
-app.get('/codeforce/', async (req, res) => {
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Suggest endpoint - completions of a partial query for the search box
+app.get('/suggest', async (req, res) => {
     try {
-        const { q = '', n = -1 } = req.query;
-        
-        if (!q) {
-            return res.json({ message: "Please provide a query." });
+        const { prefix, platform: platformId, limit = String(DEFAULT_SUGGESTIONS) } = req.query;
+
+        if (typeof prefix !== 'string') {
+            return res.status(400).json({ error: 'Query parameter "prefix" is required' });
         }
 
-        const results = await codeforceModule.query(q);
-        const limit = parseInt(n);
-        
-        if (limit > 0 && limit < results.length) {
-            return res.json(results.slice(0, limit));
+        const count = Number(limit);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_SUGGESTIONS) {
+            return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_SUGGESTIONS}` });
         }
 
-        res.json(results);
+        let platforms = getPlatforms();
+        if (platformId !== undefined) {
+            const platform = getPlatform(platformId);
+            if (!platform) {
+                return res.status(400).json({ error: `Unknown platform "${platformId}". Use one of: ${platforms.map(p => p.id).join(', ')}` });
+            }
+            platforms = [platform];
+        }
+
+        // Frequencies add up across platforms
+        const suggestionLists = await Promise.all(platforms.map(platform => platform.suggest(prefix, count)));
+        res.json({ prefix, suggestions: mergeSuggestions(suggestionLists, count) });
     } catch (error) {
-        console.error('Error in codeforce endpoint:', error);
+        console.error('Error in suggest endpoint:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// LeetCode endpoint
-app.get('/leetcode/', async (req, res) => {
+// Similar problems endpoint - nearest problems to a problem across all platforms
+app.get('/problems/:platform/:id/similar', async (req, res) => {
     try {
-        const { q = '', n = -1 } = req.query;
-        
-        if (!q) {
-            return res.json({ message: "Please provide a query." });
+        // Problem ids are their URLs, as in the manifest and the duplicate map
+        const source = getPlatform(req.params.platform);
+        const index = source ? await source.findProblem(req.params.id) : -1;
+        const problem = source ? await source.getProblem(index) : null;
+        if (!problem) {
+            return res.status(404).json({ error: `Problem ${req.params.platform}/${req.params.id} not found` });
         }
 
-        const results = await leetcodeModule.query(q);
-        const limit = parseInt(n);
-        
-        if (limit > 0 && limit < results.length) {
-            return res.json(results.slice(0, limit));
+        const count = Number(req.query.n || DEFAULT_SIMILAR);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_SIMILAR) {
+            return res.status(400).json({ error: `n must be an integer from 1 to ${MAX_SIMILAR}` });
         }
 
-        res.json(results);
+        const { options, error } = parseSearchOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // The problem's stored vector is the query
+        const terms = await source.getProblemTerms(index);
+        if (!terms) {
+            return res.status(503).json({ error: `${source.name} TF-IDF matrix is not available` });
+        }
+
+        const platformResults = await Promise.all(getPlatforms().map(platform =>
+            platform.findSimilar(terms, undefined, {
+                filters: options.filters,
+                exclude: platform === source ? index : undefined
+            })));
+
+        // Copies of the problem on other platforms are not similar problems
+        const copies = new Set(getDuplicates().duplicatesOf(problem.url));
+        let results = fuseResults(platformResults, options.fusion)
+            .filter(result => !copies.has(result.url));
+
+        if (options.dedupe) {
+            results = getDuplicates().collapse(results);
+        }
+        results = results.slice(0, count);
+
+        res.json({ problem, results });
     } catch (error) {
-        console.error('Error in leetcode endpoint:', error);
+        console.error('Error in similar problems endpoint:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// AtCoder endpoint
-app.get('/atcoder/', async (req, res) => {
+// Status endpoint - data and model status for every platform
+app.get('/status', async (req, res) => {
     try {
-        const { q = '', n = -1 } = req.query;
-        
-        if (!q) {
-            return res.json({ message: "Please provide a query." });
-        }
-
-        const results = await atcoderModule.query(q);
-        const limit = parseInt(n);
-        
-        if (limit > 0 && limit < results.length) {
-            return res.json(results.slice(0, limit));
-        }
-
-        res.json(results);
+        const platforms = await Promise.all(getPlatforms().map(platform => platform.getStatus()));
+        res.json({ platforms });
     } catch (error) {
-        console.error('Error in atcoder endpoint:', error);
+        console.error('Error in status endpoint:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// DMOJ endpoint
-app.get('/dmoj/', async (req, res) => {
+/**
+ * Allow a request only with the admin token (ADMIN_TOKEN) as bearer token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        return res.status(403).json({ error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.' });
+    }
+
+    if (req.get('Authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+
+    next();
+}
+
+// Synonym dictionary in use
+app.get('/admin/synonyms', requireAdmin, (req, res) => {
+    const synonyms = getSynonyms();
+    res.json({ path: getSynonymsPath(), ...synonyms.getStats(), weights: synonyms.weights, groups: synonyms.groups });
+});
+
+// Reload the synonym dictionary after editing its file
+app.post('/admin/synonyms/reload', requireAdmin, (req, res) => {
     try {
-        const { q = '', n = -1 } = req.query;
-        
-        if (!q) {
-            return res.json({ message: "Please provide a query." });
-        }
+        const synonyms = reloadSynonyms();
+        res.json({ path: getSynonymsPath(), ...synonyms.getStats() });
+    } catch (error) {
+        // The previous dictionary stays in use
+        res.status(400).json({ error: `Could not load ${getSynonymsPath()}: ${error.message}` });
+    }
+});
 
-        const results = await dmojModule.query(q);
-        const limit = parseInt(n);
-        
-        if (limit > 0 && limit < results.length) {
-            return res.json(results.slice(0, limit));
-        }
+// Duplicate map in use
+app.get('/admin/duplicates', requireAdmin, (req, res) => {
+    res.json({ path: getDuplicatesPath(), ...getDuplicates().getStats() });
+});
 
-        res.json(results);
+// Reload the duplicate map after rerunning scripts/find-duplicates.js
+app.post('/admin/duplicates/reload', requireAdmin, (req, res) => {
+    try {
+        const duplicates = reloadDuplicates();
+        res.json({ path: getDuplicatesPath(), ...duplicates.getStats() });
     } catch (error) {
-        console.error('Error in dmoj endpoint:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        // The previous map stays in use
+        res.status(400).json({ error: `Could not load ${getDuplicatesPath()}: ${error.message}` });
     }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+// Platform endpoints - one per registered platform
+getPlatforms().forEach(platform => {
+    app.get(`/${platform.id}/`, async (req, res) => {
+        try {
+            await searchPlatforms(req, res, [platform]);
+        } catch (error) {
+            console.error(`Error in ${platform.id} endpoint:`, error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
 });
 
 // Start server
@@ -158,11 +355,15 @@ app.listen(PORT, () => {
     console.log(`Problem Finder API (Node.js) running on port ${PORT}`);
     console.log(`Available endpoints:`);
     console.log(`  GET /              - Search all platforms`);
-    console.log(`  GET /codeforce/    - Search Codeforces only`);
-    console.log(`  GET /leetcode/     - Search LeetCode only`);
-    console.log(`  GET /atcoder/      - Search AtCoder only`);
-    console.log(`  GET /dmoj/         - Search DMOJ only`);
+    getPlatforms().forEach(platform => {
+        console.log(`  GET ${`/${platform.id}/`.padEnd(14)} - Search ${platform.name} only`);
+    });
+    console.log(`  GET /suggest       - Query suggestions`);
+    console.log(`  GET /problems/:platform/:id/similar - Similar problems`);
+    console.log(`  GET /status        - Platform status`);
     console.log(`  GET /health        - Health check`);
+    console.log(`  POST /admin/synonyms/reload - Reload the synonym dictionary`);
+    console.log(`  POST /admin/duplicates/reload - Reload the duplicate map`);
 });
 
 module.exports = app;
@@ -3,9 +3,40 @@
  */
 
 const TFIDFVectorizer = require('./utils/tfidf');
-const { cosineSimilarity } = require('./utils/similarity');
+const InvertedIndex = require('./utils/invertedIndex');
+const SparseMatrix = require('./utils/sparse');
+const { saveMatrix, saveSparseMatrix, loadSparseMatrix, loadPlatformData, saveEmbeddings, loadEmbeddings } = require('./utils/storage');
+const { convertMatrixFile } = require('./scripts/convert-matrix');
+const { BM25Scorer, EmbeddingScorer, createScorers, parseQuery, parseBoosts } = require('./utils/scoring');
+const { discoverPlatforms } = require('./platforms/registry');
+const PlatformSearchModule = require('./platforms/platformSearchModule');
+const { parseTags, parseRating, createProblemFilter } = require('./utils/filters');
+const { createFingerprint, resolvePagination, paginate } = require('./utils/pagination');
+const { scrapeCodeforces, retryFailedProblems, getStatePaths } = require('./platforms/codeforce/preprocess/scraping');
+const { cleanCodeforceData } = require('./platforms/codeforce/preprocess/cleaning');
+const { scrapeLeetCode } = require('./platforms/leetcode/preprocess/scraping');
+const { cleanLeetCodeData } = require('./platforms/leetcode/preprocess/cleaning');
+const { scrapeAtCoder } = require('./platforms/atcoder/preprocess/scraping');
+const { cleanAtCoderData } = require('./platforms/atcoder/preprocess/cleaning');
+const { cleanText, stripLatex } = require('./utils/cleaning');
+const { HttpClient, parseRobots, isAllowed } = require('./utils/http');
+const { normalizeMath } = require('./utils/math');
+const { editDistance, BKTree, SpellingCorrector, suggestQuery } = require('./utils/spelling');
+const { PrefixTrie, QuerySuggester, mergeSuggestions } = require('./utils/suggest');
+const { shingle, jaccard, MinHasher, findDuplicateClusters, DuplicateMap } = require('./utils/duplicates');
+const { findDuplicates } = require('./scripts/find-duplicates');
+const { fuseResults, isFusionMode } = require('./utils/fusion');
+const { WordPieceTokenizer, OnnxEncoder, normalizeVector } = require('./utils/embeddings');
+const { IVFIndex } = require('./utils/ann');
+const { SynonymDictionary, reloadSynonyms, getSynonyms, DEFAULT_SYNONYMS_PATH } = require('./utils/synonyms');
+const { preprocessPlatform } = require('./scripts/preprocess-all');
+const { trainTFIDF } = require('./utils/training');
+const { cosineSimilarity, cosineSimilarityMatrix } = require('./utils/similarity');
 const { readCSV, writeCSV } = require('./utils/csv');
+const http = require('http');
 const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
 
 async function testTFIDF() {
     console.log('Testing TF-IDF Vectorizer...');
@@ -108,6 +139,1278 @@ async function testSimilarity() {
     return simAB > simAC; // Should be true
 }
 
+async function testInvertedIndex() {
+    console.log('\nTesting inverted index...');
+    
+    const documents = [
+        'binary search tree algorithm',
+        'dynamic programming optimization',
+        'graph shortest path dijkstra',
+        'sorting algorithm quicksort',
+        'tree traversal depth first search'
+    ];
+    
+    const vectorizer = new TFIDFVectorizer();
+    const tfidfMatrix = vectorizer.fitTransform(documents);
+    const index = InvertedIndex.fromMatrix(tfidfMatrix);
+    
+    const query = 'binary tree search';
+    const denseScores = cosineSimilarityMatrix(tfidfMatrix, vectorizer.transform([query]));
+    const results = index.search(vectorizer.documentToSparseVector(query), 0);
+    
+    console.log('Index stats:', index.getStats());
+    console.log(`Query "${query}" matched ${results.length}/${documents.length} documents`);
+    
+    // Only documents sharing a term are returned, with the same scores as the dense scan
+    const expected = denseScores.filter(score => score > 0).length;
+    const consistent = results.every(({ index: i, score }) => Math.abs(score - denseScores[i]) < 1e-9);
+    
+    return results.length === expected && consistent && results[0].index === 0;
+}
+
+async function testSparseStorage() {
+    console.log('\nTesting sparse matrix storage...');
+    
+    const documents = [
+        'binary search tree algorithm',
+        'dynamic programming optimization',
+        'graph shortest path dijkstra'
+    ];
+    
+    const vectorizer = new TFIDFVectorizer().fit(documents);
+    const denseMatrix = vectorizer.transform(documents);
+    const sparseMatrix = vectorizer.transformSparse(documents);
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    
+    try {
+        // Round trip through the binary format
+        const sparsePath = path.join(tempDir, 'matrix.csr');
+        await saveSparseMatrix(sparseMatrix, sparsePath);
+        const loaded = await loadSparseMatrix(sparsePath);
+        
+        // Convert a legacy dense JSON file
+        const legacyPath = path.join(tempDir, 'matrix.json');
+        await saveMatrix(denseMatrix, legacyPath);
+        const conversion = await convertMatrixFile(legacyPath, path.join(tempDir, 'converted.csr'));
+        const converted = await loadSparseMatrix(conversion.outputPath);
+        
+        console.log(`Stored ${loaded.nnz} non-zeros out of ${loaded.rows * loaded.columns} cells`);
+        console.log(`Legacy conversion: ${conversion.inputBytes} -> ${conversion.outputBytes} bytes`);
+        
+        const sameAsDense = (matrix) => matrix instanceof SparseMatrix &&
+            matrix.rows === denseMatrix.rows &&
+            matrix.columns === denseMatrix.columns &&
+            denseMatrix.to2DArray().every((row, i) =>
+                row.every((value, j) => Math.abs(value - matrix.getRow(i)[j]) < 1e-6));
+        
+        return sameAsDense(loaded) && sameAsDense(converted) && conversion.outputBytes < conversion.inputBytes;
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testBM25() {
+    console.log('\nTesting BM25 scoring...');
+    
+    const documents = [
+        'binary search tree algorithm',
+        'dynamic programming optimization',
+        'graph shortest path dijkstra',
+        'sorting algorithm quicksort',
+        'tree traversal depth first search tree tree tree'
+    ];
+    
+    const vectorizer = new TFIDFVectorizer().fit(documents);
+    const tfidfMatrix = vectorizer.transformSparse(documents);
+    const countsMatrix = vectorizer.transformCounts(documents);
+    
+    const query = 'binary tree search';
+    const bm25 = new BM25Scorer(vectorizer, countsMatrix, { k1: 1.2, b: 0.75 });
+    const results = bm25.search(query, 0);
+    
+    console.log('BM25 results:', results.map(r => `${r.index}:${r.score.toFixed(4)}`).join(', '));
+    
+    // With k1 = 0 term frequency is ignored, so every document containing the term ties
+    const saturated = new BM25Scorer(vectorizer, countsMatrix, { k1: 0, b: 0 }).search('tree', 0);
+    const equalWithoutTF = Math.abs(saturated[0].score - saturated[1].score) < 1e-9;
+    
+    // Models trained without counts only offer TF-IDF
+    const legacyScorers = createScorers(vectorizer, tfidfMatrix, null);
+    const scorers = createScorers(vectorizer, tfidfMatrix, countsMatrix);
+    
+    return results[0].index === 0 &&
+        equalWithoutTF &&
+        Object.keys(legacyScorers).join() === 'tfidf' &&
+        Object.keys(scorers).join() === 'tfidf,bm25';
+}
+
+async function testPlatformRegistry() {
+    console.log('\nTesting platform registry...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    
+    try {
+        // A judge is a directory with a config file and preprocessed data
+        const preprocessDir = path.join(tempDir, 'judge', 'preprocess');
+        await fs.outputJson(path.join(tempDir, 'judge', 'config.json'), { name: 'Test Judge' });
+        await fs.ensureDir(path.join(tempDir, 'notaplatform'));
+        
+        const csvPath = path.join(preprocessDir, 'problem.csv');
+        await writeCSV(csvPath, [
+            { Name: 'Tree Queries', URL: 'http://example.com/1', Text: 'answer path queries on a rooted tree' },
+            { Name: 'Coin Change', URL: 'http://example.com/2', Text: 'dynamic programming over coin values' }
+        ], ['Name', 'URL', 'Text'].map(id => ({ id, title: id })));
+        await trainTFIDF(csvPath, preprocessDir);
+        
+        const platforms = discoverPlatforms(tempDir);
+        const results = await platforms[0].query('rooted tree');
+        const status = await platforms[0].getStatus();
+        
+        console.log(`Discovered: ${platforms.map(platform => `${platform.id} (${platform.name})`).join(', ')}`);
+        console.log('Status:', status);
+        
+        return platforms.length === 1 &&
+            platforms[0].id === 'judge' &&
+            results.length === 1 &&
+            results[0].name === 'Tree Queries' &&
+            status.problemCount === 2;
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testProblemFilters() {
+    console.log('\nTesting tag and rating filters...');
+    
+    const problems = [
+        { tags: parseTags('dp, graphs'), rating: parseRating('1500') },
+        { tags: parseTags('dp'), rating: parseRating('*1900') },
+        { tags: parseTags('2 sat, graphs'), rating: parseRating('Easy') }
+    ];
+    
+    const matching = (filters) => {
+        const filter = createProblemFilter(filters);
+        return problems.map((problem, index) => (filter(problem) ? index : -1)).filter(index => index >= 0);
+    };
+    
+    const allTags = matching({ tags: ['dp', 'graphs'], tagMode: 'and' });
+    const anyTag = matching({ tags: ['DP', '2-sat'], tagMode: 'or' });
+    const ratingRange = matching({ minRating: 1200, maxRating: 1800 });
+    
+    console.log(`AND: ${allTags}, OR: ${anyTag}, rating 1200-1800: ${ratingRange}`);
+    
+    return createProblemFilter({ tags: [] }) === null &&
+        allTags.join() === '0' &&
+        anyTag.join() === '0,1,2' &&
+        ratingRange.join() === '0';
+}
+
+async function testPagination() {
+    console.log('\nTesting pagination...');
+    
+    const results = Array.from({ length: 25 }, (_, i) => ({ name: `Problem ${i}`, score: 1 - i / 100 }));
+    const fingerprint = createFingerprint({ q: 'tree' });
+    
+    // Follow cursors until the end
+    const pages = [];
+    let pagination = resolvePagination({ pageSize: '10' }, fingerprint);
+    while (pagination) {
+        const page = paginate(results, pagination, fingerprint);
+        pages.push(page);
+        pagination = page.nextCursor
+            ? resolvePagination({ pageSize: '10', cursor: page.nextCursor }, fingerprint)
+            : null;
+    }
+    
+    const seen = pages.flatMap(page => page.results.map(result => result.name));
+    const byPage = paginate(results, resolvePagination({ page: '3', pageSize: '10' }, fingerprint), fingerprint);
+    const foreignCursor = resolvePagination({ cursor: pages[0].nextCursor }, createFingerprint({ q: 'graph' }));
+    const badSize = resolvePagination({ pageSize: '1000' }, fingerprint);
+    
+    console.log(`Pages: ${pages.map(page => page.results.length).join(', ')} (total ${pages[0].total})`);
+    
+    return pages.length === 3 &&
+        new Set(seen).size === results.length &&
+        byPage.results.length === 5 && byPage.page === 3 &&
+        Boolean(foreignCursor.error) &&
+        Boolean(badSize.error);
+}
+
+async function testLeetCodePipeline() {
+    console.log('\nTesting LeetCode preprocessing against fixtures...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    
+    try {
+        const scrapeResult = await scrapeLeetCode({
+            fixturesDir: path.join(__dirname, 'platforms', 'leetcode', 'preprocess', 'fixtures'),
+            outputPath: path.join(tempDir, 'problems.csv')
+        });
+        const cleanResult = await cleanLeetCodeData(path.join(tempDir, 'problems.csv'), path.join(tempDir, 'problem.csv'));
+        const trainResult = await trainTFIDF(path.join(tempDir, 'problem.csv'));
+        
+        const problems = await readCSV(path.join(tempDir, 'problem.csv'));
+        const twoSum = problems.find(problem => problem.Name === 'Two Sum');
+        
+        console.log(`Scraped ${scrapeResult.problemCount} problems, vocabulary ${trainResult.stats && trainResult.stats.vocabularySize}`);
+        console.log('Two Sum:', twoSum);
+        
+        // The premium problem is skipped; HTML, examples and constraints are stripped
+        return scrapeResult.success && cleanResult.success && trainResult.success &&
+            problems.length === 3 &&
+            twoSum.URL === 'https://leetcode.com/problems/two-sum/' &&
+            twoSum.Tag === 'Array, Hash Table' &&
+            twoSum.Difficulty === 'Easy' &&
+            twoSum.Text.startsWith('Given an array of integers nums and an integer target') &&
+            !/[<>]|Example|Constraints/.test(twoSum.Text) &&
+            // Hints are kept in their own column as text
+            twoSum.Hints.includes('maybe a hash map to speed up the search') && !/[<>]/.test(twoSum.Hints);
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testAtCoderPipeline() {
+    console.log('\nTesting AtCoder preprocessing against fixtures...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    
+    try {
+        const scrapeResult = await scrapeAtCoder({
+            fixturesDir: path.join(__dirname, 'platforms', 'atcoder', 'preprocess', 'fixtures'),
+            outputPath: path.join(tempDir, 'problems.csv')
+        });
+        const cleanResult = await cleanAtCoderData(path.join(tempDir, 'problems.csv'), path.join(tempDir, 'problem.csv'));
+        
+        const problems = await readCSV(path.join(tempDir, 'problem.csv'));
+        const gridShift = problems.find(problem => problem.Name === 'Grid Shift');
+        
+        console.log('Grid Shift:', gridShift);
+        
+        // Sample I/O, input formats and LaTeX commands are stripped
+        return scrapeResult.success && cleanResult.success &&
+            problems.length === 2 &&
+            gridShift.URL === 'https://atcoder.jp/contests/abc300/tasks/abc300_b' &&
+            gridShift.Contest === 'abc300' &&
+            gridShift.Task === 'B' &&
+            gridShift.Difficulty === '250' &&
+            gridShift.Text.includes('cyclic shifts') &&
+            !/Sample|Score|#\.|\\leq|[{}]/.test(gridShift.Text) &&
+            stripLatex('1 \\leq A_{1,W} \\leq 10^5') === '1 A 1,W 10 5';
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testDMOJPipeline() {
+    console.log('\nTesting DMOJ preprocessing against fixtures...');
+    
+    const sourceDir = path.join(__dirname, 'platforms', 'dmoj', 'preprocess');
+    const sourceFiles = await fs.readdir(sourceDir);
+    const platformDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    
+    try {
+        // Fixtures are read from the platform directory, everything else is written to platformDir
+        const result = await preprocessPlatform('dmoj', { scrape: true, platformPath: platformDir, scrapeOptions: { fixtures: true } });
+        const problems = await readCSV(path.join(platformDir, 'problem.csv'));
+        const gates = problems.find(problem => problem.URL === 'https://dmoj.ca/problem/ccc15s3');
+        
+        console.log('Gates:', gates);
+        
+        // The organization-private problem is skipped; samples, code and markup are stripped
+        return result.success &&
+            result.steps.tfidf.stats.problemCount === 2 &&
+            await fs.pathExists(path.join(platformDir, 'manifest.json')) &&
+            JSON.stringify(await fs.readdir(sourceDir)) === JSON.stringify(sourceFiles) &&
+            problems.length === 2 &&
+            gates.Group === 'CCC' &&
+            gates.Tag === 'Data Structures, Greedy Algorithms' &&
+            gates.Difficulty === '10' &&
+            gates.Text.includes('permanently dock') &&
+            gates.Text.includes('See the contest page for') &&
+            !/Sample|Explanation|[~*#]|\\le/.test(gates.Text);
+    } finally {
+        await fs.remove(platformDir);
+    }
+}
+
+async function testIncrementalTraining() {
+    console.log('\nTesting incremental re-indexing...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    const headers = ['Name', 'URL', 'Text'].map(id => ({ id, title: id }));
+    const csvPath = path.join(tempDir, 'problem.csv');
+    const incrementalDir = path.join(tempDir, 'incremental');
+    const fullDir = path.join(tempDir, 'full');
+    // N-grams are only re-pruned by full builds, so exact equivalence holds for single tokens
+    const ngrams = 1;
+    
+    try {
+        await writeCSV(csvPath, [
+            { Name: 'Tree Queries', URL: 'http://example.com/1', Text: 'answer path queries on a rooted tree' },
+            { Name: 'Coin Change', URL: 'http://example.com/2', Text: 'dynamic programming over coin values' },
+            { Name: 'Shortest Path', URL: 'http://example.com/3', Text: 'dijkstra on a weighted graph' }
+        ], headers);
+        const initial = await trainTFIDF(csvPath, incrementalDir, { incremental: true, ngrams });
+        
+        // Problem 1 is removed, problem 2 changes and problem 4 is new
+        await writeCSV(csvPath, [
+            { Name: 'Coin Change', URL: 'http://example.com/2', Text: 'dynamic programming counting coin combinations' },
+            { Name: 'Shortest Path', URL: 'http://example.com/3', Text: 'dijkstra on a weighted graph' },
+            { Name: 'Tree Diameter', URL: 'http://example.com/4', Text: 'longest path in a tree with dynamic programming' }
+        ], headers);
+        const update = await trainTFIDF(csvPath, incrementalDir, { incremental: true, fullRebuildEvery: 2, ngrams });
+        await trainTFIDF(csvPath, fullDir, { ngrams });
+        
+        // The updated index must rank exactly like a fresh build
+        const loadScorers = async (dir) => {
+            const { vectorizer, matrix, counts, fieldCounts } = await loadPlatformData(dir);
+            return createScorers(vectorizer, matrix, counts, fieldCounts);
+        };
+        const incrementalScorers = await loadScorers(incrementalDir);
+        const fullScorers = await loadScorers(fullDir);
+        const sameRanking = ['tfidf', 'bm25'].every(model => {
+            const a = incrementalScorers[model].search('dynamic programming tree path', 0);
+            const b = fullScorers[model].search('dynamic programming tree path', 0);
+            return a.length === b.length && a.every((result, i) =>
+                result.index === b[i].index && Math.abs(result.score - b[i].score) < 1e-6);
+        });
+        
+        // The second update hits fullRebuildEvery
+        const rebuild = await trainTFIDF(csvPath, incrementalDir, { incremental: true, fullRebuildEvery: 2, ngrams });
+        
+        console.log(`Modes: ${initial.stats.mode}, ${update.stats.mode}, ${rebuild.stats.mode}; changes:`, update.stats.changes);
+        
+        return initial.stats.mode === 'full' &&
+            update.stats.mode === 'incremental' &&
+            JSON.stringify(update.stats.changes) === JSON.stringify({ added: 1, changed: 1, removed: 1, unchanged: 1 }) &&
+            update.stats.documentsProcessed === 2 &&
+            sameRanking &&
+            rebuild.stats.mode === 'full';
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testCodeforcesCheckpointing() {
+    console.log('\nTesting resumable Codeforces scraping...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    const savedFixtures = path.join(__dirname, 'platforms', 'codeforce', 'preprocess', 'fixtures');
+    const fixturesDir = path.join(tempDir, 'fixtures');
+    const outputPath = path.join(tempDir, 'problems.csv');
+    const statePaths = getStatePaths(outputPath);
+    const restore = (file) => fs.copy(path.join(savedFixtures, file), path.join(fixturesDir, file));
+    
+    try {
+        // Page 2 and the statement of 71A are unavailable: the run stops after page 1
+        await fs.copy(savedFixtures, fixturesDir);
+        await fs.remove(path.join(fixturesDir, 'problemset-BY_RATING_ASC-2.html'));
+        await fs.remove(path.join(fixturesDir, 'problem-71-A.html'));
+        
+        const interrupted = await scrapeCodeforces({ fixturesDir, outputPath, retries: 0 });
+        const checkpoint = await fs.readJson(statePaths.checkpoint);
+        const failures = await fs.readJson(statePaths.failures);
+        
+        // Resume: 4A must come from the partial results since its page is gone now
+        await restore('problemset-BY_RATING_ASC-2.html');
+        await fs.remove(path.join(fixturesDir, 'problem-4-A.html'));
+        const resumed = await scrapeCodeforces({ fixturesDir, outputPath });
+        const afterResume = await readCSV(outputPath);
+        
+        // Retry pass for the failure log only
+        await restore('problem-71-A.html');
+        const retried = await retryFailedProblems({ fixturesDir, outputPath });
+        const afterRetry = await readCSV(outputPath);
+        const textOf = (problems, url) => problems.find(problem => problem.URL === url).Text;
+        
+        console.log(`Interrupted after page ${checkpoint.completedPages}; failures: ${failures.map(failure => failure.URL).join(', ')}`);
+        console.log(`Resumed: ${resumed.problemCount} problems, ${resumed.failureCount} failing; retry recovered ${retried.recovered}`);
+        
+        return !interrupted.success &&
+            checkpoint.completedPages === 1 &&
+            failures.length === 1 && failures[0].URL.endsWith('/71/A') &&
+            resumed.success && resumed.problemCount === 4 && resumed.failureCount === 1 &&
+            textOf(afterResume, 'https://codeforces.com/problemset/problem/4/A').includes('watermelon') &&
+            textOf(afterResume, 'https://codeforces.com/problemset/problem/71/A') === '' &&
+            retried.recovered === 1 && retried.failureCount === 0 &&
+            textOf(afterRetry, 'https://codeforces.com/problemset/problem/71/A').includes('abbreviated') &&
+            !await fs.pathExists(statePaths.checkpoint) &&
+            !await fs.pathExists(statePaths.failures);
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testCodeforcesResumeAfterFailure() {
+    console.log('\nTesting resumed Codeforces scraping after a failed problem...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    const savedFixtures = path.join(__dirname, 'platforms', 'codeforce', 'preprocess', 'fixtures');
+    const fixturesDir = path.join(tempDir, 'fixtures');
+    const outputPath = path.join(tempDir, 'problems.csv');
+    const statePaths = getStatePaths(outputPath);
+    const url = 'https://codeforces.com/problemset/problem/71/A';
+    
+    // 71A fails on page 1, then the run crashes before page 1 is checkpointed
+    const crash = async () => {
+        await fs.remove(fixturesDir);
+        await fs.copy(savedFixtures, fixturesDir);
+        await fs.remove(path.join(fixturesDir, 'problemset-BY_RATING_ASC-2.html'));
+        await fs.remove(path.join(fixturesDir, 'problem-71-A.html'));
+        await scrapeCodeforces({ fixturesDir, outputPath, retries: 0 });
+        
+        const checkpoint = await fs.readJson(statePaths.checkpoint);
+        await fs.outputJson(statePaths.checkpoint, { ...checkpoint, completedPages: 0 });
+        await fs.remove(statePaths.partial);
+        await fs.copy(savedFixtures, fixturesDir);
+    };
+    
+    try {
+        // On resume page 1 is refetched and 71A now succeeds, with or without retry passes
+        const results = [];
+        for (const retries of [0, 1]) {
+            await crash();
+            const resumed = await scrapeCodeforces({ fixturesDir, outputPath, retries });
+            const rows = (await readCSV(outputPath)).filter(problem => problem.URL === url);
+            results.push({ resumed, rows, failuresLeft: await fs.pathExists(statePaths.failures) });
+        }
+        
+        console.log(`Resumed runs: ${results.map(({ resumed, rows }) => `${resumed.problemCount} problems, ${resumed.failureCount} failing, ${rows.length} row(s) for 71A`).join('; ')}`);
+        
+        return results.every(({ resumed, rows, failuresLeft }) =>
+            resumed.success && resumed.problemCount === 4 && resumed.failureCount === 0 &&
+            rows.length === 1 && rows[0].Text.includes('abbreviated') &&
+            !failuresLeft);
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testCodeforcesAPIIngestion() {
+    console.log('\nTesting Codeforces API ingestion...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    const fixturesDir = path.join(__dirname, 'platforms', 'codeforce', 'preprocess', 'fixtures');
+    const outputPath = path.join(tempDir, 'problems.csv');
+    const cleanedPath = path.join(tempDir, 'problem.csv');
+    
+    try {
+        const result = await scrapeCodeforces({
+            source: 'api',
+            apiSource: path.join(fixturesDir, 'problemset.problems.json'),
+            fixturesDir,
+            outputPath
+        });
+        const cleaning = await cleanCodeforceData(outputPath, cleanedPath);
+        const problems = await readCSV(cleanedPath);
+        const find = (url) => problems.find(problem => problem.URL === url);
+        
+        const grid = find('https://codeforces.com/problemset/problem/1990/G');
+        const team = find('https://codeforces.com/problemset/problem/231/A');
+        
+        console.log(`Ingested ${result.problemCount} problems, ${result.failureCount} failing`);
+        console.log(`1990G: ${grid && grid.Name} [${grid && grid.Tag}] solved by ${grid && grid.SolvedCount}`);
+        
+        return result.success && result.problemCount === 5 && result.failureCount === 0 &&
+            cleaning.success &&
+            grid.Name === 'Grid Reset' && grid.Index === 'G' && grid.Contest === '1990' &&
+            grid.Difficulty === '' && grid.Tag === 'greedy, implementation' &&
+            grid.SolvedCount === '1532' && grid.Text.includes('grid') &&
+            team.Name === 'Team' && team.Difficulty === '800' && team.SolvedCount === '287943' &&
+            find('https://codeforces.com/problemset/problem/4/A').Text.includes('watermelon');
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testHttpClient() {
+    console.log('\nTesting HTTP client...');
+    
+    // Parsing: the most specific group and the longest matching rule win
+    const robots = parseRobots([
+        'User-agent: *',
+        'Disallow: /private',
+        'Allow: /private/open',
+        'Crawl-delay: 2',
+        '',
+        'User-agent: OtherBot',
+        'Disallow: /'
+    ].join('\n'), 'ProblemFinder/1.0');
+    const parsedCorrectly = robots.crawlDelay === 2 &&
+        isAllowed(robots, '/problems') &&
+        !isAllowed(robots, '/private/notes') &&
+        isAllowed(robots, '/private/open/1') &&
+        !isAllowed(parseRobots('User-agent: otherbot\nDisallow: /', 'OtherBot/2.0'), '/problems');
+    
+    // Local server: /page supports ETags, /flaky fails twice, /limited rate limits once
+    const hits = { page: 0, flaky: 0, limited: 0 };
+    const server = http.createServer((req, res) => {
+        if (req.url === '/robots.txt') {
+            res.end('User-agent: *\nDisallow: /private\n');
+        } else if (req.url === '/page') {
+            hits.page++;
+            if (req.headers['if-none-match'] === '"v1"') {
+                res.writeHead(304);
+                res.end();
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html', ETag: '"v1"' });
+                res.end('<p>cached page</p>');
+            }
+        } else if (req.url === '/flaky') {
+            res.writeHead(++hits.flaky <= 2 ? 503 : 200);
+            res.end('flaky');
+        } else if (req.url === '/limited') {
+            res.writeHead(++hits.limited === 1 ? 429 : 200, { 'Retry-After': '0' });
+            res.end('limited');
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    
+    try {
+        const client = new HttpClient({ cacheDir, requestsPerSecond: 20, backoffBase: 10 });
+        
+        const first = await client.get(`${baseUrl}/page`, { responseType: 'text' });
+        const revalidated = await client.get(`${baseUrl}/page`, { responseType: 'text' });
+        const flaky = await client.get(`${baseUrl}/flaky`);
+        const limited = await client.get(`${baseUrl}/limited`);
+        
+        let disallowed = false;
+        await client.get(`${baseUrl}/private/data`).catch(error => {
+            disallowed = error.code === 'ROBOTS_DISALLOWED';
+        });
+        
+        let notFound = false;
+        await client.get(`${baseUrl}/missing`).catch(error => {
+            notFound = error.status === 404;
+        });
+        
+        // 20 requests per second: four more requests wait about 200ms for tokens
+        const start = Date.now();
+        for (let i = 0; i < 4; i++) {
+            await client.get(`${baseUrl}/limited`);
+        }
+        const elapsed = Date.now() - start;
+        
+        // Offline replay does not touch the server
+        await new Promise(resolve => server.close(resolve));
+        const offline = new HttpClient({ cacheDir, offline: true });
+        const replayed = await offline.get(`${baseUrl}/page`);
+        let uncachedFails = false;
+        await offline.get(`${baseUrl}/other`).catch(() => {
+            uncachedFails = true;
+        });
+        
+        console.log(`Page hits: ${hits.page} (revalidated from cache: ${revalidated.fromCache}), flaky hits: ${hits.flaky}, rate limited burst: ${elapsed}ms`);
+        
+        return parsedCorrectly &&
+            first.data === '<p>cached page</p>' && !first.fromCache &&
+            revalidated.fromCache && revalidated.data === first.data && hits.page === 2 &&
+            flaky.status === 200 && hits.flaky === 3 &&
+            limited.status === 200 &&
+            disallowed && notFound &&
+            elapsed >= 150 &&
+            replayed.fromCache && replayed.data === first.data && uncachedFails;
+    } finally {
+        if (server.listening) {
+            server.close();
+        }
+        await fs.remove(cacheDir);
+    }
+}
+
+async function testStructuredStatements() {
+    console.log('\nTesting structured Codeforces statements...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    const fixturesDir = path.join(__dirname, 'platforms', 'codeforce', 'preprocess', 'fixtures');
+    const outputPath = path.join(tempDir, 'problems.csv');
+    const cleanedPath = path.join(tempDir, 'problem.csv');
+    
+    try {
+        await scrapeCodeforces({ source: 'api', fixturesDir, outputPath });
+        await cleanCodeforceData(outputPath, cleanedPath);
+        await trainTFIDF(cleanedPath, tempDir);
+        
+        const problems = await readCSV(cleanedPath);
+        const grid = problems.find(problem => problem.URL.endsWith('/1990/G'));
+        const samples = JSON.parse(grid.Samples);
+        
+        const codeforces = new PlatformSearchModule({ id: 'codeforce', name: 'Codeforces', platformPath: tempDir });
+        const [watermelon] = await codeforces.query('watermelon', undefined, {});
+        const inInput = await codeforces.query('10^5', undefined, { section: 'constraints' });
+        const inNote = await codeforces.query('kilos', undefined, { section: 'note' });
+        const inSamples = await codeforces.query('000', undefined, { section: 'samples' });
+        // Constraints are normalized and indexed with the statement
+        const [byConstraint] = await codeforces.query('digits n up to 2e5', undefined, {});
+        
+        console.log(`1990G limits: ${grid.TimeLimit}, ${grid.MemoryLimit}; ${samples.length} samples`);
+        console.log(`Constraint search: ${inInput.map(result => result.name).join(', ')}`);
+        
+        return grid.Text.startsWith('You are given a grid') &&
+            grid.Input.includes('n_1e5') && !grid.Input.includes('\\') && grid.Output === 'Print the minimum number of operations.' &&
+            grid.TimeLimit === '2 seconds' && grid.MemoryLimit === '64 megabytes' &&
+            samples.length === 2 && samples[0].input === '2 2\n10\n01' && samples[0].output === '2' &&
+            watermelon.name === 'Watermelon' && watermelon.timeLimit === '1 second' &&
+            watermelon.samples.length === 1 && watermelon.samples[0].output === 'YES' &&
+            inInput.length === 1 && inInput[0].name === 'Grid Reset' &&
+            inNote.length === 1 && inNote[0].name === 'Watermelon' &&
+            inSamples.length === 1 && inSamples[0].name === 'Grid Reset' &&
+            byConstraint.name === 'Grid Reset';
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testMathNormalization() {
+    console.log('\nTesting math normalization...');
+    
+    const cases = [
+        ['$1 \\le n \\le 10^5$', '1 n n_1e5'],
+        ['1 \\le n \\le 2 \\cdot 10^5', '1 n n_1e5'],
+        ['a_1 \\oplus a_2 \\oplus \\ldots \\oplus a_n', 'a 1 xor a 2 xor xor a n'],
+        ['\\sum_{i=1}^{n} \\gcd(a_i, x)', 'sum i=1 n gcd (a i, x)'],
+        ['\\operatorname{lcm}(x, y) \\bmod 998244353', 'lcm (x, y) mod n_1e8'],
+        ['up to 1e5, 100000 or 1,000,000', 'up to n_1e5 , n_1e5 or n_1e6'],
+        ['2^{31} and 10^{18}', 'n_1e9 and n_1e18']
+    ];
+    const failures = cases.filter(([input, expected]) => normalizeMath(input) !== expected);
+    failures.forEach(([input, expected]) => {
+        console.log(`normalizeMath(${JSON.stringify(input)}) = ${JSON.stringify(normalizeMath(input))}, expected ${JSON.stringify(expected)}`);
+    });
+    
+    // Normalizing twice changes nothing, so queries can be normalized like statements
+    const idempotent = cases.every(([input]) => normalizeMath(normalizeMath(input)) === normalizeMath(input));
+    
+    // Statement math is searchable by name and magnitude
+    const documents = [
+        'Find a subarray with maximum $a_l \\oplus a_{l+1} \\oplus \\ldots \\oplus a_r$',
+        'Find the longest increasing subarray, $1 \\le n \\le 2 \\cdot 10^5$',
+        'Count the pairs with $\\gcd(a_i, a_j) = 1$'
+    ];
+    const vectorizer = new TFIDFVectorizer();
+    const { tfidf } = createScorers(vectorizer, vectorizer.fitTransform(documents));
+    const top = (query) => {
+        const [best] = tfidf.search(query);
+        return best ? best.index : -1;
+    };
+    
+    console.log(`Top results: xor subarray -> ${top('xor subarray')}, subarray n 1e5 -> ${top('subarray n up to 100000')}, gcd pairs -> ${top('gcd pairs')}`);
+    
+    return failures.length === 0 && idempotent &&
+        vectorizer.vocabulary.has('xor') && vectorizer.vocabulary.has('n_1e5') && vectorizer.vocabulary.has('gcd') &&
+        top('xor subarray') === 0 &&
+        top('subarray n up to 100000') === 1 &&
+        top('gcd pairs') === 2;
+}
+
+async function testAlphanumericTerms() {
+    console.log('\nTesting alphanumeric and hyphenated terms...');
+    
+    // Statements as cleaning stores them
+    const documents = [
+        'Reduce the constraints to a 2-SAT instance and check satisfiability',
+        'Find the k-th smallest element of every window',
+        'Answer sum queries with a segment tree'
+    ].map(cleanText);
+    const vectorizer = new TFIDFVectorizer({ stemmer: 'porter' });
+    const { tfidf } = createScorers(vectorizer, vectorizer.fitTransform(documents));
+    const top = (query) => {
+        const [best] = tfidf.search(query);
+        return best ? best.index : -1;
+    };
+    
+    const bigrams = new TFIDFVectorizer({ ngrams: 2 });
+    
+    console.log(`Terms of "${documents[0]}": ${vectorizer.analyze(documents[0]).join(', ')}`);
+    
+    // Hyphenated words are indexed whole (outside n-grams) and by their parts; tokens without letters are dropped
+    return top('2sat') === 0 && top('2-sat') === 0 &&
+        top('kth') === 1 && top('k-th') === 1 &&
+        vectorizer.preprocessText('segment-tree').join(' ') === 'segment tree' &&
+        bigrams.analyze('segment-tree queries').join('|') === 'segment|tree|queries|segment tree|tree queries|segmenttree' &&
+        vectorizer.preprocessText('a1 x 42').join(' ') === 'a1';
+}
+
+async function testStemming() {
+    console.log('\nTesting stemming...');
+    
+    const documents = [
+        'count shortest paths between pairs of nodes in weighted trees',
+        'string hashing with rolling polynomial hashes'
+    ];
+    const matches = (vectorizer, query) => {
+        const { tfidf } = createScorers(vectorizer, vectorizer.fitTransform(documents));
+        return tfidf.search(query).map(result => result.index);
+    };
+    
+    // Without stemming "path tree" shares no term with "paths ... trees"
+    const unstemmed = matches(new TFIDFVectorizer(), 'path tree');
+    const porter = new TFIDFVectorizer({ stemmer: 'porter' });
+    const stemmed = matches(porter, 'path tree');
+    const lancaster = matches(new TFIDFVectorizer({ stemmer: 'lancaster' }), 'hash strings');
+    
+    // The stemmer is saved with the model; older models load without stemming
+    const restored = TFIDFVectorizer.deserialize(JSON.parse(JSON.stringify(porter.serialize())));
+    const legacyData = porter.serialize();
+    delete legacyData.stemmer;
+    const legacy = TFIDFVectorizer.deserialize(legacyData);
+    
+    let rejected = false;
+    try {
+        new TFIDFVectorizer({ stemmer: 'snowball' });
+    } catch (error) {
+        rejected = true;
+    }
+    
+    // Incremental training cannot reuse counts made with another stemmer
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    const csvPath = path.join(tempDir, 'problem.csv');
+    try {
+        await writeCSV(csvPath, [
+            { Name: 'Tree Paths', URL: 'http://example.com/1', Text: documents[0] },
+            { Name: 'Hashing', URL: 'http://example.com/2', Text: documents[1] }
+        ], ['Name', 'URL', 'Text'].map(id => ({ id, title: id })));
+        
+        const first = await trainTFIDF(csvPath, tempDir, { stemmer: 'lancaster' });
+        const switched = await trainTFIDF(csvPath, tempDir, { incremental: true });
+        const same = await trainTFIDF(csvPath, tempDir, { incremental: true });
+        const invalid = await trainTFIDF(csvPath, tempDir, { stemmer: 'snowball' });
+        const { vectorizer: saved } = await loadPlatformData(tempDir);
+        
+        console.log(`Unstemmed: [${unstemmed}], porter: [${stemmed}], lancaster: [${lancaster}]; retrain modes: ${switched.stats.mode}, ${same.stats.mode}`);
+        
+        return unstemmed.length === 0 &&
+            stemmed[0] === 0 && lancaster[0] === 1 &&
+            porter.preprocessText('trees paths').join(' ') === 'tree path' &&
+            restored.stemmer === 'porter' && restored.preprocessText('paths').join(' ') === 'path' &&
+            legacy.stemmer === 'none' && legacy.preprocessText('paths').join(' ') === 'paths' &&
+            rejected &&
+            first.stats.stemmer === 'lancaster' &&
+            switched.stats.mode === 'full' && switched.stats.stemmer === 'porter' &&
+            same.stats.mode === 'incremental' &&
+            !invalid.success && saved.stemmer === 'porter';
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testPhraseQueries() {
+    console.log('\nTesting n-grams and phrase queries...');
+    
+    const documents = [
+        'build a segment tree over the array and answer range queries',
+        'count segment lengths in a rooted tree',
+        'persistent segment tree for kth smallest queries',
+        'binary search on the answer',
+        'shortest path in a weighted graph'
+    ];
+    const search = (vectorizer, query, model = 'tfidf') => {
+        vectorizer.fit(documents);
+        const scorers = createScorers(vectorizer, vectorizer.transformSparse(documents), vectorizer.transformCounts(documents));
+        return scorers[model].search(query, 0).map(result => result.index);
+    };
+    
+    const bigrams = new TFIDFVectorizer({ ngrams: 2, minDf: 2 });
+    const phrase = search(bigrams, '"segment tree"');
+    const bm25Phrase = search(bigrams, 'queries "segment tree"', 'bm25');
+    const words = search(bigrams, 'segment tree');
+    // Pruned below minDf: "binary search" appears in a single problem
+    const pruned = bigrams.vocabulary.has('binary search');
+    const unpruned = search(new TFIDFVectorizer({ ngrams: 2, minDf: 1 }), '"binary search"');
+    // Without n-grams a phrase can only require each of its words
+    const unigrams = search(new TFIDFVectorizer(), '"segment tree"');
+    
+    const restored = TFIDFVectorizer.deserialize(JSON.parse(JSON.stringify(bigrams.serialize())));
+    const legacyData = bigrams.serialize();
+    delete legacyData.ngrams;
+    const legacy = TFIDFVectorizer.deserialize(legacyData);
+    
+    let rejected = false;
+    try {
+        new TFIDFVectorizer({ ngrams: 4 });
+    } catch (error) {
+        rejected = true;
+    }
+    
+    const parsed = parseQuery('dp on "segment tree" "lazy');
+    
+    console.log(`Phrase: [${phrase}], BM25 phrase: [${bm25Phrase}], words: [${words}], unigram phrase: [${unigrams}]`);
+    
+    return JSON.stringify(phrase.slice().sort()) === '[0,2]' &&
+        JSON.stringify(bm25Phrase.slice().sort()) === '[0,2]' &&
+        words.length === 3 && words[2] === 1 &&
+        bigrams.vocabulary.has('segment tree') && !pruned &&
+        JSON.stringify(unpruned) === '[3]' &&
+        unigrams.length === 3 &&
+        restored.ngrams === 2 && restored.minDf === 2 && restored.vocabulary.has('segment tree') &&
+        legacy.ngrams === 1 && rejected &&
+        parsed.text === 'dp on segment tree lazy' &&
+        JSON.stringify(parsed.phrases) === '["segment tree","lazy"]' &&
+        parsed.unquoted === 'dp on';
+}
+
+async function testSynonymExpansion() {
+    console.log('\nTesting synonym expansion...');
+    
+    const dictionary = new SynonymDictionary({
+        weights: { synonym: 0.8, related: 0.3 },
+        groups: [
+            { terms: ['dp', 'dynamic programming'], related: ['memoization'] },
+            { terms: ['seg tree', 'segment tree'] },
+            { terms: ['2sat', 'two satisfiability'], related: ['implication graph'] },
+            { terms: ['k-th', 'kth'] }
+        ]
+    });
+    const expansionsOf = (query) => dictionary.expand(query).map(({ text, weight }) => `${text}:${weight}`).sort();
+    
+    const documents = [
+        'dynamic programming over subsets with memoization',
+        'greedy choice of intervals',
+        'build a segment tree for range sums'
+    ];
+    const vectorizer = new TFIDFVectorizer();
+    vectorizer.fit(documents);
+    const scorers = createScorers(vectorizer, vectorizer.transformSparse(documents), vectorizer.transformCounts(documents));
+    const search = (model, query) => scorers[model].search(query, 0, dictionary.expand(query)).map(result => result.index);
+    
+    // Shipped dictionary covers the common abbreviations
+    const shipped = SynonymDictionary.load(DEFAULT_SYNONYMS_PATH);
+    const shippedCovers = ['dp', 'bfs', 'dsu', 'lca', 'mst', 'fft', 'seg tree']
+        .every(abbreviation => shipped.expand(abbreviation).length > 0);
+    
+    // Reloading an invalid file keeps the previous dictionary
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    try {
+        const validPath = path.join(tempDir, 'synonyms.json');
+        const invalidPath = path.join(tempDir, 'invalid.json');
+        await fs.writeJson(validPath, { groups: [{ terms: ['mst', 'minimum spanning tree'] }] });
+        await fs.writeJson(invalidPath, { groups: [{ related: ['missing terms'] }] });
+        
+        const reloaded = reloadSynonyms(validPath);
+        let rejected = false;
+        try {
+            reloadSynonyms(invalidPath);
+        } catch (error) {
+            rejected = true;
+        }
+        const kept = getSynonyms() === reloaded;
+        reloadSynonyms(DEFAULT_SYNONYMS_PATH);
+        
+        console.log(`dp -> ${expansionsOf('dp')}; 2-sat -> ${expansionsOf('2-sat')}; tfidf "dp": [${search('tfidf', 'dp')}]`);
+        
+        return JSON.stringify(expansionsOf('dp')) === '["dynamic programming:0.8","memoization:0.3"]' &&
+            JSON.stringify(expansionsOf('Segtree queries')) === '["segment tree:0.8"]' &&
+            JSON.stringify(expansionsOf('2-sat')) === '["implication graph:0.3","two satisfiability:0.8"]' &&
+            JSON.stringify(expansionsOf('k-th smallest')) === '["kth:0.8"]' &&
+            // Terms already in the query are not added again, and words only containing a term do not match
+            JSON.stringify(expansionsOf('dp or dynamic programming')) === '["memoization:0.3"]' &&
+            expansionsOf('dpp update').length === 0 &&
+            JSON.stringify(search('tfidf', 'dp')) === '[0]' &&
+            JSON.stringify(search('bm25', 'dp')) === '[0]' &&
+            scorers.tfidf.search('dp', 0).length === 0 &&
+            JSON.stringify(search('bm25', 'seg tree')) === '[2]' &&
+            shippedCovers &&
+            reloaded.getStats().groups === 1 && rejected && kept;
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testFieldBoosts() {
+    console.log('\nTesting field-weighted scoring...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    const csvPath = path.join(tempDir, 'problem.csv');
+    
+    try {
+        await writeCSV(csvPath, [
+            { Name: 'Range Queries', URL: 'http://example.com/1', Tag: 'data structures', Text: 'sum of elements between two indices', Hints: '' },
+            { Name: 'Array Update', URL: 'http://example.com/2', Tag: 'implementation', Text: 'answer queries that update elements and report sums', Hints: '' },
+            { Name: 'Grid Paths', URL: 'http://example.com/3', Tag: 'combinatorics', Text: 'count lattice paths in a grid', Hints: 'use binomial coefficients' }
+        ], ['Name', 'URL', 'Tag', 'Text', 'Hints'].map(id => ({ id, title: id })));
+        
+        const trainResult = await trainTFIDF(csvPath, tempDir);
+        const { vectorizer, matrix, counts, fieldCounts } = await loadPlatformData(tempDir);
+        const scorers = createScorers(vectorizer, matrix, counts, fieldCounts);
+        const search = (model, query, boosts = null) =>
+            scorers[model].search(query, 0, [], boosts).map(result => result.index);
+        
+        // Models trained before field indexing ignore boosts
+        const legacy = createScorers(vectorizer, matrix, counts);
+        
+        let rejected = 0;
+        ['title:2', 'name:-1', 'name', 'name:2:3'].forEach(value => {
+            try {
+                parseBoosts(value);
+            } catch (error) {
+                rejected++;
+            }
+        });
+        
+        console.log(`"queries": tfidf [${search('tfidf', 'queries')}], bm25 [${search('bm25', 'queries')}], name:0 [${search('bm25', 'queries', { name: 0 })}]`);
+        
+        return trainResult.success &&
+            JSON.stringify(vectorizer.fields) === '["name","statement","tags","hints"]' &&
+            Object.keys(fieldCounts).length === 4 &&
+            ['tfidf', 'bm25'].every(model =>
+                // The name outweighs the statement by default, and boosts change that per query
+                JSON.stringify(search(model, 'queries')) === '[0,1]' &&
+                JSON.stringify(search(model, 'queries', { name: 0 })) === '[1]' &&
+                JSON.stringify(search(model, 'queries', { name: 0.1, statement: 5 })) === '[1,0]' &&
+                // Tags and hints are searchable fields of their own
+                JSON.stringify(search(model, 'combinatorics')) === '[2]' &&
+                search(model, 'combinatorics', { tags: 0 }).length === 0 &&
+                JSON.stringify(search(model, 'binomial')) === '[2]' &&
+                search(model, 'binomial', { hints: 0 }).length === 0) &&
+            JSON.stringify(legacy.bm25.search('binomial', 0, [], { hints: 0 }).map(result => result.index)) === '[2]' &&
+            JSON.stringify(parseBoosts('name:3, tags:2')) === '{"name":3,"tags":2}' &&
+            rejected === 4;
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testTypoTolerance() {
+    console.log('\nTesting typo-tolerant search...');
+    
+    // The BK-tree must find exactly what a scan of every word finds
+    const words = ['dijkstra', 'dynamic', 'graph', 'grape', 'graphs', 'knapsack', 'tree', 'trie', 'three', 'string'];
+    const tree = new BKTree();
+    words.forEach(word => tree.add(word));
+    const treeMatches = ['grahp', 'tre', 'strnig'].every(word =>
+        JSON.stringify(tree.search(word, 2).map(result => result.term).sort()) ===
+        JSON.stringify(words.filter(candidate => editDistance(word, candidate) <= 2).sort()));
+    
+    const documents = [
+        'shortest paths with dijkstra on weighted graphs',
+        'knapsack with dynamic programming over item weights',
+        'answer queries on rooted trees'
+    ];
+    const vectorizer = new TFIDFVectorizer({ stemmer: 'porter' });
+    vectorizer.fit(documents);
+    const scorers = createScorers(vectorizer, vectorizer.transformSparse(documents), vectorizer.transformCounts(documents));
+    
+    const corrector = new SpellingCorrector(vectorizer);
+    const corrections = corrector.correct('Djikstra knapsak qeuries');
+    const expansions = corrections.map(correction => ({ text: correction.suggestion, weight: 1 }));
+    const search = (model, query, extra = []) => scorers[model].search(query, 0, extra).map(result => result.index);
+    
+    // Readable words survive serialization
+    const restored = TFIDFVectorizer.deserialize(JSON.parse(JSON.stringify(vectorizer.serialize())));
+    
+    const suggested = suggestQuery('Djikstra knapsak', [
+        [{ word: 'djikstra', suggestion: 'dijkstra', distance: 1 }, { word: 'knapsak', suggestion: 'knapsack', distance: 1 }],
+        // Another platform knows "knapsak", so it is not a typo
+        [{ word: 'djikstra', suggestion: 'dijkstra', distance: 1 }]
+    ]);
+    
+    console.log('Corrections:', corrections.map(correction => `${correction.word} -> ${correction.suggestion}`).join(', '));
+    
+    return editDistance('djikstra', 'dijkstra') === 1 &&
+        editDistance('knapsak', 'knapsack') === 1 &&
+        editDistance('kitten', 'sitting') === 3 &&
+        treeMatches && tree.size === words.length &&
+        JSON.stringify(corrections.map(correction => correction.suggestion)) === '["dijkstra","knapsack","queries"]' &&
+        corrector.correct('dijkstra shortest queries tree').length === 0 &&
+        search('tfidf', 'djikstra').length === 0 &&
+        JSON.stringify(search('tfidf', 'djikstra', expansions.slice(0, 1))) === '[0]' &&
+        JSON.stringify(search('bm25', 'knapsak', expansions.slice(1, 2))) === '[1]' &&
+        restored.surfaceForm('queri') === 'queries' &&
+        suggested === 'dijkstra knapsak' &&
+        suggestQuery('dijkstra', [[], []]) === null;
+}
+
+async function testQuerySuggestions() {
+    console.log('\nTesting query suggestions...');
+    
+    // Best-first completion returns the heaviest entries under the prefix
+    const trie = new PrefixTrie();
+    [['graph', 5], ['grape', 1], ['greedy', 9], ['grid', 3], ['tree', 7]].forEach(([key, weight]) => trie.insert(key, weight));
+    trie.insert('grape', 3);
+    const completions = trie.complete('gr', 3).map(entry => `${entry.text}:${entry.weight}`);
+    
+    const documents = [
+        'shortest paths with dijkstra',
+        'shortest path in a grid',
+        'two sum of numbers',
+        'sum of shortest paths'
+    ];
+    const vectorizer = new TFIDFVectorizer({ stemmer: 'porter', ngrams: 2 });
+    vectorizer.fit(documents);
+    const suggester = new QuerySuggester(vectorizer, ['Two Sum', 'Shortest Path', 'Dijkstra?'], 1);
+    const texts = prefix => suggester.suggest(prefix, 5).map(suggestion => suggestion.text);
+    
+    // Platforms add up their frequencies
+    const merged = mergeSuggestions([
+        [{ text: 'graph', type: 'term', weight: 2 }, { text: 'grid', type: 'term', weight: 3 }],
+        [{ text: 'graph', type: 'term', weight: 2 }]
+    ], 5);
+    
+    console.log('Suggestions for "sh":', texts('sh').join(', '));
+    
+    return JSON.stringify(completions) === '["greedy:9","graph:5","grape:4"]' &&
+        trie.size === 5 && trie.complete('x').length === 0 &&
+        // Readable words, not stems; a name that is also a phrase is shown as the problem
+        JSON.stringify(texts('sh')) === '["Shortest Path","shortest"]' &&
+        JSON.stringify(texts('shortest PA')) === '["Shortest Path"]' &&
+        texts('two').includes('Two Sum') &&
+        texts('di')[0] === 'dijkstra' &&
+        texts('   ').length === 0 &&
+        JSON.stringify(merged.map(suggestion => suggestion.text)) === '["graph","grid"]' && merged[0].weight === 4;
+}
+
+async function testSimilarProblems() {
+    console.log('\nTesting similar problems...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    const headers = ['Name', 'URL', 'Tag', 'Difficulty', 'Text'].map(id => ({ id, title: id }));
+    
+    try {
+        // Two judges with separate vocabularies
+        const judges = {
+            first: [
+                { Name: 'Shortest Route', URL: 'http://a.com/1', Tag: 'graphs', Difficulty: '1600', Text: 'find the shortest path between two cities in a weighted graph' },
+                { Name: 'Coin Change', URL: 'http://a.com/2', Tag: 'dp', Difficulty: '1200', Text: 'count the ways to make change with coins' },
+                { Name: 'Flight Costs', URL: 'http://a.com/3', Tag: 'graphs', Difficulty: '2100', Text: 'cheapest flight path between cities in a weighted graph of routes' }
+            ],
+            second: [
+                { Name: 'Knapsack', URL: 'http://b.com/1', Tag: 'dp', Difficulty: '1500', Text: 'pack items with values and weights into a bag' },
+                { Name: 'Road Trip', URL: 'http://b.com/2', Tag: 'graphs', Difficulty: '1700', Text: 'shortest path over roads between cities with weighted edges' }
+            ]
+        };
+        
+        for (const [id, problems] of Object.entries(judges)) {
+            const preprocessDir = path.join(tempDir, id, 'preprocess');
+            // Only the first judge's difficulties are ratings; the second's are points
+            await fs.outputJson(path.join(tempDir, id, 'config.json'), id === 'first' ? { name: id, ratingScale: 'codeforces' } : { name: id });
+            await writeCSV(path.join(preprocessDir, 'problem.csv'), problems, headers);
+            await trainTFIDF(path.join(preprocessDir, 'problem.csv'), preprocessDir);
+        }
+        
+        const [first, second] = discoverPlatforms(tempDir);
+        const terms = await first.getProblemTerms(0);
+        const sameJudge = await first.findSimilar(terms, 0.01, { exclude: 0 });
+        const otherJudge = await second.findSimilar(terms);
+        const hardOnly = await first.findSimilar(terms, 0.01, { exclude: 0, filters: { minRating: 2000 } });
+        
+        // Within a judge the score is the cosine of the stored vectors
+        const { matrix } = await loadPlatformData(first.platformPath);
+        const expected = cosineSimilarity(matrix.getRow(0), matrix.getRow(2));
+        const problem = await first.getProblem(0);
+        const byUrl = await second.findProblem('http://b.com/2');
+        
+        console.log(`Similar to "${problem.name}": ${[...sameJudge, ...otherJudge].map(result => `${result.platform}/${result.id} ${result.name} (${result.score})`).join(', ')}`);
+        
+        return problem.id === 'http://a.com/1' && problem.score === undefined &&
+            byUrl === 1 && await second.findProblem('http://a.com/1') === -1 &&
+            await first.getProblem(3) === null && await first.getProblem(-1) === null &&
+            sameJudge.length === 1 && sameJudge[0].name === 'Flight Costs' &&
+            Math.abs(sameJudge[0].score - expected) < 0.001 &&
+            otherJudge.length === 1 && otherJudge[0].name === 'Road Trip' && otherJudge[0].id === 'http://b.com/2' &&
+            otherJudge[0].rating === null && otherJudge[0].difficulty === '1700' &&
+            (await second.findSimilar(terms, 0.01, { filters: { minRating: 1000 } })).length === 0 &&
+            hardOnly.length === 1 &&
+            (await first.findSimilar(terms, 0.01, { filters: { maxRating: 1000 } })).length === 0;
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testDuplicateDetection() {
+    console.log('\nTesting duplicate detection...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    const statement = 'You are given an array of n integers where 1 <= n <= 10^5. In one operation you may choose two ' +
+        'adjacent elements and replace them with their sum. Find the minimum number of operations needed to make ' +
+        'the array non-decreasing, or report that it is impossible to do so.';
+    const other = 'There are n cities connected by m bidirectional roads, each road having a positive length. Find ' +
+        'the length of the shortest route from the first city to the last city that visits every city at least once, ' +
+        'or print -1 if there is no such route in the kingdom.';
+    
+    try {
+        // The same task on three judges, written slightly differently
+        const judges = {
+            alpha: [
+                { Name: 'Merge to Sort', URL: 'http://alpha.com/1', Text: statement },
+                { Name: 'Royal Tour', URL: 'http://alpha.com/2', Text: other }
+            ],
+            beta: [
+                { Name: 'Sorting by Merges', URL: 'http://beta.com/7', Text: statement.replace('10^5', '100000') },
+                { Name: 'Short', URL: 'http://beta.com/8', Text: 'Print the sum of two integers.' }
+            ],
+            gamma: [
+                { Name: 'Array Merging', URL: 'http://gamma.com/3', Text: statement.replace('or report that it is impossible to do so.', 'or print -1.') }
+            ]
+        };
+        for (const [id, problems] of Object.entries(judges)) {
+            await fs.outputJson(path.join(tempDir, id, 'config.json'), { name: id });
+            await writeCSV(path.join(tempDir, id, 'preprocess', 'problem.csv'), problems,
+                ['Name', 'URL', 'Text'].map(header => ({ id: header, title: header })));
+        }
+        
+        // MinHash agreement estimates the Jaccard similarity
+        const a = shingle(statement);
+        const b = shingle(judges.gamma[0].Text);
+        const hasher = new MinHasher();
+        const [signatureA, signatureB] = [hasher.signature(a), hasher.signature(b)];
+        const agreement = signatureA.filter((value, index) => value === signatureB[index]).length / signatureA.length;
+        
+        const { clusters } = findDuplicateClusters(Object.entries(judges).flatMap(([platform, problems]) =>
+            problems.map(problem => ({ platform, name: problem.Name, url: problem.URL, text: problem.Text }))));
+        
+        const outputPath = path.join(tempDir, 'duplicates.json');
+        const result = await findDuplicates({ platformsDir: tempDir, outputPath });
+        const duplicates = DuplicateMap.load(outputPath);
+        const collapsed = duplicates.collapse([
+            { platform: 'beta', url: 'http://beta.com/7', score: 0.9 },
+            { platform: 'alpha', url: 'http://alpha.com/2', score: 0.5 },
+            { platform: 'alpha', url: 'http://alpha.com/1', score: 0.4 },
+            { platform: 'gamma', url: 'http://gamma.com/3', score: 0.3 }
+        ]);
+        
+        console.log(`Jaccard ${jaccard(a, b).toFixed(2)}, MinHash estimate ${agreement.toFixed(2)}`);
+        console.log('Clusters:', JSON.stringify(clusters.map(cluster => cluster.map(problem => problem.url))));
+        
+        return jaccard(a, a) === 1 && jaccard(a, shingle(other)) === 0 &&
+            Math.abs(agreement - jaccard(a, b)) < 0.15 &&
+            shingle(statement).size === shingle(judges.beta[0].Text).size &&
+            clusters.length === 1 && clusters[0].length === 3 &&
+            result.success && result.clusters === 1 && result.crossPlatform === 1 && result.problems === 5 &&
+            collapsed.length === 2 &&
+            JSON.stringify(collapsed[0].urls) === '["http://beta.com/7","http://alpha.com/1","http://gamma.com/3"]' &&
+            JSON.stringify(collapsed[1].urls) === '["http://alpha.com/2"]' &&
+            JSON.stringify(duplicates.duplicatesOf('http://alpha.com/1').sort()) === '["http://beta.com/7","http://gamma.com/3"]' &&
+            duplicates.duplicatesOf('http://alpha.com/2').length === 0 &&
+            new DuplicateMap().collapse([{ url: 'x', score: 1 }]).length === 1;
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
+async function testScoreFusion() {
+    console.log('\nTesting score fusion...');
+    
+    // Platform a scores higher across the board; its scale says nothing about relevance
+    const platformResults = [
+        [{ name: 'a1', score: 0.9 }, { name: 'a2', score: 0.8 }, { name: 'a3', score: 0.6 }],
+        [{ name: 'b1', score: 0.3 }, { name: 'b2', score: 0.1 }],
+        [{ name: 'c1', score: 12.5 }],
+        []
+    ];
+    const order = mode => fuseResults(platformResults, mode).map(result => result.name).join(',');
+    const fused = fuseResults(platformResults, 'max');
+    const rrf = fuseResults(platformResults, 'rrf');
+    // Platform c has a single match and d a full tie: no spread to standardize with
+    const zscore = fuseResults([[{ name: 'c1', score: 12.5 }], [{ name: 'd1', score: 0.4 }, { name: 'd2', score: 0.4 }]], 'zscore');
+    
+    ['raw', 'max', 'zscore', 'rrf'].forEach(mode => console.log(`${mode}: ${order(mode)}`));
+    
+    return order('raw') === 'c1,a1,a2,a3,b1,b2' &&
+        order('max') === 'a1,b1,c1,a2,a3,b2' &&
+        order('zscore') === 'a1,c1,b1,a2,b2,a3' &&
+        zscore.every(result => result.score === 1) &&
+        order('rrf') === 'a1,b1,c1,a2,b2,a3' &&
+        fused[1].score === 1 && fused[1].rawScore === 0.3 &&
+        rrf[0].score === 0.0164 && rrf[0].rawScore === 0.9 &&
+        fuseResults(platformResults, 'raw')[0].rawScore === undefined &&
+        isFusionMode('rrf') && !isFusionMode('sum');
+}
+
+async function testEmbeddingSearch() {
+    console.log('\nTesting embedding search...');
+    
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'problem-finder-'));
+    
+    try {
+        // WordPiece splits unknown words into vocabulary pieces
+        const vocabulary = ['[PAD]', '[UNK]', '[CLS]', '[SEP]', 'shortest', 'path', '##s', 'graph', ','];
+        const tokenizer = new WordPieceTokenizer(vocabulary, 6);
+        const tokens = tokenizer.encode('Shortest paths, graph');
+        const truncated = tokenizer.encode('path path path path path path');
+        
+        // Mean pooling skips padded tokens: a fake model returns each token id as its embedding
+        const session = {
+            inputNames: ['input_ids', 'attention_mask'],
+            outputNames: ['last_hidden_state'],
+            run: async feeds => {
+                const [batch, length] = feeds.input_ids.dims;
+                const data = new Float32Array(batch * length * 2);
+                feeds.input_ids.data.forEach((id, i) => {
+                    data[i * 2] = Number(id);
+                    data[i * 2 + 1] = 1;
+                });
+                return { last_hidden_state: { dims: [batch, length, 2], data } };
+            }
+        };
+        const encoder = new OnnxEncoder(session, tokenizer, 'fake');
+        const [short, long] = await encoder.encode(['path', 'shortest paths'], { batchSize: 2 });
+        const expectedShort = normalizeVector(Float32Array.from([(2 + 5 + 3) / 3, 1]));
+        
+        let missingModelError = '';
+        try {
+            await OnnxEncoder.load(path.join(tempDir, 'no-model'));
+        } catch (error) {
+            missingModelError = error.message;
+        }
+        
+        // Unit vectors around 4 directions, so k-means has clusters to find
+        const dimensions = 8;
+        const rows = 200;
+        const vectors = new Float32Array(rows * dimensions);
+        for (let row = 0; row < rows; row++) {
+            const vector = Float32Array.from({ length: dimensions }, (value, d) => Math.sin(row * 1.3 + d * 3.3) * 0.3);
+            vector[row % 4] += 1;
+            vectors.set(normalizeVector(vector), row * dimensions);
+        }
+        const index = IVFIndex.build(vectors, dimensions, { lists: 8 });
+        const query = vectors.slice(5 * dimensions, 6 * dimensions);
+        const exact = Array.from({ length: rows }, (value, row) => ({ index: row, score: index.similarity(query, row) }))
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .slice(0, 10);
+        const probed = index.search(query, 10, 2);
+        const allLists = index.search(query, 10, index.lists);
+        const recall = probed.filter(result => exact.some(item => item.index === result.index)).length / 10;
+        
+        await saveEmbeddings(tempDir, index, 'fake');
+        const loaded = await loadEmbeddings(tempDir);
+        
+        // Hybrid scores blend the lexical score (relative to the best) with the similarity
+        const lexical = {
+            search: queryText => (queryText.includes('"') ? [{ index: 7, score: 4 }] : [{ index: 7, score: 4 }, { index: 9, score: 2 }])
+        };
+        const scorer = new EmbeddingScorer(loaded.index, loaded.modelId);
+        const embedding = scorer.forQuery(query, lexical, 0).search('anything', 0);
+        const hybrid = scorer.forQuery(query, lexical, 0.5).search('anything', 0);
+        const hybridNine = hybrid.find(result => result.index === 9);
+        const phrase = scorer.forQuery(query, lexical, 0).search('"exact words"', 0);
+        
+        console.log(`Tokens: ${tokens.join(' ')}; recall with 2 of ${index.lists} lists: ${recall}`);
+        console.log(`Hybrid top results: ${hybrid.slice(0, 3).map(result => `${result.index} (${result.score.toFixed(3)})`).join(', ')}`);
+        
+        return tokens.join(' ') === '2 4 5 6 8 3' &&
+            truncated.length === 6 && truncated[5] === 3 &&
+            Math.abs(short[0] - expectedShort[0]) < 1e-6 && Math.abs(short[1] - expectedShort[1]) < 1e-6 &&
+            long.length === 2 &&
+            missingModelError.includes('model.onnx') &&
+            JSON.stringify(allLists) === JSON.stringify(exact) && probed[0].index === 5 && recall >= 0.5 &&
+            loaded.modelId === 'fake' && loaded.index.rows === rows && loaded.index.lists === 8 &&
+            JSON.stringify(loaded.index.search(query, 10, 2)) === JSON.stringify(probed) &&
+            embedding.length === 100 && embedding[0].index === 5 &&
+            Math.abs(hybridNine.score - (0.5 * 0.5 + 0.5 * Math.max(0, index.similarity(query, 9)))) < 1e-6 &&
+            phrase.length === 1 && phrase[0].index === 7 &&
+            await loadEmbeddings(path.join(tempDir, 'none')) === null;
+    } finally {
+        await fs.remove(tempDir);
+    }
+}
+
 async function runAllTests() {
     console.log('Problem Finder API - Node.js Setup Test');
     console.log('=' .repeat(50));
@@ -115,7 +1418,34 @@ async function runAllTests() {
     const tests = [
         { name: 'TF-IDF Vectorizer', test: testTFIDF },
         { name: 'CSV Operations', test: testCSV },
-        { name: 'Similarity Functions', test: testSimilarity }
+        { name: 'Similarity Functions', test: testSimilarity },
+        { name: 'Inverted Index', test: testInvertedIndex },
+        { name: 'Sparse Matrix Storage', test: testSparseStorage },
+        { name: 'BM25 Scoring', test: testBM25 },
+        { name: 'Math Normalization', test: testMathNormalization },
+        { name: 'Alphanumeric Terms', test: testAlphanumericTerms },
+        { name: 'Stemming', test: testStemming },
+        { name: 'Phrase Queries', test: testPhraseQueries },
+        { name: 'Synonym Expansion', test: testSynonymExpansion },
+        { name: 'Field Boosts', test: testFieldBoosts },
+        { name: 'Typo Tolerance', test: testTypoTolerance },
+        { name: 'Query Suggestions', test: testQuerySuggestions },
+        { name: 'Similar Problems', test: testSimilarProblems },
+        { name: 'Duplicate Detection', test: testDuplicateDetection },
+        { name: 'Score Fusion', test: testScoreFusion },
+        { name: 'Embedding Search', test: testEmbeddingSearch },
+        { name: 'Platform Registry', test: testPlatformRegistry },
+        { name: 'Problem Filters', test: testProblemFilters },
+        { name: 'Pagination', test: testPagination },
+        { name: 'HTTP Client', test: testHttpClient },
+        { name: 'Codeforces Checkpointing', test: testCodeforcesCheckpointing },
+        { name: 'Codeforces Resume After Failure', test: testCodeforcesResumeAfterFailure },
+        { name: 'Codeforces API Ingestion', test: testCodeforcesAPIIngestion },
+        { name: 'Structured Statements', test: testStructuredStatements },
+        { name: 'LeetCode Pipeline', test: testLeetCodePipeline },
+        { name: 'AtCoder Pipeline', test: testAtCoderPipeline },
+        { name: 'DMOJ Pipeline', test: testDMOJPipeline },
+        { name: 'Incremental Training', test: testIncrementalTraining }
     ];
     
     let passed = 0;
@@ -175,5 +1505,32 @@ module.exports = {
     testTFIDF,
     testCSV,
     testSimilarity,
+    testInvertedIndex,
+    testSparseStorage,
+    testBM25,
+    testMathNormalization,
+    testAlphanumericTerms,
+    testStemming,
+    testPhraseQueries,
+    testSynonymExpansion,
+    testFieldBoosts,
+    testTypoTolerance,
+    testQuerySuggestions,
+    testSimilarProblems,
+    testDuplicateDetection,
+    testScoreFusion,
+    testEmbeddingSearch,
+    testPlatformRegistry,
+    testProblemFilters,
+    testPagination,
+    testHttpClient,
+    testCodeforcesCheckpointing,
+    testCodeforcesResumeAfterFailure,
+    testCodeforcesAPIIngestion,
+    testStructuredStatements,
+    testLeetCodePipeline,
+    testAtCoderPipeline,
+    testDMOJPipeline,
+    testIncrementalTraining,
     runAllTests
 };
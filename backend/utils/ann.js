@@ -0,0 +1,174 @@
+// Inverted file index defaults; lists defaults to about the square root of the number of vectors
+const IVF_DEFAULTS = {
+    iterations: 10,   // k-means rounds when building the index
+    nprobe: 8,        // Lists scanned per query: more is slower but finds more of the true neighbours
+    seed: 1
+};
+
+/**
+ * Dot product of a query with one row of a flat array of vectors
+ * @param {Float32Array} query - Query vector
+ * @param {Float32Array} vectors - Vectors stored row after row
+ * @param {number} row - Row to compare with
+ * @returns {number} - Dot product (the cosine similarity of unit vectors)
+ */
+function dotRow(query, vectors, row) {
+    const offset = row * query.length;
+    let sum = 0;
+    for (let d = 0; d < query.length; d++) {
+        sum += query[d] * vectors[offset + d];
+    }
+    return sum;
+}
+
+/**
+ * Approximate nearest neighbour index over unit vectors (IVF)
+ *
+ * Vectors are clustered with spherical k-means and each cluster keeps the
+ * list of its vectors. A query is compared with the centroids first and then
+ * only with the vectors of the nprobe closest lists.
+ */
+class IVFIndex {
+    /**
+     * @param {Float32Array} vectors - Unit vectors stored row after row
+     * @param {number} dimensions - Vector length
+     * @param {Float32Array} centroids - Unit centroids stored row after row
+     * @param {Uint32Array} listOffsets - Start of each list in listDocs, plus its total length
+     * @param {Uint32Array} listDocs - Rows of the vectors of each list
+     */
+    constructor(vectors, dimensions, centroids, listOffsets, listDocs) {
+        this.vectors = vectors;
+        this.dimensions = dimensions;
+        this.rows = dimensions > 0 ? vectors.length / dimensions : 0;
+        this.centroids = centroids;
+        this.listOffsets = listOffsets;
+        this.listDocs = listDocs;
+        this.lists = listOffsets.length - 1;
+    }
+
+    /**
+     * Cosine similarity of a query with one stored vector
+     * @param {Float32Array} query - Unit query vector
+     * @param {number} row - Row of the stored vector
+     * @returns {number} - Similarity from -1 to 1
+     */
+    similarity(query, row) {
+        return dotRow(query, this.vectors, row);
+    }
+
+    /**
+     * Find the stored vectors most similar to a query
+     * @param {Float32Array} query - Unit query vector
+     * @param {number} k - Number of neighbours
+     * @param {number} nprobe - Number of lists to scan
+     * @returns {Array} - Array of {index, score} objects sorted by score
+     */
+    search(query, k, nprobe = IVF_DEFAULTS.nprobe) {
+        if (query.length !== this.dimensions) {
+            throw new Error(`Query has ${query.length} dimensions, the index has ${this.dimensions}`);
+        }
+
+        const lists = [];
+        for (let list = 0; list < this.lists; list++) {
+            lists.push({ list, score: dotRow(query, this.centroids, list) });
+        }
+        lists.sort((a, b) => b.score - a.score);
+
+        const results = [];
+        lists.slice(0, nprobe).forEach(({ list }) => {
+            for (let i = this.listOffsets[list]; i < this.listOffsets[list + 1]; i++) {
+                const index = this.listDocs[i];
+                results.push({ index, score: dotRow(query, this.vectors, index) });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score || a.index - b.index).slice(0, k);
+    }
+
+    /**
+     * Build an index with spherical k-means
+     * @param {Float32Array} vectors - Unit vectors stored row after row
+     * @param {number} dimensions - Vector length
+     * @param {Object} options - {lists, iterations, seed}; see IVF_DEFAULTS
+     * @returns {IVFIndex} - Built index
+     */
+    static build(vectors, dimensions, options = {}) {
+        const rows = vectors.length / dimensions;
+        const { iterations, seed } = { ...IVF_DEFAULTS, ...options };
+        const lists = rows === 0 ? 0 : Math.max(1, Math.min(rows, options.lists || Math.round(Math.sqrt(rows))));
+
+        // Start from distinct rows picked by a seeded shuffle, so builds are reproducible
+        const order = Array.from({ length: rows }, (value, row) => row);
+        let state = seed >>> 0;
+        for (let i = rows - 1; i > 0; i--) {
+            state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+            const j = state % (i + 1);
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        const centroids = new Float32Array(lists * dimensions);
+        for (let list = 0; list < lists; list++) {
+            centroids.set(vectors.subarray(order[list] * dimensions, (order[list] + 1) * dimensions), list * dimensions);
+        }
+
+        const assignments = new Uint32Array(rows);
+        for (let iteration = 0; iteration <= iterations; iteration++) {
+            // Assign each vector to its most similar centroid
+            for (let row = 0; row < rows; row++) {
+                const vector = vectors.subarray(row * dimensions, (row + 1) * dimensions);
+                let best = 0;
+                let bestScore = -Infinity;
+                for (let list = 0; list < lists; list++) {
+                    const score = dotRow(vector, centroids, list);
+                    if (score > bestScore) {
+                        best = list;
+                        bestScore = score;
+                    }
+                }
+                assignments[row] = best;
+            }
+            if (iteration === iterations) break;
+
+            // Move each centroid to the normalized mean of its vectors; empty lists keep theirs
+            const sums = new Float32Array(lists * dimensions);
+            const sizes = new Uint32Array(lists);
+            for (let row = 0; row < rows; row++) {
+                const list = assignments[row];
+                sizes[list]++;
+                for (let d = 0; d < dimensions; d++) {
+                    sums[list * dimensions + d] += vectors[row * dimensions + d];
+                }
+            }
+            for (let list = 0; list < lists; list++) {
+                if (sizes[list] === 0) continue;
+
+                let norm = 0;
+                for (let d = 0; d < dimensions; d++) {
+                    norm += sums[list * dimensions + d] * sums[list * dimensions + d];
+                }
+                norm = Math.sqrt(norm) || 1;
+                for (let d = 0; d < dimensions; d++) {
+                    centroids[list * dimensions + d] = sums[list * dimensions + d] / norm;
+                }
+            }
+        }
+
+        // Lists as offsets into one array of rows
+        const listOffsets = new Uint32Array(lists + 1);
+        assignments.forEach(list => listOffsets[list + 1]++);
+        for (let list = 0; list < lists; list++) {
+            listOffsets[list + 1] += listOffsets[list];
+        }
+        const listDocs = new Uint32Array(rows);
+        const next = listOffsets.slice(0, lists);
+        assignments.forEach((list, row) => {
+            listDocs[next[list]++] = row;
+        });
+
+        return new IVFIndex(vectors, dimensions, centroids, listOffsets, listDocs);
+    }
+}
+
+module.exports = {
+    IVF_DEFAULTS,
+    IVFIndex
+};
@@ -0,0 +1,195 @@
+const path = require('path');
+const { readCSV, writeCSV } = require('./csv');
+
+/**
+ * Clean text by removing unwanted characters and normalizing whitespace
+ * @param {string} text - Text to clean
+ * @returns {string} - Cleaned text
+ */
+function cleanText(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+
+    return text
+        .trim()                           // Remove leading/trailing whitespace
+        .replace(/\n/g, ' ')             // Replace newlines with spaces
+        .replace(/\$/g, ' ')             // Replace $ symbols with spaces
+        .replace(/\s+/g, ' ')            // Replace multiple spaces with single space
+        .trim();                         // Final trim
+}
+
+/**
+ * Clean URL by trimming whitespace
+ * @param {string} url - URL to clean
+ * @returns {string} - Cleaned URL
+ */
+function cleanURL(url) {
+    if (!url || typeof url !== 'string') {
+        return '';
+    }
+    return url.trim();
+}
+
+/**
+ * Remove LaTeX markup from a math expression, keeping its symbols
+ * @param {string} text - Expression such as "1 \leq N \leq 10^5"
+ * @returns {string} - Expression without commands, braces, sub- and superscripts
+ */
+function stripLatex(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+
+    return text
+        .replace(/\\([a-zA-Z]+|.)/g, ' ') // Remove commands such as \leq, \ldots and \,
+        .replace(/[{}_^\\$]/g, ' ')      // Remove braces, sub/superscripts and stray backslashes
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Validate cleaned data
+ * @param {Array} problems - Array of problem objects
+ * @returns {Object} - Validation statistics
+ */
+function validateCleanedData(problems) {
+    const stats = {
+        total: problems.length,
+        emptyNames: 0,
+        emptyUrls: 0,
+        emptyTexts: 0,
+        validProblems: 0
+    };
+
+    problems.forEach(problem => {
+        if (!problem.Name || problem.Name.trim() === '') {
+            stats.emptyNames++;
+        }
+        if (!problem.URL || problem.URL.trim() === '') {
+            stats.emptyUrls++;
+        }
+        if (!problem.Text || problem.Text.trim() === '') {
+            stats.emptyTexts++;
+        }
+        if (problem.Name && problem.URL && problem.Text) {
+            stats.validProblems++;
+        }
+    });
+
+    return stats;
+}
+
+/**
+ * Process and clean problem data
+ * @param {Array} problems - Array of problem objects
+ * @param {Function} cleanSingleProblem - Cleans one problem object
+ * @returns {Array} - Array of cleaned problem objects
+ */
+function cleanProblemsData(problems, cleanSingleProblem) {
+    console.log(`Cleaning ${problems.length} problems...`);
+
+    const cleanedProblems = problems.map((problem, index) => {
+        try {
+            const cleaned = cleanSingleProblem(problem);
+
+            // Log progress every 100 problems
+            if ((index + 1) % 100 === 0) {
+                console.log(`Cleaned ${index + 1}/${problems.length} problems`);
+            }
+
+            return cleaned;
+        } catch (error) {
+            console.error(`Error cleaning problem at index ${index}:`, error.message);
+            return problem; // Return original if cleaning fails
+        }
+    });
+
+    console.log('Cleaning completed successfully');
+    return cleanedProblems;
+}
+
+/**
+ * Clean a platform's scraped problems.csv into problem.csv
+ * @param {string} inputPath - Path to input CSV file
+ * @param {string} outputPath - Path to output CSV file (optional, defaults to input path)
+ * @param {Object} options - Platform cleaning options
+ * @param {string} options.platformName - Platform name, for log messages
+ * @param {Array} options.headers - CSV headers of the cleaned file
+ * @param {Function} options.cleanSingleProblem - Cleans one problem object
+ * @returns {Promise<Object>} - Cleaning result statistics
+ */
+async function cleanPlatformData(inputPath, outputPath, options) {
+    const { platformName, headers, cleanSingleProblem } = options;
+
+    try {
+        console.log(`Reading problems from: ${inputPath}`);
+
+        // Read the CSV file
+        const problems = await readCSV(inputPath);
+        console.log(`Loaded ${problems.length} problems`);
+
+        if (problems.length === 0) {
+            throw new Error('No problems found in the input file');
+        }
+
+        // Clean the data
+        const cleanedProblems = cleanProblemsData(problems, cleanSingleProblem);
+
+        // Validate cleaned data
+        const stats = validateCleanedData(cleanedProblems);
+        console.log('Validation statistics:', stats);
+
+        // Save cleaned data
+        const outputFile = outputPath || inputPath;
+        await writeCSV(outputFile, cleanedProblems, headers);
+        console.log(`Cleaned data saved to: ${outputFile}`);
+
+        return {
+            success: true,
+            stats: stats,
+            outputPath: outputFile
+        };
+
+    } catch (error) {
+        console.error(`Error cleaning ${platformName} data:`, error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Command line entry point of a platform's cleaning script: cleans problems.csv into problem.csv
+ * @param {Function} cleanData - Platform cleaning function (inputPath, outputPath)
+ * @param {string} preprocessDir - Platform preprocess directory
+ */
+function runCleaningScript(cleanData, preprocessDir) {
+    const inputPath = path.join(preprocessDir, 'problems.csv');
+    const outputPath = path.join(preprocessDir, 'problem.csv');
+
+    cleanData(inputPath, outputPath)
+        .then(result => {
+            if (result.success) {
+                console.log('\nCleaning completed successfully!');
+                console.log('Statistics:', result.stats);
+                console.log(`Output saved to: ${result.outputPath}`);
+            } else {
+                console.error('\nCleaning failed:', result.error);
+            }
+        })
+        .catch(error => {
+            console.error('Unexpected error:', error);
+        });
+}
+
+module.exports = {
+    cleanText,
+    cleanURL,
+    stripLatex,
+    validateCleanedData,
+    cleanProblemsData,
+    cleanPlatformData,
+    runCleaningScript
+};
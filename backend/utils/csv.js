@@ -3,6 +3,52 @@ const csv = require('csv-parser');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const path = require('path');
 
+// Columns of problems.csv (scraped) and problem.csv (cleaned)
+const PROBLEM_HEADERS = [
+    { id: 'Name', title: 'Name' },
+    { id: 'URL', title: 'URL' },
+    { id: 'Tag', title: 'Tag' },
+    { id: 'Difficulty', title: 'Difficulty' },
+    { id: 'Text', title: 'Text' }
+];
+
+// Optional statement section columns (Codeforces) and their keys in API results
+const SECTION_COLUMNS = {
+    Input: 'input',
+    Output: 'output',
+    TimeLimit: 'timeLimit',
+    MemoryLimit: 'memoryLimit',
+    Samples: 'samples',
+    Note: 'note'
+};
+
+/**
+ * Read the statement sections of a problem row
+ * @param {Object} row - CSV row
+ * @returns {Object|null} - Sections keyed as in SECTION_COLUMNS (samples parsed), or null if the row has none
+ */
+function readSections(row) {
+    const columns = Object.keys(SECTION_COLUMNS).filter(column => row[column]);
+    if (columns.length === 0) {
+        return null;
+    }
+
+    const sections = {};
+    columns.forEach(column => {
+        sections[SECTION_COLUMNS[column]] = row[column];
+    });
+
+    if (sections.samples) {
+        try {
+            sections.samples = JSON.parse(sections.samples);
+        } catch (error) {
+            delete sections.samples;
+        }
+    }
+
+    return sections;
+}
+
 /**
  * Read CSV file and return parsed data
  * @param {string} filePath - Path to CSV file
@@ -58,7 +104,7 @@ function writeCSV(filePath, data, headers) {
 /**
  * Read problem data from CSV with standard columns
  * @param {string} filePath - Path to problem CSV file
- * @returns {Promise<Object>} - Object with names, urls, and texts arrays
+ * @returns {Promise<Object>} - Object with names, urls, texts, tags, hints, difficulties and sections arrays
  */
 async function readProblemData(filePath) {
     try {
@@ -68,7 +114,9 @@ async function readProblemData(filePath) {
         const urls = [];
         const texts = [];
         const tags = [];
+        const hints = [];
         const difficulties = [];
+        const sections = [];
         
         data.forEach(row => {
             // Handle different column name variations
@@ -76,13 +124,16 @@ async function readProblemData(filePath) {
             const url = row.URL || row.url || row.Url || '';
             const text = row.Text || row.text || row.description || '';
             const tag = row.Tag || row.tag || row.tags || '';
+            const hint = row.Hints || row.hints || '';
             const difficulty = row.Difficulty || row.difficulty || '';
             
             names.push(name);
             urls.push(url);
             texts.push(text);
             tags.push(tag);
+            hints.push(hint);
             difficulties.push(difficulty);
+            sections.push(readSections(row));
         });
         
         return {
@@ -90,7 +141,9 @@ async function readProblemData(filePath) {
             urls,
             texts,
             tags,
+            hints,
             difficulties,
+            sections,
             length: data.length
         };
     } catch (error) {
@@ -160,6 +213,7 @@ async function getCSVStats(filePath) {
 }
 
 module.exports = {
+    PROBLEM_HEADERS,
     readCSV,
     writeCSV,
     readProblemData,
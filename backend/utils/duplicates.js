@@ -0,0 +1,356 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeMath } = require('./math');
+
+// Written by scripts/find-duplicates.js; DUPLICATES_PATH points to another file
+const DEFAULT_DUPLICATES_PATH = path.join(__dirname, '..', 'platforms', 'duplicates.json');
+
+const DUPLICATES_VERSION = 1;
+
+const DEDUPE_DEFAULTS = {
+    shingleSize: 5,   // Words per shingle
+    numHashes: 128,   // MinHash signature length (bands * rows)
+    bands: 32,        // LSH bands; candidates share all rows of one band
+    threshold: 0.7,   // Least Jaccard similarity of the shingle sets of two duplicates
+    minWords: 20,     // Shorter statements are too generic to compare
+    seed: 1
+};
+
+// Buckets larger than this are boilerplate shared by unrelated problems, not one task
+const MAX_BUCKET_SIZE = 50;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Hashed word shingles of a statement
+ *
+ * Math is normalized first, so "10^5" on one judge and "100000" on another
+ * give the same words.
+ * @param {string} text - Cleaned statement
+ * @param {number} size - Words per shingle
+ * @returns {Set<number>} - Hashes of the shingles
+ */
+function shingle(text, size = DEDUPE_DEFAULTS.shingleSize) {
+    const words = normalizeMath(String(text || '')).toLowerCase().match(/[a-z0-9_]+/g) || [];
+    const shingles = new Set();
+
+    for (let i = 0; i + size <= words.length; i++) {
+        shingles.add(hashString(words.slice(i, i + size).join(' ')));
+    }
+    return shingles;
+}
+
+/**
+ * Exact Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} - |a ∩ b| / |a ∪ b|
+ */
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 0;
+
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let shared = 0;
+    small.forEach(value => {
+        if (large.has(value)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * MinHash signatures: the share of equal positions in two signatures
+ * estimates the Jaccard similarity of the two sets
+ */
+class MinHasher {
+    /**
+     * @param {number} numHashes - Signature length
+     * @param {number} seed - Seed of the hash functions, so signatures are reproducible
+     */
+    constructor(numHashes = DEDUPE_DEFAULTS.numHashes, seed = DEDUPE_DEFAULTS.seed) {
+        this.numHashes = numHashes;
+        this.multipliers = new Uint32Array(numHashes);
+        this.offsets = new Uint32Array(numHashes);
+
+        // mulberry32
+        let state = seed >>> 0;
+        const random = () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return (t ^ (t >>> 14)) >>> 0;
+        };
+
+        for (let i = 0; i < numHashes; i++) {
+            this.multipliers[i] = random() | 1;
+            this.offsets[i] = random();
+        }
+    }
+
+    /**
+     * Signature of a set of hashed shingles
+     * @param {Set<number>} shingles - Shingle hashes
+     * @returns {Uint32Array} - Minimum of each hash function over the set
+     */
+    signature(shingles) {
+        const signature = new Uint32Array(this.numHashes).fill(0xffffffff);
+
+        shingles.forEach(value => {
+            for (let i = 0; i < this.numHashes; i++) {
+                // Multiply-add, then the murmur3 finalizer to mix the low bits
+                let hash = (Math.imul(this.multipliers[i], value) + this.offsets[i]) >>> 0;
+                hash ^= hash >>> 16;
+                hash = Math.imul(hash, 0x85ebca6b);
+                hash ^= hash >>> 13;
+                hash >>>= 0;
+                if (hash < signature[i]) {
+                    signature[i] = hash;
+                }
+            }
+        });
+
+        return signature;
+    }
+}
+
+/**
+ * Cluster near-duplicate problems
+ *
+ * Statements are shingled and MinHashed; locality-sensitive hashing groups
+ * signatures that agree on a whole band, and those candidate pairs whose
+ * shingle sets have a Jaccard similarity of at least the threshold are
+ * merged (transitively) into clusters.
+ * @param {Array} problems - Problems {platform, name, url, text}
+ * @param {Object} options - Overrides of DEDUPE_DEFAULTS
+ * @returns {Object} - {clusters: arrays of {platform, name, url}, compared: number of pairs checked}
+ */
+function findDuplicateClusters(problems, options = {}) {
+    const { shingleSize, numHashes, bands, threshold, minWords, seed } = { ...DEDUPE_DEFAULTS, ...options };
+    if (numHashes % bands !== 0) {
+        throw new Error(`numHashes (${numHashes}) must be a multiple of bands (${bands})`);
+    }
+    const rows = numHashes / bands;
+
+    const hasher = new MinHasher(numHashes, seed);
+    const shingleSets = problems.map(problem => {
+        const words = (String(problem.text || '').match(/\S+/g) || []).length;
+        return words >= minWords ? shingle(problem.text, shingleSize) : new Set();
+    });
+
+    // Problems sharing a band end up in the same bucket
+    const buckets = new Map();
+    shingleSets.forEach((shingles, index) => {
+        if (shingles.size === 0) return;
+
+        const signature = hasher.signature(shingles);
+        for (let band = 0; band < bands; band++) {
+            const key = `${band}:${signature.subarray(band * rows, (band + 1) * rows).join(',')}`;
+            const bucket = buckets.get(key);
+            if (bucket) {
+                bucket.push(index);
+            } else {
+                buckets.set(key, [index]);
+            }
+        }
+    });
+
+    // Union-find over the verified pairs
+    const parent = problems.map((problem, index) => index);
+    const find = index => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    const compared = new Set();
+    buckets.forEach(bucket => {
+        if (bucket.length < 2 || bucket.length > MAX_BUCKET_SIZE) return;
+
+        for (let i = 0; i < bucket.length; i++) {
+            for (let j = i + 1; j < bucket.length; j++) {
+                const pair = `${bucket[i]},${bucket[j]}`;
+                if (compared.has(pair)) continue;
+                compared.add(pair);
+
+                if (find(bucket[i]) !== find(bucket[j]) &&
+                    jaccard(shingleSets[bucket[i]], shingleSets[bucket[j]]) >= threshold) {
+                    parent[find(bucket[j])] = find(bucket[i]);
+                }
+            }
+        }
+    });
+
+    const clusters = new Map();
+    problems.forEach((problem, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push({ platform: problem.platform, name: problem.name, url: problem.url });
+    });
+
+    return {
+        clusters: Array.from(clusters.values()).filter(cluster => cluster.length > 1),
+        compared: compared.size
+    };
+}
+
+/**
+ * Stored clusters of duplicate problems, looked up by URL
+ */
+class DuplicateMap {
+    /**
+     * @param {Object} data - Contents of duplicates.json {version, clusters}
+     * @throws {Error} - If the data is malformed
+     */
+    constructor(data = { clusters: [] }) {
+        if (!data || !Array.isArray(data.clusters)) {
+            throw new Error('Duplicate map must be an object with a "clusters" array');
+        }
+
+        this.clusters = data.clusters;
+        this.clusterOf = new Map();
+        this.clusters.forEach((cluster, index) => {
+            if (!Array.isArray(cluster) || !cluster.every(problem => problem && typeof problem.url === 'string')) {
+                throw new Error(`Duplicate cluster ${index} must be an array of problems with a "url"`);
+            }
+            cluster.forEach(problem => this.clusterOf.set(problem.url, index));
+        });
+    }
+
+    /**
+     * Collapse the results of each cluster into its best result
+     *
+     * Every kept result gets the URLs of all problems of its cluster in `urls`,
+     * its own URL first (results outside any cluster list only their own).
+     * @param {Array} results - Search results sorted by score
+     * @returns {Array} - Results with at most one result per cluster, in the same order
+     */
+    collapse(results) {
+        const seen = new Set();
+        const collapsed = [];
+
+        results.forEach(result => {
+            const cluster = this.clusterOf.get(result.url);
+            if (cluster === undefined) {
+                collapsed.push({ ...result, urls: [result.url] });
+                return;
+            }
+
+            if (seen.has(cluster)) return;
+            seen.add(cluster);
+
+            const others = this.clusters[cluster]
+                .map(problem => problem.url)
+                .filter(url => url !== result.url);
+            collapsed.push({ ...result, urls: [result.url, ...others] });
+        });
+
+        return collapsed;
+    }
+
+    /**
+     * URLs of the other problems in a problem's cluster
+     * @param {string} url - Problem URL
+     * @returns {Array} - URLs of its duplicates (empty outside any cluster)
+     */
+    duplicatesOf(url) {
+        const cluster = this.clusterOf.get(url);
+        if (cluster === undefined) return [];
+
+        return this.clusters[cluster]
+            .map(problem => problem.url)
+            .filter(other => other !== url);
+    }
+
+    /**
+     * Duplicate map statistics
+     * @returns {Object} - {clusters, problems}
+     */
+    getStats() {
+        return {
+            clusters: this.clusters.length,
+            problems: this.clusterOf.size
+        };
+    }
+
+    /**
+     * Load a duplicate map from a JSON file
+     * @param {string} filePath - Path to the duplicate map
+     * @returns {DuplicateMap} - Loaded map
+     * @throws {Error} - If the file cannot be read or is not a valid map
+     */
+    static load(filePath) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (data.version !== DUPLICATES_VERSION) {
+            throw new Error(`Unsupported duplicate map version ${data.version}. Rerun scripts/find-duplicates.js`);
+        }
+        return new DuplicateMap(data);
+    }
+}
+
+// Duplicate map used by searches, loaded on first use
+let duplicates = null;
+
+/**
+ * Path of the duplicate map
+ * @returns {string} - DUPLICATES_PATH or platforms/duplicates.json
+ */
+function getDuplicatesPath() {
+    return process.env.DUPLICATES_PATH || DEFAULT_DUPLICATES_PATH;
+}
+
+/**
+ * Get the duplicate map used by searches
+ * @returns {DuplicateMap} - Active map (empty if the file could not be loaded)
+ */
+function getDuplicates() {
+    if (!duplicates) {
+        try {
+            duplicates = DuplicateMap.load(getDuplicatesPath());
+            console.log(`Loaded ${duplicates.clusters.length} duplicate clusters from ${getDuplicatesPath()}`);
+        } catch (error) {
+            console.error(`Error loading duplicates from ${getDuplicatesPath()}:`, error.message);
+            duplicates = new DuplicateMap();
+        }
+    }
+    return duplicates;
+}
+
+/**
+ * Reload the duplicate map, e.g. after rerunning scripts/find-duplicates.js
+ * @param {string} filePath - Map to load (default: getDuplicatesPath())
+ * @returns {DuplicateMap} - Newly active map
+ * @throws {Error} - If the file is invalid; the previous map stays active
+ */
+function reloadDuplicates(filePath = getDuplicatesPath()) {
+    duplicates = DuplicateMap.load(filePath);
+    console.log(`Reloaded ${duplicates.clusters.length} duplicate clusters from ${filePath}`);
+    return duplicates;
+}
+
+module.exports = {
+    DEFAULT_DUPLICATES_PATH,
+    DEDUPE_DEFAULTS,
+    DUPLICATES_VERSION,
+    shingle,
+    jaccard,
+    MinHasher,
+    findDuplicateClusters,
+    DuplicateMap,
+    getDuplicates,
+    getDuplicatesPath,
+    reloadDuplicates
+};
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Sentence encoder used by embedding search; EMBEDDING_MODEL_DIR points to another one.
+// The directory holds model.onnx (a BERT-style encoder exported to ONNX) and its vocab.txt.
+const DEFAULT_MODEL_DIR = path.join(__dirname, '..', 'models', 'embedding');
+
+const EMBEDDING_DEFAULTS = {
+    maxTokens: 256,   // Longer statements are truncated, as the model was trained on short passages
+    batchSize: 32     // Texts encoded per model run by encode()
+};
+
+// Query vectors kept by encodeQuery, so searching every platform encodes the query once
+const QUERY_CACHE_SIZE = 100;
+
+/**
+ * BERT WordPiece tokenizer
+ *
+ * Text is lowercased and stripped of accents, split on whitespace and
+ * punctuation, and each word is split into the longest vocabulary pieces,
+ * continuation pieces being prefixed with "##" ("dijkstra" -> "dij ##kst ##ra").
+ */
+class WordPieceTokenizer {
+    /**
+     * @param {Array} vocabulary - Tokens, in id order (the lines of vocab.txt)
+     * @param {number} maxTokens - Most tokens per text, [CLS] and [SEP] included
+     * @throws {Error} - If the vocabulary lacks the special tokens
+     */
+    constructor(vocabulary, maxTokens = EMBEDDING_DEFAULTS.maxTokens) {
+        this.ids = new Map(vocabulary.map((token, id) => [token, id]));
+        this.maxTokens = maxTokens;
+
+        for (const token of ['[CLS]', '[SEP]', '[UNK]', '[PAD]']) {
+            if (!this.ids.has(token)) {
+                throw new Error(`Vocabulary has no ${token} token`);
+            }
+        }
+        this.clsId = this.ids.get('[CLS]');
+        this.sepId = this.ids.get('[SEP]');
+        this.unkId = this.ids.get('[UNK]');
+        this.padId = this.ids.get('[PAD]');
+    }
+
+    /**
+     * Split a word into vocabulary pieces
+     * @param {string} word - Lowercase word without spaces or punctuation
+     * @returns {Array} - Token ids ([UNK] if the word cannot be split)
+     */
+    wordPieces(word) {
+        if (word.length > 100) return [this.unkId];
+
+        const pieces = [];
+        let start = 0;
+        while (start < word.length) {
+            let end = word.length;
+            let id;
+            while (end > start) {
+                const piece = (start > 0 ? '##' : '') + word.slice(start, end);
+                id = this.ids.get(piece);
+                if (id !== undefined) break;
+                end--;
+            }
+            if (end === start) return [this.unkId];
+
+            pieces.push(id);
+            start = end;
+        }
+        return pieces;
+    }
+
+    /**
+     * Token ids of a text
+     * @param {string} text - Text to tokenize
+     * @returns {Array} - [CLS], the text's tokens (truncated to maxTokens) and [SEP]
+     */
+    encode(text) {
+        const words = String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+
+        const ids = [this.clsId];
+        for (const word of words) {
+            ids.push(...this.wordPieces(word));
+            if (ids.length >= this.maxTokens - 1) break;
+        }
+
+        ids.length = Math.min(ids.length, this.maxTokens - 1);
+        ids.push(this.sepId);
+        return ids;
+    }
+}
+
+/**
+ * Scale a vector to unit length in place, so dot products are cosine similarities
+ * @param {Float32Array} vector - Vector to normalize
+ * @returns {Float32Array} - The same vector
+ */
+function normalizeVector(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+        norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm);
+
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) {
+            vector[i] /= norm;
+        }
+    }
+    return vector;
+}
+
+/**
+ * Sentence encoder running an ONNX model on the CPU
+ *
+ * Token embeddings are mean-pooled over the text's tokens (models exporting a
+ * pooled [batch, dimensions] output are used as is) and normalized.
+ */
+class OnnxEncoder {
+    /**
+     * @param {Object} session - onnxruntime InferenceSession
+     * @param {WordPieceTokenizer} tokenizer - Tokenizer of the model
+     * @param {string} modelId - Identifies the model, so stored vectors are only compared with its queries
+     */
+    constructor(session, tokenizer, modelId) {
+        this.session = session;
+        this.tokenizer = tokenizer;
+        this.modelId = modelId;
+        this.queryCache = new Map();
+    }
+
+    /**
+     * Encode texts
+     * @param {Array} texts - Texts to encode
+     * @param {Object} options - {batchSize, onProgress(encoded, total)}
+     * @returns {Promise<Array>} - Unit Float32Array vectors, in the order of the texts
+     */
+    async encode(texts, options = {}) {
+        const { batchSize = EMBEDDING_DEFAULTS.batchSize, onProgress = null } = options;
+        const { Tensor } = requireOnnxRuntime();
+        const vectors = [];
+
+        for (let start = 0; start < texts.length; start += batchSize) {
+            const batch = texts.slice(start, start + batchSize).map(text => this.tokenizer.encode(text));
+            const length = Math.max(...batch.map(ids => ids.length));
+            const shape = [batch.length, length];
+
+            // Padded to the longest text of the batch; the mask hides the padding
+            const inputIds = new BigInt64Array(batch.length * length).fill(BigInt(this.tokenizer.padId));
+            const attentionMask = new BigInt64Array(batch.length * length);
+            batch.forEach((ids, row) => {
+                ids.forEach((id, column) => {
+                    inputIds[row * length + column] = BigInt(id);
+                    attentionMask[row * length + column] = 1n;
+                });
+            });
+
+            const feeds = {
+                input_ids: new Tensor('int64', inputIds, shape),
+                attention_mask: new Tensor('int64', attentionMask, shape)
+            };
+            if (this.session.inputNames.includes('token_type_ids')) {
+                feeds.token_type_ids = new Tensor('int64', new BigInt64Array(batch.length * length), shape);
+            }
+
+            const outputs = await this.session.run(feeds);
+            const output = outputs[this.session.outputNames[0]];
+            vectors.push(...poolOutput(output, batch.map(ids => ids.length)));
+
+            if (onProgress) {
+                onProgress(Math.min(start + batchSize, texts.length), texts.length);
+            }
+        }
+
+        return vectors;
+    }
+
+    /**
+     * Encode a search query, reusing the vectors of recent queries
+     * @param {string} queryText - Query string
+     * @returns {Promise<Float32Array>} - Unit query vector
+     */
+    async encodeQuery(queryText) {
+        const key = String(queryText || '').trim().toLowerCase();
+        if (this.queryCache.has(key)) {
+            return this.queryCache.get(key);
+        }
+
+        const [vector] = await this.encode([key]);
+        this.queryCache.set(key, vector);
+        if (this.queryCache.size > QUERY_CACHE_SIZE) {
+            this.queryCache.delete(this.queryCache.keys().next().value);
+        }
+        return vector;
+    }
+
+    /**
+     * Load an encoder from a model directory
+     * @param {string} modelDir - Directory holding model.onnx and vocab.txt
+     * @returns {Promise<OnnxEncoder>} - Loaded encoder
+     * @throws {Error} - If the files or onnxruntime-node are missing
+     */
+    static async load(modelDir) {
+        const modelPath = path.join(modelDir, 'model.onnx');
+        const vocabPath = path.join(modelDir, 'vocab.txt');
+        if (!fs.existsSync(modelPath) || !fs.existsSync(vocabPath)) {
+            throw new Error(`Embedding model not found: ${modelDir} must hold model.onnx and vocab.txt (set EMBEDDING_MODEL_DIR to use another directory)`);
+        }
+
+        const { InferenceSession } = requireOnnxRuntime();
+        const model = fs.readFileSync(modelPath);
+        const vocabulary = fs.readFileSync(vocabPath, 'utf8').split(/\r?\n/);
+        if (vocabulary[vocabulary.length - 1] === '') vocabulary.pop();
+
+        const session = await InferenceSession.create(model);
+        const modelId = crypto.createHash('sha256').update(model).digest('hex').slice(0, 16);
+        return new OnnxEncoder(session, new WordPieceTokenizer(vocabulary), modelId);
+    }
+}
+
+/**
+ * Sentence vectors of a model output
+ * @param {Object} output - Tensor of shape [batch, tokens, dimensions] or [batch, dimensions]
+ * @param {Array} lengths - Number of real (unpadded) tokens of each text
+ * @returns {Array} - Unit Float32Array vectors
+ */
+function poolOutput(output, lengths) {
+    const data = output.data;
+
+    if (output.dims.length === 2) {
+        const size = output.dims[1];
+        return lengths.map((length, row) => normalizeVector(Float32Array.from(data.subarray(row * size, (row + 1) * size))));
+    }
+
+    const [batch, tokens, dimensions] = output.dims;
+    const vectors = [];
+    for (let row = 0; row < batch; row++) {
+        const vector = new Float32Array(dimensions);
+        for (let token = 0; token < lengths[row]; token++) {
+            const offset = (row * tokens + token) * dimensions;
+            for (let d = 0; d < dimensions; d++) {
+                vector[d] += data[offset + d];
+            }
+        }
+        for (let d = 0; d < dimensions; d++) {
+            vector[d] /= lengths[row];
+        }
+        vectors.push(normalizeVector(vector));
+    }
+    return vectors;
+}
+
+/**
+ * Load onnxruntime-node, which is an optional dependency
+ * @returns {Object} - The onnxruntime-node module
+ * @throws {Error} - If it is not installed
+ */
+function requireOnnxRuntime() {
+    try {
+        return require('onnxruntime-node');
+    } catch (error) {
+        throw new Error('onnxruntime-node is not installed. Run "npm install onnxruntime-node" to enable embedding search.');
+    }
+}
+
+// Encoder used by searches, loaded on first use
+let encoder = null;
+
+/**
+ * Directory of the embedding model
+ * @returns {string} - EMBEDDING_MODEL_DIR or models/embedding
+ */
+function getModelDir() {
+    return process.env.EMBEDDING_MODEL_DIR || DEFAULT_MODEL_DIR;
+}
+
+/**
+ * Get the encoder used by searches
+ *
+ * A failed load is not cached, so a model added later is picked up.
+ * @returns {Promise<OnnxEncoder>} - Loaded encoder
+ * @throws {Error} - If the model cannot be loaded
+ */
+async function getEncoder() {
+    if (!encoder) {
+        encoder = OnnxEncoder.load(getModelDir()).then(loaded => {
+            console.log(`Embedding model ${loaded.modelId} loaded from ${getModelDir()}`);
+            return loaded;
+        }, error => {
+            encoder = null;
+            throw error;
+        });
+    }
+    return encoder;
+}
+
+module.exports = {
+    DEFAULT_MODEL_DIR,
+    EMBEDDING_DEFAULTS,
+    WordPieceTokenizer,
+    OnnxEncoder,
+    normalizeVector,
+    getEncoder,
+    getModelDir
+};
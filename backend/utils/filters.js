@@ -0,0 +1,120 @@
+const TAG_MODES = ['and', 'or'];
+
+// Statement sections a search can be restricted to
+const STATEMENT_SECTIONS = ['input', 'output', 'constraints', 'samples', 'note'];
+
+/**
+ * Normalize a tag the same way the cleaning step normalizes the Tag column
+ * @param {string} tag - Raw tag
+ * @returns {string} - Lowercased tag with hyphens and repeated spaces collapsed
+ */
+function normalizeTag(tag) {
+    return String(tag)
+        .toLowerCase()
+        .replace(/-/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Split a comma-separated tag list
+ * @param {string|Array} value - Tag string ("dp, graphs") or array of tags
+ * @returns {Array} - Array of trimmed, non-empty tags
+ */
+function parseTags(value) {
+    if (!value) return [];
+
+    const tags = Array.isArray(value) ? value : String(value).split(',');
+    return tags
+        .map(tag => String(tag).trim())
+        .filter(tag => tag.length > 0);
+}
+
+/**
+ * Parse a numeric difficulty rating
+ * @param {string|number} value - Rating such as "1200" or "*1200"
+ * @returns {number|null} - Rating or null if the difficulty is not numeric (e.g. "Easy")
+ */
+function parseRating(value) {
+    if (value === undefined || value === null) return null;
+
+    const match = String(value).match(/\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Text of a statement section, as matched by section searches
+ * @param {Object|null} sections - Problem sections from readProblemData
+ * @param {string} section - One of STATEMENT_SECTIONS
+ * @returns {string} - Section text ('' if the problem does not have it)
+ */
+function getSectionText(sections, section) {
+    if (!sections) return '';
+
+    switch (section) {
+        // Limits on the input are part of the input specification
+        case 'constraints':
+            return [sections.timeLimit, sections.memoryLimit, sections.input].filter(Boolean).join(' ');
+        case 'samples':
+            return (sections.samples || [])
+                .map(sample => `${sample.input} ${sample.output}`)
+                .join(' ');
+        default:
+            return sections[section] || '';
+    }
+}
+
+/**
+ * Create a predicate that checks a problem against tag and rating filters
+ * @param {Object} filters - Filter options
+ * @param {Array} filters.tags - Required tags
+ * @param {string} filters.tagMode - 'and' (all tags) or 'or' (any tag)
+ * @param {number} filters.minRating - Minimum rating (inclusive)
+ * @param {number} filters.maxRating - Maximum rating (inclusive)
+ * @returns {Function|null} - Predicate taking {tags, rating}, or null if no filter is set
+ */
+function createProblemFilter(filters = {}) {
+    const {
+        tags = [],
+        tagMode = 'and',
+        minRating = null,
+        maxRating = null
+    } = filters;
+
+    const wantedTags = tags.map(normalizeTag).filter(tag => tag.length > 0);
+    const hasRatingFilter = minRating !== null || maxRating !== null;
+
+    if (wantedTags.length === 0 && !hasRatingFilter) {
+        return null;
+    }
+
+    return (problem) => {
+        if (wantedTags.length > 0) {
+            const problemTags = new Set(problem.tags.map(normalizeTag));
+            const matches = tagMode === 'or'
+                ? wantedTags.some(tag => problemTags.has(tag))
+                : wantedTags.every(tag => problemTags.has(tag));
+
+            if (!matches) return false;
+        }
+
+        if (hasRatingFilter) {
+            // Problems without a numeric rating never match a rating range
+            if (problem.rating === null) return false;
+            if (minRating !== null && problem.rating < minRating) return false;
+            if (maxRating !== null && problem.rating > maxRating) return false;
+        }
+
+        return true;
+    };
+}
+
+module.exports = {
+    TAG_MODES,
+    STATEMENT_SECTIONS,
+    getSectionText,
+    normalizeTag,
+    parseTags,
+    parseRating,
+    createProblemFilter
+};
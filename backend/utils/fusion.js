@@ -0,0 +1,93 @@
+// Ways to merge the ranked results of several platforms (see fuseResults)
+const FUSION_MODES = ['raw', 'max', 'zscore', 'rrf'];
+
+// Reciprocal rank fusion constant: larger values flatten the gap between ranks
+const RRF_K = 60;
+
+/**
+ * Check whether a fusion mode is supported
+ * @param {string} mode - Fusion mode
+ * @returns {boolean} - True if supported
+ */
+function isFusionMode(mode) {
+    return FUSION_MODES.includes(mode);
+}
+
+/**
+ * Rescale the scores of one platform's results
+ * @param {Array} results - Results of one platform sorted by score
+ * @param {string} mode - Fusion mode other than "raw"
+ * @returns {Array} - Fused scores, in the order of the results
+ */
+function calibrate(results, mode) {
+    const scores = results.map(result => result.score);
+
+    switch (mode) {
+        case 'max': {
+            // The platform's best match scores 1
+            const best = scores[0];
+            return scores.map(score => (best > 0 ? score / best : 0));
+        }
+        case 'zscore': {
+            // Standard deviations above the platform's mean match
+            const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+            const variance = scores.reduce((sum, score) => sum + (score - mean) * (score - mean), 0) / scores.length;
+            const std = Math.sqrt(variance);
+            if (std > 0) {
+                return scores.map(score => (score - mean) / std);
+            }
+            // A lone result or a full tie has no spread; count each match
+            // as one deviation above the mean, like a clear top hit
+            return scores.map(score => (score > 0 ? 1 : 0));
+        }
+        case 'rrf':
+            // Only the rank counts: 1 / (k + rank)
+            return scores.map((score, rank) => 1 / (RRF_K + rank + 1));
+        default:
+            throw new Error(`Unknown fusion mode "${mode}". Use one of: ${FUSION_MODES.join(', ')}`);
+    }
+}
+
+/**
+ * Merge the results of several platforms into one ranking
+ *
+ * Each platform scores with its own vocabulary, IDF and possibly its own
+ * model, so raw scores are not comparable across platforms. "raw" sorts them
+ * anyway; "max" divides each platform's scores by its best one; "zscore"
+ * standardizes them with the mean and deviation of the platform's matches
+ * (a platform whose matches all tie, e.g. a single match, scores 1 each);
+ * "rrf" (reciprocal rank fusion) ignores scores and uses the rank within each
+ * platform. Fused results keep the model score in rawScore.
+ * @param {Array} platformResults - One array of results per platform, each sorted by score
+ * @param {string} mode - Fusion mode (default: "raw")
+ * @returns {Array} - All results sorted by fused score; equal scores keep platform order
+ */
+function fuseResults(platformResults, mode = 'raw') {
+    if (mode === 'raw') {
+        return [].concat(...platformResults).sort((a, b) => b.score - a.score);
+    }
+
+    const fused = [];
+    platformResults.forEach(platformResult => {
+        const sorted = platformResult.slice().sort((a, b) => b.score - a.score);
+        calibrate(sorted, mode).forEach((score, index) => {
+            fused.push({ result: sorted[index], score });
+        });
+    });
+
+    // Sorted before rounding, so deep RRF ranks do not tie
+    return fused
+        .sort((a, b) => b.score - a.score)
+        .map(({ result, score }) => ({
+            ...result,
+            score: Math.round(score * 10000) / 10000,
+            rawScore: result.score
+        }));
+}
+
+module.exports = {
+    FUSION_MODES,
+    RRF_K,
+    isFusionMode,
+    fuseResults
+};
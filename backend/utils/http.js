@@ -0,0 +1,347 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_USER_AGENT = 'ProblemFinder/1.0 (problem search indexer)';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket limiting the request rate to one host
+ */
+class TokenBucket {
+    /**
+     * @param {number} rate - Tokens added per second (Infinity disables limiting)
+     * @param {number} burst - Maximum number of stored tokens
+     */
+    constructor(rate, burst = 1) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+        // Requests wait in line so concurrent callers do not share a token
+        this.queue = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.rate);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Wait until a token is available and take it
+     * @returns {Promise} - Resolves when the request may be sent
+     */
+    take() {
+        this.queue = this.queue.then(async () => {
+            if (!isFinite(this.rate)) return;
+
+            this.refill();
+            if (this.tokens < 1) {
+                await sleep((1 - this.tokens) / this.rate * 1000);
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        return this.queue;
+    }
+}
+
+/**
+ * Parse the robots.txt rules that apply to a user agent
+ * @param {string} content - robots.txt content
+ * @param {string} userAgent - User agent of the client
+ * @returns {Object} - {rules: [{allow, path}], crawlDelay (seconds or null)}
+ */
+function parseRobots(content, userAgent) {
+    const groups = [];
+    let current = null;
+    let inAgentLines = false;
+
+    for (const rawLine of (content || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group of rules
+            if (!inAgentLines) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            inAgentLines = true;
+            continue;
+        }
+
+        inAgentLines = false;
+        if (!current) continue;
+
+        if ((field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', path: value });
+        } else if (field === 'crawl-delay' && !isNaN(parseFloat(value))) {
+            current.crawlDelay = parseFloat(value);
+        }
+    }
+
+    const product = userAgent.split('/')[0].toLowerCase();
+    const group = groups.find(item => item.agents.some(agent => agent !== '*' && product.includes(agent))) ||
+        groups.find(item => item.agents.includes('*'));
+
+    return {
+        rules: group ? group.rules : [],
+        crawlDelay: group ? group.crawlDelay : null
+    };
+}
+
+/**
+ * Check a path against robots.txt rules; the longest matching rule wins
+ * @param {Object} robots - Parsed rules from parseRobots
+ * @param {string} urlPath - Path and query of the URL
+ * @returns {boolean} - Whether the path may be fetched
+ */
+function isAllowed(robots, urlPath) {
+    let match = null;
+
+    for (const rule of robots.rules) {
+        const anchored = rule.path.endsWith('$');
+        const pattern = anchored ? rule.path.slice(0, -1) : rule.path;
+        const regex = new RegExp('^' + pattern.split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*') + (anchored ? '$' : ''));
+
+        if (!regex.test(urlPath)) continue;
+        if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) {
+            match = rule;
+        }
+    }
+
+    return !match || match.allow;
+}
+
+/**
+ * HTTP client shared by the scrapers
+ *
+ * Requests to each host are rate limited with a token bucket, retried with
+ * exponential backoff on 429/5xx and network errors, and checked against the
+ * host's robots.txt. With a cache directory, responses are stored on disk and
+ * revalidated with ETag/Last-Modified; offline mode replays only from the cache.
+ */
+class HttpClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.userAgent - User agent sent with every request
+     * @param {number} options.timeout - Request timeout in milliseconds
+     * @param {number} options.requestsPerSecond - Request rate per host
+     * @param {number} options.burst - Requests that may be sent back to back
+     * @param {number} options.retries - Retries after a 429/5xx or network error
+     * @param {number} options.backoffBase - First retry delay in milliseconds, doubled on every retry
+     * @param {number} options.maxBackoff - Longest retry delay in milliseconds
+     * @param {boolean} options.respectRobots - Refuse URLs disallowed by robots.txt
+     * @param {string} options.cacheDir - Directory of the response cache (null disables caching)
+     * @param {boolean} options.offline - Serve responses from the cache only
+     */
+    constructor(options = {}) {
+        this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+        this.timeout = options.timeout || 10000;
+        this.requestsPerSecond = options.requestsPerSecond || 2;
+        this.burst = options.burst || 1;
+        this.retries = options.retries !== undefined ? options.retries : 3;
+        this.backoffBase = options.backoffBase !== undefined ? options.backoffBase : 1000;
+        this.maxBackoff = options.maxBackoff || 60000;
+        this.respectRobots = options.respectRobots !== false;
+        this.cacheDir = options.cacheDir || null;
+        this.offline = Boolean(options.offline);
+
+        if (this.offline && !this.cacheDir) {
+            throw new Error('Offline mode needs a cache directory');
+        }
+
+        // Per host (origin) state
+        this.buckets = new Map();
+        this.robots = new Map();
+    }
+
+    bucketFor(origin) {
+        if (!this.buckets.has(origin)) {
+            this.buckets.set(origin, new TokenBucket(this.requestsPerSecond, this.burst));
+        }
+        return this.buckets.get(origin);
+    }
+
+    /**
+     * Load the robots.txt rules of a host (once per client)
+     * @param {string} origin - Host origin, e.g. "https://codeforces.com"
+     * @returns {Promise<Object>} - Parsed rules
+     */
+    loadRobots(origin) {
+        if (!this.robots.has(origin)) {
+            this.robots.set(origin, this.fetchRobots(origin));
+        }
+        return this.robots.get(origin);
+    }
+
+    async fetchRobots(origin) {
+        let robots = { rules: [], crawlDelay: null };
+
+        try {
+            await this.bucketFor(origin).take();
+            const response = await axios.get(`${origin}/robots.txt`, {
+                headers: { 'User-Agent': this.userAgent },
+                timeout: this.timeout,
+                responseType: 'text',
+                validateStatus: () => true
+            });
+
+            // A missing robots.txt allows everything
+            if (response.status < 400) {
+                robots = parseRobots(String(response.data), this.userAgent);
+            }
+        } catch (error) {
+            console.warn(`Could not read ${origin}/robots.txt: ${error.message}`);
+        }
+
+        // Slow down to the requested crawl delay
+        if (robots.crawlDelay && 1 / robots.crawlDelay < this.bucketFor(origin).rate) {
+            this.bucketFor(origin).rate = 1 / robots.crawlDelay;
+        }
+
+        return robots;
+    }
+
+    cachePath(method, url, data) {
+        const key = crypto.createHash('sha1')
+            .update(`${method} ${url} ${data !== undefined ? JSON.stringify(data) : ''}`)
+            .digest('hex');
+        return path.join(this.cacheDir, `${key}.json`);
+    }
+
+    /**
+     * Delay before a retry: Retry-After if the server sent one, else exponential backoff with jitter
+     * @param {number} attempt - Number of the failed attempt (0 for the first)
+     * @param {Object} response - Failed response (undefined for network errors)
+     * @returns {number} - Delay in milliseconds
+     */
+    retryDelay(attempt, response) {
+        const retryAfter = response && response.headers['retry-after'];
+        if (retryAfter !== undefined) {
+            const seconds = Number(retryAfter);
+            const ms = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (!isNaN(ms)) {
+                return Math.min(this.maxBackoff, Math.max(0, ms));
+            }
+        }
+
+        const backoff = this.backoffBase * Math.pow(2, attempt);
+        return Math.min(this.maxBackoff, backoff + Math.random() * this.backoffBase);
+    }
+
+    /**
+     * Send a request
+     * @param {Object} config - {method, url, data, headers, responseType}
+     * @returns {Promise<Object>} - {status, data, headers, fromCache}
+     * @throws {Error} - On a 4xx response, when retries run out, when robots.txt disallows the URL,
+     * or offline without a cached response
+     */
+    async request(config) {
+        const { method = 'GET', url, data, headers = {}, responseType } = config;
+        const cacheFile = this.cacheDir ? this.cachePath(method, url, data) : null;
+        const cached = cacheFile && await fs.pathExists(cacheFile) ? await fs.readJson(cacheFile) : null;
+        const fromCache = () => ({ status: cached.status, data: cached.data, headers: cached.headers, fromCache: true });
+
+        if (this.offline) {
+            if (!cached) {
+                throw new Error(`No cached response for ${method} ${url}`);
+            }
+            return fromCache();
+        }
+
+        const { origin, pathname, search } = new URL(url);
+        if (this.respectRobots && !isAllowed(await this.loadRobots(origin), pathname + search)) {
+            const error = new Error(`robots.txt disallows ${url}`);
+            error.code = 'ROBOTS_DISALLOWED';
+            throw error;
+        }
+
+        // Revalidate the cached copy instead of downloading it again
+        const conditional = {};
+        if (cached && method === 'GET') {
+            if (cached.headers.etag) conditional['If-None-Match'] = cached.headers.etag;
+            if (cached.headers['last-modified']) conditional['If-Modified-Since'] = cached.headers['last-modified'];
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            await this.bucketFor(origin).take();
+
+            let response;
+            let networkError;
+            try {
+                response = await axios.request({
+                    method,
+                    url,
+                    data,
+                    responseType,
+                    headers: { 'User-Agent': this.userAgent, ...conditional, ...headers },
+                    timeout: this.timeout,
+                    validateStatus: () => true
+                });
+            } catch (error) {
+                networkError = error;
+            }
+
+            if (response && response.status === 304 && cached) {
+                return fromCache();
+            }
+
+            if (response && response.status < 400) {
+                const result = {
+                    status: response.status,
+                    data: response.data,
+                    headers: {
+                        'content-type': response.headers['content-type'],
+                        etag: response.headers.etag,
+                        'last-modified': response.headers['last-modified']
+                    }
+                };
+                if (cacheFile) {
+                    await fs.outputJson(cacheFile, { method, url, ...result, fetchedAt: new Date().toISOString() });
+                }
+                return { ...result, fromCache: false };
+            }
+
+            const retryable = !response || response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= this.retries) {
+                if (networkError) throw networkError;
+
+                const error = new Error(`Request failed with status code ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const wait = this.retryDelay(attempt, response);
+            console.log(`  Retrying ${url} in ${Math.round(wait)}ms (${response ? `HTTP ${response.status}` : networkError.message})`);
+            await sleep(wait);
+        }
+    }
+
+    get(url, options = {}) {
+        return this.request({ ...options, method: 'GET', url });
+    }
+
+    post(url, data, options = {}) {
+        return this.request({ ...options, method: 'POST', url, data });
+    }
+}
+
+module.exports = {
+    DEFAULT_USER_AGENT,
+    HttpClient,
+    TokenBucket,
+    parseRobots,
+    isAllowed
+};
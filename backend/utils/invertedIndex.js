@@ -0,0 +1,140 @@
+/**
+ * Sparse inverted index over TF-IDF document vectors.
+ *
+ * Each vocabulary column maps to a postings list of the documents that
+ * contain it together with their precomputed TF-IDF weight. Document norms
+ * are computed once at build time, so a query only touches the documents
+ * that share at least one term with it.
+ */
+class InvertedIndex {
+    constructor() {
+        this.postings = new Map();
+        this.docNorms = [];
+        this.docCount = 0;
+    }
+
+    /**
+     * Add a document to the index
+     * @param {number} docId - Row index of the document
+     * @param {Map|Array} vector - Sparse vector as Map or [column, weight] pairs
+     */
+    addDocument(docId, vector) {
+        let normSquared = 0;
+
+        for (const [column, weight] of vector) {
+            if (!weight) continue;
+
+            let postingList = this.postings.get(column);
+            if (!postingList) {
+                postingList = { docs: [], weights: [] };
+                this.postings.set(column, postingList);
+            }
+
+            postingList.docs.push(docId);
+            postingList.weights.push(weight);
+            normSquared += weight * weight;
+        }
+
+        this.docNorms[docId] = Math.sqrt(normSquared);
+        this.docCount = Math.max(this.docCount, docId + 1);
+    }
+
+    /**
+     * Get the postings list for a vocabulary column
+     * @param {number} column - Vocabulary index
+     * @returns {Object|null} - Object with parallel docs and weights arrays
+     */
+    getPostings(column) {
+        return this.postings.get(column) || null;
+    }
+
+    /**
+     * Score documents against a sparse query vector using cosine similarity
+     * @param {Map|Array} queryVector - Sparse query vector as Map or [column, weight] pairs
+     * @param {number} threshold - Minimum similarity threshold (default: 0.01)
+     * @returns {Array} - Array of {index, score} objects sorted by score
+     */
+    search(queryVector, threshold = 0.01) {
+        const scores = new Map();
+        let queryNormSquared = 0;
+
+        for (const [column, queryWeight] of queryVector) {
+            if (!queryWeight) continue;
+            queryNormSquared += queryWeight * queryWeight;
+
+            const postingList = this.postings.get(column);
+            if (!postingList) continue;
+
+            const { docs, weights } = postingList;
+            for (let i = 0; i < docs.length; i++) {
+                scores.set(docs[i], (scores.get(docs[i]) || 0) + queryWeight * weights[i]);
+            }
+        }
+
+        const queryNorm = Math.sqrt(queryNormSquared);
+        if (queryNorm === 0) {
+            return [];
+        }
+
+        const results = [];
+        scores.forEach((dotProduct, index) => {
+            const docNorm = this.docNorms[index];
+            if (!docNorm) return;
+
+            const score = dotProduct / (docNorm * queryNorm);
+            if (score >= threshold) {
+                results.push({ index, score });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Get index statistics
+     * @returns {Object} - Statistics object
+     */
+    getStats() {
+        let postingCount = 0;
+        this.postings.forEach(postingList => {
+            postingCount += postingList.docs.length;
+        });
+
+        return {
+            documents: this.docCount,
+            terms: this.postings.size,
+            postings: postingCount
+        };
+    }
+
+    /**
+     * Build an index from a TF-IDF matrix
+     * @param {SparseMatrix|Matrix} matrix - Matrix where each row is a document vector
+     * @returns {InvertedIndex} - Populated index
+     */
+    static fromMatrix(matrix) {
+        const index = new InvertedIndex();
+
+        for (let i = 0; i < matrix.rows; i++) {
+            if (typeof matrix.rowEntries === 'function') {
+                index.addDocument(i, matrix.rowEntries(i));
+                continue;
+            }
+
+            const row = matrix.getRow(i);
+            const vector = [];
+
+            for (let j = 0; j < row.length; j++) {
+                if (row[j] !== 0) {
+                    vector.push([j, row[j]]);
+                }
+            }
+
+            index.addDocument(i, vector);
+        }
+
+        return index;
+    }
+}
+
+module.exports = InvertedIndex;
@@ -0,0 +1,100 @@
+// Numbers from this value up get a magnitude token
+const MIN_MAGNITUDE = 1000;
+
+// Magnitude tokens: "n_1e5" stands for any number in [10^5, 10^6)
+const MAGNITUDE_TOKEN = /^n_1e\d+$/;
+
+// LaTeX commands (and Unicode symbols) with a searchable meaning
+const MATH_WORDS = {
+    oplus: 'xor', bigoplus: 'xor', veebar: 'xor', xor: 'xor',
+    // "and"/"or" are stopwords, so operators are named after their bitwise use
+    land: 'bitwise and', wedge: 'bitwise and', bigwedge: 'bitwise and', '&': 'bitwise and',
+    lor: 'bitwise or', vee: 'bitwise or', bigvee: 'bitwise or',
+    lnot: 'not', neg: 'not',
+    sum: 'sum', prod: 'product',
+    gcd: 'gcd', lcm: 'lcm', max: 'max', min: 'min',
+    log: 'log', ln: 'log', lg: 'log',
+    bmod: 'mod', pmod: 'mod', mod: 'mod',
+    binom: 'binomial', dbinom: 'binomial', tbinom: 'binomial', choose: 'binomial',
+    sqrt: 'sqrt',
+    lfloor: 'floor', lceil: 'ceil',
+    infty: 'infinity',
+    mid: 'divides',
+    cup: 'union', bigcup: 'union', cap: 'intersection', bigcap: 'intersection',
+    subset: 'subset', subseteq: 'subset',
+    '⊕': 'xor', '∑': 'sum', '∏': 'product', '∞': 'infinity', '√': 'sqrt',
+    '∧': 'bitwise and', '∨': 'bitwise or', '∪': 'union', '∩': 'intersection'
+};
+
+// Commands whose argument is plain text, e.g. \operatorname{lcm}
+const TEXT_COMMANDS = /\\(?:operatorname|mathrm|mathit|mathbf|mathsf|mathtt|text|textbf|textit|texttt|textrm)\s*\{([^{}]*)\}/g;
+
+// Numbers, never matched inside a word or a magnitude token
+const NUMBER = '(?<![\\w.])(\\d+(?:\\.\\d+)?)';
+const EXPONENT = '\\s*\\^\\s*\\{?\\s*(\\d+)\\s*\\}?';
+const SCALED_POWER = new RegExp(`${NUMBER}\\s*(?:\\\\cdot|\\\\times|\\*|×|·)\\s*(\\d+)${EXPONENT}`, 'g');
+const POWER = new RegExp(`${NUMBER}${EXPONENT}`, 'g');
+const SCIENTIFIC = new RegExp(`${NUMBER}[eE](\\d+)(?![\\w.])`, 'g');
+const PLAIN = /(?<![\w.])(\d{1,3}(?:,\d{3})+|\d+)(?![\w.])/g;
+
+/**
+ * Magnitude token of a number
+ * @param {number} value - Number
+ * @returns {string|null} - e.g. "n_1e5" for 200000, or null for small numbers
+ */
+function magnitudeToken(value) {
+    if (!isFinite(value) || value < MIN_MAGNITUDE) {
+        return null;
+    }
+    return `n_1e${Math.floor(Math.log10(value) + 1e-9)}`;
+}
+
+/**
+ * Replace a number by its magnitude token, keeping small numbers as written
+ * @param {string} original - Matched text
+ * @param {number} value - Its value
+ * @returns {string} - Replacement
+ */
+function replaceNumber(original, value) {
+    const token = magnitudeToken(value);
+    return token ? ` ${token} ` : original;
+}
+
+/**
+ * Turn LaTeX math into searchable words
+ *
+ * Operators get their names (\oplus -> xor, \sum -> sum, \gcd -> gcd),
+ * large numbers in any notation (10^5, 2 \cdot 10^5, 1e5, 100000) become
+ * magnitude tokens such as "n_1e5", and remaining markup (comparisons,
+ * braces, sub- and superscripts) is removed. Applying it twice gives the
+ * same result, so cleaned statements and queries can both be normalized.
+ * @param {string} text - Text containing math
+ * @returns {string} - Normalized text
+ */
+function normalizeMath(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+
+    return text
+        .replace(TEXT_COMMANDS, ' $1 ')
+        .replace(SCALED_POWER, (match, mantissa, base, exponent) =>
+            replaceNumber(match, parseFloat(mantissa) * Math.pow(parseFloat(base), parseInt(exponent))))
+        .replace(POWER, (match, base, exponent) =>
+            replaceNumber(match, Math.pow(parseFloat(base), parseInt(exponent))))
+        .replace(SCIENTIFIC, (match, mantissa, exponent) =>
+            replaceNumber(match, parseFloat(mantissa) * Math.pow(10, parseInt(exponent))))
+        .replace(PLAIN, (match, number) => replaceNumber(match, parseFloat(number.replace(/,/g, ''))))
+        .replace(/\\([a-zA-Z]+|&)/g, (match, command) => ` ${MATH_WORDS[command] || ''} `)
+        .replace(/[⊕∑∏∞√∧∨∪∩]/g, symbol => ` ${MATH_WORDS[symbol]} `)
+        .replace(/\\./g, ' ')                 // Spacing commands such as \, and \;
+        .replace(/(?<!\bn)_|[{}^$\\]/g, ' ')  // Sub/superscripts, braces and stray markup
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    MAGNITUDE_TOKEN,
+    magnitudeToken,
+    normalizeMath
+};
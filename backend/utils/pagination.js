@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Fingerprint the parameters that determine a result list, so a cursor
+ * issued for one query cannot be replayed against another
+ * @param {Object} params - Query parameters that affect results and their order
+ * @returns {string} - Short hex fingerprint
+ */
+function createFingerprint(params) {
+    return crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Encode an opaque cursor
+ * @param {number} offset - Offset of the next result
+ * @param {string} fingerprint - Query fingerprint
+ * @returns {string} - URL-safe cursor
+ */
+function encodeCursor(offset, fingerprint) {
+    return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object|null} - {offset, fingerprint} or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Number.isInteger(decoded.o) || decoded.o < 0 || typeof decoded.f !== 'string') {
+            return null;
+        }
+        return { offset: decoded.o, fingerprint: decoded.f };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a positive integer query parameter
+ * @param {string} value - Raw parameter value
+ * @param {number} defaultValue - Value used when the parameter is missing
+ * @returns {number|null} - Parsed integer or null if invalid
+ */
+function parsePositiveInteger(value, defaultValue) {
+    if (value === undefined || value === '') return defaultValue;
+
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 ? number : null;
+}
+
+/**
+ * Resolve page/pageSize/cursor parameters to an offset
+ * @param {Object} params - {page, pageSize, cursor} from the query string
+ * @param {string} fingerprint - Fingerprint of the current query
+ * @returns {Object} - {offset, pageSize} on success or {error} with a message
+ */
+function resolvePagination(params, fingerprint) {
+    const { page, pageSize, cursor } = params;
+
+    const size = parsePositiveInteger(pageSize, DEFAULT_PAGE_SIZE);
+    if (size === null || size > MAX_PAGE_SIZE) {
+        return { error: `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    // A cursor takes precedence over page
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        if (!decoded) {
+            return { error: 'Invalid cursor' };
+        }
+        if (decoded.fingerprint !== fingerprint) {
+            return { error: 'Cursor does not belong to this query' };
+        }
+        return { offset: decoded.offset, pageSize: size };
+    }
+
+    const pageNumber = parsePositiveInteger(page, 1);
+    if (pageNumber === null) {
+        return { error: 'page must be a positive integer' };
+    }
+
+    return { offset: (pageNumber - 1) * size, pageSize: size };
+}
+
+/**
+ * Slice one page out of a sorted result list
+ * @param {Array} results - Full, sorted result list
+ * @param {Object} pagination - {offset, pageSize} from resolvePagination
+ * @param {string} fingerprint - Fingerprint of the current query
+ * @returns {Object} - {total, page, pageSize, results, nextCursor}
+ */
+function paginate(results, pagination, fingerprint) {
+    const { offset, pageSize } = pagination;
+    const pageResults = results.slice(offset, offset + pageSize);
+    const nextOffset = offset + pageResults.length;
+
+    return {
+        total: results.length,
+        page: Math.floor(offset / pageSize) + 1,
+        pageSize,
+        results: pageResults,
+        nextCursor: nextOffset < results.length ? encodeCursor(nextOffset, fingerprint) : null
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    createFingerprint,
+    encodeCursor,
+    decodeCursor,
+    resolvePagination,
+    paginate
+};
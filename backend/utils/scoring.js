@@ -0,0 +1,504 @@
+const InvertedIndex = require('./invertedIndex');
+
+const SCORING_MODELS = ['tfidf', 'bm25'];
+
+// Models ranking with problem embeddings (see EmbeddingScorer), available once a platform is embedded
+const EMBEDDING_MODELS = ['embedding', 'hybrid'];
+
+// Share of the lexical score in hybrid scores; the rest is the embedding similarity
+const HYBRID_ALPHA = 0.5;
+
+// Nearest neighbours fetched from the embedding index per query
+const EMBEDDING_CANDIDATES = 100;
+
+const BM25_DEFAULTS = {
+    k1: 1.2,
+    b: 0.75
+};
+
+// Field weights of queries that do not set their own; the name used to be repeated 4 times
+const FIELD_BOOSTS = {
+    name: 3,
+    statement: 1,
+    tags: 1,
+    hints: 1
+};
+
+const DOCUMENT_FIELDS = Object.keys(FIELD_BOOSTS);
+
+/**
+ * Parse per-field weights
+ * @param {string} value - Comma-separated field:weight pairs, e.g. "name:3,tags:2"
+ * @returns {Object} - Weights keyed by field, e.g. {name: 3, tags: 2}
+ * @throws {Error} - On unknown fields or weights that are not non-negative numbers
+ */
+function parseBoosts(value) {
+    const boosts = {};
+
+    String(value || '').split(',').filter(pair => pair.trim()).forEach(pair => {
+        const [field, weight, extra] = pair.split(':').map(part => part.trim());
+        if (!DOCUMENT_FIELDS.includes(field)) {
+            throw new Error(`Unknown field "${field}". Use one of: ${DOCUMENT_FIELDS.join(', ')}`);
+        }
+
+        const number = Number(weight);
+        if (extra !== undefined || weight === undefined || weight === '' || !Number.isFinite(number) || number < 0) {
+            throw new Error(`Boost for ${field} must be a non-negative number, e.g. ${field}:2`);
+        }
+        boosts[field] = number;
+    });
+
+    return boosts;
+}
+
+/**
+ * Build one sparse row per document from a matrix
+ * @param {SparseMatrix} matrix - Matrix with rowEntries
+ * @returns {Array<Map>} - Column -> value map per row
+ */
+function matrixRows(matrix) {
+    const rows = [];
+    for (let i = 0; i < matrix.rows; i++) {
+        rows.push(new Map(matrix.rowEntries(i)));
+    }
+    return rows;
+}
+
+/**
+ * Document lengths of a counts matrix
+ * @param {SparseMatrix} countsMatrix - Raw term counts, one row per document
+ * @returns {Object} - {lengths: Float64Array, average}
+ */
+function documentLengths(countsMatrix) {
+    const lengths = new Float64Array(countsMatrix.rows);
+    let totalLength = 0;
+    for (let i = 0; i < countsMatrix.rows; i++) {
+        for (let k = countsMatrix.indptr[i]; k < countsMatrix.indptr[i + 1]; k++) {
+            lengths[i] += countsMatrix.data[k];
+        }
+        totalLength += lengths[i];
+    }
+
+    return { lengths, average: countsMatrix.rows > 0 ? totalLength / countsMatrix.rows : 0 };
+}
+
+/**
+ * Weights of the indexed fields for a query
+ * @param {Array} fields - Fields of the index
+ * @param {Object|null} boosts - Query weights from parseBoosts (missing fields keep FIELD_BOOSTS)
+ * @returns {Object} - Weight per indexed field
+ */
+function resolveBoosts(fields, boosts) {
+    const weights = {};
+    fields.forEach(field => {
+        weights[field] = boosts && boosts[field] !== undefined ? boosts[field] : (FIELD_BOOSTS[field] || 0);
+    });
+    return weights;
+}
+
+// A quoted phrase; an unclosed quote runs to the end of the query
+const QUOTED_PHRASE = /"([^"]*)"?/g;
+
+/**
+ * Split quoted phrases out of a query
+ * @param {string} queryText - Query string, e.g. 'dp on "segment tree"'
+ * @returns {Object} - {text: query without quotes, phrases: ['segment tree'], unquoted: 'dp on'}
+ */
+function parseQuery(queryText) {
+    const query = String(queryText || '');
+    const phrases = [];
+    const text = query.replace(QUOTED_PHRASE, (match, phrase) => {
+        if (phrase.trim()) {
+            phrases.push(phrase.trim());
+        }
+        return ` ${phrase} `;
+    });
+    const unquoted = query.replace(QUOTED_PHRASE, ' ');
+
+    return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        phrases,
+        unquoted: unquoted.replace(/\s+/g, ' ').trim()
+    };
+}
+
+/**
+ * Find the documents containing every quoted phrase
+ *
+ * A phrase matches documents holding the n-grams that cover it, so its
+ * tokens must be adjacent (up to the stopwords removed between them).
+ * Vectorizers without n-grams can only require every token of the phrase.
+ * @param {TFIDFVectorizer} vectorizer - Trained vectorizer
+ * @param {InvertedIndex} index - Index of the scorer
+ * @param {Array} phrases - Phrases from parseQuery
+ * @returns {Set|null} - Matching document indices, or null if there is no phrase to check
+ */
+function matchPhrases(vectorizer, index, phrases) {
+    let matches = null;
+
+    for (const phrase of phrases) {
+        const tokens = vectorizer.preprocessText(phrase.toLowerCase());
+        const size = Math.min(tokens.length, vectorizer.ngrams);
+        const required = [];
+        for (let i = 0; size > 0 && i + size <= tokens.length; i++) {
+            required.push(tokens.slice(i, i + size).join(' '));
+        }
+
+        for (const term of required) {
+            const column = vectorizer.vocabulary.get(term);
+            if (column === undefined) {
+                return new Set();
+            }
+
+            // Terms found in every document have no TF-IDF weight and no postings
+            const postingList = index.getPostings(column);
+            if (!postingList) {
+                if (vectorizer.docFreq.get(term) === 0) return new Set();
+                continue;
+            }
+
+            const docs = new Set(postingList.docs);
+            matches = matches ? new Set([...matches].filter(doc => docs.has(doc))) : docs;
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Cosine similarity over TF-IDF weighted document vectors
+ *
+ * With per-field counts, each field is indexed on its own and a document's
+ * score is the weighted mean of the cosine similarities of its fields.
+ */
+class TFIDFScorer {
+    /**
+     * @param {TFIDFVectorizer} vectorizer - Trained vectorizer
+     * @param {SparseMatrix} tfidfMatrix - TF-IDF matrix, one row per document
+     * @param {Object|null} fieldCounts - Raw term counts per field (null for models trained before field indexing)
+     */
+    constructor(vectorizer, tfidfMatrix, fieldCounts = null) {
+        this.model = 'tfidf';
+        this.vectorizer = vectorizer;
+        this.index = InvertedIndex.fromMatrix(tfidfMatrix);
+        this.fieldIndexes = null;
+
+        if (fieldCounts) {
+            this.fieldIndexes = {};
+            Object.entries(fieldCounts).forEach(([field, counts]) => {
+                const index = new InvertedIndex();
+                vectorizer.weightCounts(matrixRows(counts)).forEach((vector, docId) => index.addDocument(docId, vector));
+                this.fieldIndexes[field] = index;
+            });
+        }
+    }
+
+    /**
+     * Score documents for a query
+     * @param {string} queryText - Query string
+     * @param {number} threshold - Minimum score threshold
+     * @param {Array} expansions - Weighted terms added to the query [{text, weight}], e.g. synonyms
+     * @param {Object|null} boosts - Field weights from parseBoosts (ignored by models without fields)
+     * @returns {Array} - Array of {index, score} objects sorted by score
+     */
+    search(queryText, threshold = 0.01, expansions = [], boosts = null) {
+        const { text, phrases } = parseQuery(queryText);
+        const queryVector = this.vectorizer.documentToSparseVector(text.toLowerCase());
+
+        // Expansion vectors are scaled by their weight and added to the query vector
+        expansions.forEach(({ text: expansion, weight }) => {
+            this.vectorizer.documentToSparseVector(expansion.toLowerCase()).forEach((value, column) => {
+                queryVector.set(column, (queryVector.get(column) || 0) + weight * value);
+            });
+        });
+
+        const results = this.fieldIndexes
+            ? this.searchFields(queryVector, threshold, boosts)
+            : this.index.search(queryVector, threshold);
+
+        const matches = matchPhrases(this.vectorizer, this.index, phrases);
+        return matches ? results.filter(result => matches.has(result.index)) : results;
+    }
+
+    /**
+     * Weighted mean of the per-field cosine similarities
+     * @param {Map} queryVector - Sparse query vector
+     * @param {number} threshold - Minimum score threshold
+     * @param {Object|null} boosts - Field weights
+     * @returns {Array} - Array of {index, score} objects sorted by score
+     */
+    searchFields(queryVector, threshold, boosts) {
+        const weights = resolveBoosts(Object.keys(this.fieldIndexes), boosts);
+        const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        if (totalWeight === 0) return [];
+
+        const scores = new Map();
+        Object.entries(this.fieldIndexes).forEach(([field, index]) => {
+            if (weights[field] === 0) return;
+
+            index.search(queryVector, 0).forEach(({ index: docId, score }) => {
+                scores.set(docId, (scores.get(docId) || 0) + weights[field] * score / totalWeight);
+            });
+        });
+
+        const results = [];
+        scores.forEach((score, index) => {
+            if (score >= threshold) {
+                results.push({ index, score });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+}
+
+/**
+ * Okapi BM25 over raw term counts
+ *
+ * With per-field counts it scores with BM25F: each field's term frequency is
+ * normalized by the field's length, weighted, and the sum is saturated once.
+ */
+class BM25Scorer {
+    /**
+     * @param {TFIDFVectorizer} vectorizer - Trained vectorizer with document frequencies
+     * @param {SparseMatrix} countsMatrix - Raw term counts, one row per document
+     * @param {Object} options - BM25 parameters {k1, b}
+     * @param {Object|null} fieldCounts - Raw term counts per field (null for models trained before field indexing)
+     */
+    constructor(vectorizer, countsMatrix, options = {}, fieldCounts = null) {
+        if (vectorizer.docFreq.size === 0 || !vectorizer.documentCount) {
+            throw new Error('BM25 requires document frequencies. Please retrain the model.');
+        }
+
+        this.model = 'bm25';
+        this.vectorizer = vectorizer;
+        this.k1 = options.k1 !== undefined ? options.k1 : BM25_DEFAULTS.k1;
+        this.b = options.b !== undefined ? options.b : BM25_DEFAULTS.b;
+        this.index = InvertedIndex.fromMatrix(countsMatrix);
+
+        // Document lengths in (vocabulary) tokens
+        const { lengths, average } = documentLengths(countsMatrix);
+        this.docLengths = lengths;
+        this.averageLength = average;
+
+        this.fields = null;
+        if (fieldCounts) {
+            this.fields = {};
+            Object.entries(fieldCounts).forEach(([field, counts]) => {
+                this.fields[field] = { index: InvertedIndex.fromMatrix(counts), ...documentLengths(counts) };
+            });
+        }
+    }
+
+    /**
+     * BM25 inverse document frequency (always positive)
+     * @param {string} term - Vocabulary term
+     * @returns {number} - IDF value
+     */
+    idf(term) {
+        const docFreq = this.vectorizer.docFreq.get(term) || 0;
+        const docCount = this.vectorizer.documentCount;
+        return Math.log(1 + (docCount - docFreq + 0.5) / (docFreq + 0.5));
+    }
+
+    /**
+     * Score documents for a query
+     * @param {string} queryText - Query string
+     * @param {number} threshold - Minimum score threshold
+     * @param {Array} expansions - Weighted terms added to the query [{text, weight}], e.g. synonyms
+     * @param {Object|null} boosts - Field weights from parseBoosts (ignored by models without fields)
+     * @returns {Array} - Array of {index, score} objects sorted by score
+     */
+    search(queryText, threshold = 0.01, expansions = [], boosts = null) {
+        const { text, phrases } = parseQuery(queryText);
+        const matches = matchPhrases(this.vectorizer, this.index, phrases);
+        const scores = new Map();
+
+        // Query terms count fully; expansion terms contribute their weight (the highest if repeated)
+        const termWeights = new Map();
+        expansions.forEach(({ text: expansion, weight }) => {
+            this.vectorizer.vocabularyTerms(expansion.toLowerCase()).forEach(term => {
+                termWeights.set(term, Math.max(termWeights.get(term) || 0, weight));
+            });
+        });
+        this.vectorizer.vocabularyTerms(text.toLowerCase()).forEach(term => termWeights.set(term, 1));
+
+        const fieldWeights = this.fields ? resolveBoosts(Object.keys(this.fields), boosts) : null;
+
+        termWeights.forEach((termWeight, term) => {
+            const column = this.vectorizer.vocabulary.get(term);
+            if (column === undefined) return;
+
+            if (fieldWeights) {
+                this.scoreFields(column, termWeight * this.idf(term), fieldWeights, scores);
+                return;
+            }
+
+            const postingList = this.index.getPostings(column);
+            if (!postingList) return;
+
+            const idf = termWeight * this.idf(term);
+            const { docs, weights } = postingList;
+
+            for (let i = 0; i < docs.length; i++) {
+                const tf = weights[i];
+                const lengthRatio = this.averageLength > 0 ? this.docLengths[docs[i]] / this.averageLength : 1;
+                const termScore = idf * (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * lengthRatio));
+                scores.set(docs[i], (scores.get(docs[i]) || 0) + termScore);
+            }
+        });
+
+        const results = [];
+        scores.forEach((score, index) => {
+            if (score >= threshold && (!matches || matches.has(index))) {
+                results.push({ index, score });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Add the BM25F scores of one term
+     * @param {number} column - Vocabulary column of the term
+     * @param {number} idf - IDF of the term, times its query weight
+     * @param {Object} fieldWeights - Weight per field
+     * @param {Map} scores - Document -> score, updated in place
+     */
+    scoreFields(column, idf, fieldWeights, scores) {
+        const frequencies = new Map();
+
+        Object.entries(this.fields).forEach(([field, { index, lengths, average }]) => {
+            const postingList = index.getPostings(column);
+            if (!postingList || fieldWeights[field] === 0) return;
+
+            const { docs, weights } = postingList;
+            for (let i = 0; i < docs.length; i++) {
+                const lengthRatio = average > 0 ? lengths[docs[i]] / average : 1;
+                const frequency = fieldWeights[field] * weights[i] / (1 - this.b + this.b * lengthRatio);
+                frequencies.set(docs[i], (frequencies.get(docs[i]) || 0) + frequency);
+            }
+        });
+
+        frequencies.forEach((tf, doc) => {
+            scores.set(doc, (scores.get(doc) || 0) + idf * (tf * (this.k1 + 1)) / (tf + this.k1));
+        });
+    }
+}
+
+/**
+ * Cosine similarity of problem embeddings, alone or blended with a lexical model
+ */
+class EmbeddingScorer {
+    /**
+     * @param {IVFIndex} index - Index of the problem embeddings
+     * @param {string} modelId - Id of the encoder that computed them
+     */
+    constructor(index, modelId) {
+        this.model = 'embedding';
+        this.index = index;
+        this.modelId = modelId;
+    }
+
+    /**
+     * Scorer of one query, with the same search() as the lexical scorers
+     *
+     * Candidates are the nearest neighbours of the query vector and, for
+     * hybrid scores, the documents found by the lexical model. A candidate
+     * scores alpha times its lexical score (relative to the best one) plus
+     * 1 - alpha times its embedding similarity. Quoted phrases restrict the
+     * results to the lexical model's phrase matches. Synonyms and corrections
+     * only reach the lexical model: the encoder already relates such words.
+     * @param {Float32Array} queryVector - Unit vector of the query, from the same encoder
+     * @param {Object} lexical - Lexical scorer (TFIDFScorer or BM25Scorer)
+     * @param {number} alpha - Weight of the lexical score from 0 (embedding only) to 1
+     * @returns {Object} - Scorer {model, search(queryText, threshold, expansions, boosts)}
+     */
+    forQuery(queryVector, lexical, alpha = 0) {
+        return {
+            model: alpha > 0 ? 'hybrid' : 'embedding',
+            search: (queryText, threshold = 0.01, expansions = [], boosts = null) => {
+                const { phrases } = parseQuery(queryText);
+                const lexicalResults = alpha > 0 || phrases.length > 0
+                    ? lexical.search(queryText, 0, expansions, boosts)
+                    : [];
+                const bestLexical = lexicalResults.length > 0 ? lexicalResults[0].score : 0;
+
+                const candidates = new Map();
+                lexicalResults.forEach(({ index, score }) => candidates.set(index, score));
+                if (phrases.length === 0) {
+                    this.index.search(queryVector, EMBEDDING_CANDIDATES).forEach(({ index }) => {
+                        if (!candidates.has(index)) candidates.set(index, 0);
+                    });
+                }
+
+                const results = [];
+                candidates.forEach((lexicalScore, index) => {
+                    const similarity = Math.max(0, this.index.similarity(queryVector, index));
+                    const score = alpha * (bestLexical > 0 ? lexicalScore / bestLexical : 0) + (1 - alpha) * similarity;
+                    if (score >= threshold) {
+                        results.push({ index, score });
+                    }
+                });
+
+                return results.sort((a, b) => b.score - a.score || a.index - b.index);
+            }
+        };
+    }
+}
+
+/**
+ * Create the scorers available for a platform's loaded data
+ * @param {TFIDFVectorizer} vectorizer - Trained vectorizer
+ * @param {SparseMatrix} tfidfMatrix - TF-IDF matrix
+ * @param {SparseMatrix|null} countsMatrix - Raw term counts (null for models trained before BM25)
+ * @param {Object|null} fieldCounts - Raw term counts per field (null for models trained before field indexing)
+ * @returns {Object} - Scorers keyed by model name
+ */
+function createScorers(vectorizer, tfidfMatrix, countsMatrix = null, fieldCounts = null) {
+    const scorers = {
+        tfidf: new TFIDFScorer(vectorizer, tfidfMatrix, fieldCounts)
+    };
+
+    if (countsMatrix && vectorizer.docFreq.size > 0) {
+        scorers.bm25 = new BM25Scorer(vectorizer, countsMatrix, vectorizer.scoring, fieldCounts);
+    }
+
+    return scorers;
+}
+
+/**
+ * Check whether a model name is supported
+ * @param {string} model - Model name
+ * @returns {boolean} - True if supported
+ */
+function isScoringModel(model) {
+    return SCORING_MODELS.includes(model);
+}
+
+/**
+ * Check whether a search may ask for a model (a lexical or an embedding one)
+ * @param {string} model - Model name
+ * @returns {boolean} - True if supported
+ */
+function isSearchModel(model) {
+    return SCORING_MODELS.includes(model) || EMBEDDING_MODELS.includes(model);
+}
+
+module.exports = {
+    SCORING_MODELS,
+    EMBEDDING_MODELS,
+    HYBRID_ALPHA,
+    EMBEDDING_CANDIDATES,
+    BM25_DEFAULTS,
+    FIELD_BOOSTS,
+    DOCUMENT_FIELDS,
+    parseBoosts,
+    TFIDFScorer,
+    BM25Scorer,
+    EmbeddingScorer,
+    parseQuery,
+    createScorers,
+    isScoringModel,
+    isSearchModel
+};
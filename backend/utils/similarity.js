@@ -99,6 +99,26 @@ function getTopSimilar(similarities, k = -1, threshold = 0.01) {
     return results;
 }
 
+/**
+ * Get the non-zero entries of a matrix row
+ * @param {SparseMatrix|Matrix} matrix - Sparse or dense matrix
+ * @param {number} row - Row index
+ * @returns {Array} - Array of [column, value] pairs
+ */
+function sparseRow(matrix, row) {
+    if (typeof matrix.rowEntries === 'function') {
+        return matrix.rowEntries(row);
+    }
+    
+    const entries = [];
+    matrix.getRow(row).forEach((value, column) => {
+        if (value !== 0) {
+            entries.push([column, value]);
+        }
+    });
+    return entries;
+}
+
 /**
  * Normalize a vector to unit length
  * @param {Array} vector - Input vector
@@ -158,6 +178,7 @@ module.exports = {
     cosineSimilarityMatrix,
     pairwiseCosineSimilarity,
     getTopSimilar,
+    sparseRow,
     normalizeVector,
     euclideanDistance,
     manhattanDistance
@@ -0,0 +1,87 @@
+/**
+ * Compressed sparse row (CSR) matrix.
+ *
+ * Row i owns the entries indptr[i] .. indptr[i + 1] - 1 of the indices
+ * (column) and data (value) arrays. Exposes the same rows/columns/getRow
+ * surface as ml-matrix so dense helpers keep working on it.
+ */
+class SparseMatrix {
+    constructor(rows, columns, indptr, indices, data) {
+        this.rows = rows;
+        this.columns = columns;
+        this.indptr = indptr;
+        this.indices = indices;
+        this.data = data;
+    }
+
+    // Number of stored (non-zero) entries
+    get nnz() {
+        return this.indptr[this.rows];
+    }
+
+    // Get the non-zero entries of a row as [column, value] pairs
+    rowEntries(row) {
+        const entries = [];
+        for (let k = this.indptr[row]; k < this.indptr[row + 1]; k++) {
+            entries.push([this.indices[k], this.data[k]]);
+        }
+        return entries;
+    }
+
+    // Get a row as a dense array
+    getRow(row) {
+        const dense = new Array(this.columns).fill(0);
+        for (let k = this.indptr[row]; k < this.indptr[row + 1]; k++) {
+            dense[this.indices[k]] = this.data[k];
+        }
+        return dense;
+    }
+
+    // Build from sparse rows given as Maps or arrays of [column, value] pairs
+    static fromRows(sparseRows, columns) {
+        let nnz = 0;
+        sparseRows.forEach(row => {
+            for (const [, value] of row) {
+                if (value !== 0) nnz++;
+            }
+        });
+
+        const indptr = new Uint32Array(sparseRows.length + 1);
+        const indices = new Uint32Array(nnz);
+        const data = new Float32Array(nnz);
+
+        let k = 0;
+        sparseRows.forEach((row, i) => {
+            const entries = Array.from(row)
+                .filter(([, value]) => value !== 0)
+                .sort((a, b) => a[0] - b[0]);
+
+            entries.forEach(([column, value]) => {
+                indices[k] = column;
+                data[k] = value;
+                k++;
+            });
+            indptr[i + 1] = k;
+        });
+
+        return new SparseMatrix(sparseRows.length, columns, indptr, indices, data);
+    }
+
+    // Build from an ml-matrix Matrix or a 2D array
+    static fromDense(matrix) {
+        const rows2D = Array.isArray(matrix) ? matrix : matrix.to2DArray();
+        const columns = rows2D.length > 0 ? rows2D[0].length : 0;
+
+        const sparseRows = rows2D.map(row => {
+            const entries = [];
+            row.forEach((value, column) => {
+                if (value !== 0) entries.push([column, value]);
+            });
+            return entries;
+        });
+
+        return SparseMatrix.fromRows(sparseRows, columns);
+    }
+}
+
+module.exports = SparseMatrix;
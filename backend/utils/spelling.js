@@ -0,0 +1,228 @@
+const stopword = require('stopword');
+const { MAGNITUDE_TOKEN } = require('./math');
+
+// Words shorter than this are never corrected ("dp", "bfs" are too ambiguous)
+const MIN_WORD_LENGTH = 4;
+
+/**
+ * Edit distance allowed for a term: one typo, two for long words
+ * @param {string} term - Misspelled term
+ * @returns {number} - Maximum edit distance
+ */
+function maxDistance(term) {
+    return term.length >= 8 ? 2 : 1;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and
+ * transpositions of adjacent characters ("djikstra" is 1 away from "dijkstra")
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Optimal string alignment distance
+ */
+function editDistance(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    // Three rows of the dynamic programming table are enough for transpositions
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+        }
+        previous2 = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * BK-tree: a metric tree finding the terms within an edit distance of a word
+ * without comparing it to the whole vocabulary
+ */
+class BKTree {
+    /**
+     * @param {Function} distance - Metric between two terms (default: editDistance)
+     */
+    constructor(distance = editDistance) {
+        this.distance = distance;
+        this.root = null;
+        this.size = 0;
+    }
+
+    /**
+     * Add a term to the tree
+     * @param {string} term - Term to add
+     */
+    add(term) {
+        if (!this.root) {
+            this.root = { term, children: new Map() };
+            this.size++;
+            return;
+        }
+
+        let node = this.root;
+        for (;;) {
+            const d = this.distance(term, node.term);
+            if (d === 0) return;
+
+            const child = node.children.get(d);
+            if (!child) {
+                node.children.set(d, { term, children: new Map() });
+                this.size++;
+                return;
+            }
+            node = child;
+        }
+    }
+
+    /**
+     * Find the terms within a distance of a word
+     * @param {string} word - Word to look up
+     * @param {number} maxDistance - Largest distance to return
+     * @returns {Array} - Array of {term, distance} objects sorted by distance
+     */
+    search(word, maxDistance) {
+        const results = [];
+        const stack = this.root ? [this.root] : [];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const d = this.distance(word, node.term);
+            if (d <= maxDistance) {
+                results.push({ term: node.term, distance: d });
+            }
+
+            // By the triangle inequality only children at distance d ± maxDistance can match
+            node.children.forEach((child, childDistance) => {
+                if (childDistance >= d - maxDistance && childDistance <= d + maxDistance) {
+                    stack.push(child);
+                }
+            });
+        }
+
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+}
+
+/**
+ * Maps query words missing from a vectorizer's vocabulary to the closest vocabulary terms
+ */
+class SpellingCorrector {
+    /**
+     * @param {TFIDFVectorizer} vectorizer - Trained vectorizer
+     */
+    constructor(vectorizer) {
+        this.vectorizer = vectorizer;
+        // Built on the first unknown word, since most queries have none
+        this.tree = null;
+    }
+
+    buildTree() {
+        const tree = new BKTree();
+        this.vectorizer.vocabulary.forEach((column, term) => {
+            // Only single words with documents left can be suggested
+            if (term.includes(' ') || MAGNITUDE_TOKEN.test(term) || this.vectorizer.docFreq.get(term) === 0) return;
+            tree.add(term);
+        });
+        return tree;
+    }
+
+    /**
+     * Correct the words of a query that are not in the vocabulary
+     * @param {string} queryText - Query string
+     * @returns {Array} - Corrections [{word, term, suggestion, distance}]; suggestion is a readable word for term
+     */
+    correct(queryText) {
+        const corrections = [];
+        const seen = new Set();
+
+        for (const match of String(queryText || '').toLowerCase().matchAll(/[a-z]+/g)) {
+            const word = match[0];
+            if (seen.has(word) || word.length < MIN_WORD_LENGTH || stopword.eng.includes(word)) continue;
+            seen.add(word);
+
+            const [term] = this.vectorizer.preprocessText(word);
+            if (!term || this.vectorizer.vocabulary.has(term)) continue;
+
+            if (!this.tree) {
+                this.tree = this.buildTree();
+            }
+
+            // Closest term first, then the most common one
+            const [best] = this.tree.search(term, maxDistance(term)).sort((a, b) =>
+                a.distance - b.distance ||
+                (this.vectorizer.docFreq.get(b.term) || 0) - (this.vectorizer.docFreq.get(a.term) || 0) ||
+                a.term.localeCompare(b.term));
+
+            if (best) {
+                corrections.push({
+                    word,
+                    term: best.term,
+                    suggestion: this.vectorizer.surfaceForm(best.term),
+                    distance: best.distance
+                });
+            }
+        }
+
+        return corrections;
+    }
+}
+
+/**
+ * Build a "did you mean" query from the corrections of several platforms
+ *
+ * A word is only replaced if every platform had to correct it (a word known
+ * to one platform is not a typo); the closest suggestion wins, then the one
+ * most platforms agree on.
+ * @param {string} queryText - Query string
+ * @param {Array} correctionLists - Corrections of each platform, from SpellingCorrector.correct
+ * @returns {string|null} - Corrected query, or null if nothing was corrected
+ */
+function suggestQuery(queryText, correctionLists) {
+    if (correctionLists.length === 0) return null;
+
+    const replacements = new Map();
+    const words = new Set(correctionLists[0].map(correction => correction.word));
+
+    words.forEach(word => {
+        const candidates = new Map();
+        for (const corrections of correctionLists) {
+            const correction = corrections.find(item => item.word === word);
+            if (!correction) return;
+
+            const candidate = candidates.get(correction.suggestion) || { distance: correction.distance, votes: 0 };
+            candidate.distance = Math.min(candidate.distance, correction.distance);
+            candidate.votes++;
+            candidates.set(correction.suggestion, candidate);
+        }
+
+        const [best] = Array.from(candidates.entries())
+            .sort(([, a], [, b]) => a.distance - b.distance || b.votes - a.votes);
+        replacements.set(word, best[0]);
+    });
+
+    if (replacements.size === 0) return null;
+
+    return String(queryText).replace(/[a-zA-Z]+/g, word => {
+        const replacement = replacements.get(word.toLowerCase());
+        return replacement === undefined ? word : replacement;
+    });
+}
+
+module.exports = {
+    editDistance,
+    BKTree,
+    SpellingCorrector,
+    suggestQuery
+};
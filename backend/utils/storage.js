@@ -1,6 +1,20 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { Matrix } = require('ml-matrix');
+const SparseMatrix = require('./sparse');
+const { IVFIndex } = require('./ann');
+
+// Binary files: magic, uint32 header length, JSON header, then 8-byte
+// aligned typed array sections. CSR matrices hold indptr (uint32), indices
+// (uint32) and data (float32); embeddings hold vectors and their ANN index.
+const SPARSE_MAGIC = 'CSR1';
+const EMBEDDINGS_MAGIC = 'EMB1';
+const SECTION_ALIGNMENT = 8;
+
+const SECTION_TYPES = {
+    uint32: Uint32Array,
+    float32: Float32Array
+};
 
 /**
  * Save TF-IDF vectorizer to JSON file
@@ -177,20 +191,271 @@ async function loadMatrixWithBuffer(filePath) {
     }
 }
 
+/**
+ * Save a sparse matrix in the binary CSR format
+ * @param {SparseMatrix|Matrix} matrix - Matrix to save (dense matrices are converted)
+ * @param {string} filePath - Path to save file
+ * @returns {Promise} - Promise that resolves when saving is complete
+ */
+async function saveSparseMatrix(matrix, filePath) {
+    try {
+        await fs.ensureDir(path.dirname(filePath));
+        
+        const sparse = matrix instanceof SparseMatrix ? matrix : SparseMatrix.fromDense(matrix);
+        await writeSections(filePath, SPARSE_MAGIC, {
+            format: 'csr',
+            version: 1,
+            rows: sparse.rows,
+            columns: sparse.columns,
+            nnz: sparse.nnz
+        }, [
+            { name: 'indptr', dtype: 'uint32', array: Uint32Array.from(sparse.indptr) },
+            { name: 'indices', dtype: 'uint32', array: Uint32Array.from(sparse.indices) },
+            { name: 'data', dtype: 'float32', array: Float32Array.from(sparse.data) }
+        ]);
+        
+        console.log(`Sparse matrix saved to ${filePath} (${sparse.rows}x${sparse.columns}, ${sparse.nnz} non-zeros)`);
+    } catch (error) {
+        console.error(`Error saving sparse matrix to ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Load a sparse matrix from the binary CSR format
+ * @param {string} filePath - Path to matrix file
+ * @returns {Promise<SparseMatrix>} - Loaded sparse matrix
+ */
+async function loadSparseMatrix(filePath) {
+    try {
+        if (!await fs.pathExists(filePath)) {
+            throw new Error(`Sparse matrix file not found: ${filePath}`);
+        }
+        
+        const { header, readSection } = readSections(await fs.readFile(filePath), SPARSE_MAGIC, 'sparse matrix');
+        const matrix = new SparseMatrix(
+            header.rows,
+            header.columns,
+            readSection(header.indptr),
+            readSection(header.indices),
+            readSection(header.data)
+        );
+        
+        console.log(`Sparse matrix loaded from ${filePath} (${matrix.rows}x${matrix.columns}, ${matrix.nnz} non-zeros)`);
+        return matrix;
+    } catch (error) {
+        console.error(`Error loading sparse matrix from ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Path of a platform's embeddings
+ * @param {string} platformPath - Base path for the platform
+ * @returns {string} - Path to embeddings.bin
+ */
+function embeddingsPath(platformPath) {
+    return path.join(platformPath, 'embeddings.bin');
+}
+
+/**
+ * Save a platform's problem embeddings and their ANN index
+ * @param {string} platformPath - Base path for the platform
+ * @param {IVFIndex} index - Index holding one vector per problem
+ * @param {string} modelId - Id of the encoder that computed the vectors
+ * @returns {Promise} - Promise that resolves when saving is complete
+ */
+async function saveEmbeddings(platformPath, index, modelId) {
+    const filePath = embeddingsPath(platformPath);
+    
+    try {
+        await writeSections(filePath, EMBEDDINGS_MAGIC, {
+            format: 'ivf',
+            version: 1,
+            modelId,
+            rows: index.rows,
+            dimensions: index.dimensions,
+            lists: index.lists
+        }, [
+            { name: 'vectors', dtype: 'float32', array: index.vectors },
+            { name: 'centroids', dtype: 'float32', array: index.centroids },
+            { name: 'listOffsets', dtype: 'uint32', array: index.listOffsets },
+            { name: 'listDocs', dtype: 'uint32', array: index.listDocs }
+        ]);
+        
+        console.log(`Embeddings saved to ${filePath} (${index.rows}x${index.dimensions}, ${index.lists} lists)`);
+    } catch (error) {
+        console.error(`Error saving embeddings to ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Load a platform's problem embeddings
+ * @param {string} platformPath - Base path for the platform
+ * @returns {Promise<Object|null>} - {index, modelId}, or null if the platform was never embedded
+ */
+async function loadEmbeddings(platformPath) {
+    const filePath = embeddingsPath(platformPath);
+    
+    if (!await fs.pathExists(filePath)) {
+        return null;
+    }
+    
+    try {
+        const { header, readSection } = readSections(await fs.readFile(filePath), EMBEDDINGS_MAGIC, 'embeddings');
+        const index = new IVFIndex(
+            readSection(header.vectors),
+            header.dimensions,
+            readSection(header.centroids),
+            readSection(header.listOffsets),
+            readSection(header.listDocs)
+        );
+        
+        console.log(`Embeddings loaded from ${filePath} (${index.rows}x${index.dimensions}, model ${header.modelId})`);
+        return { index, modelId: header.modelId };
+    } catch (error) {
+        console.error(`Error loading embeddings from ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Write a binary file of typed array sections
+ * @param {string} filePath - Path to save file
+ * @param {string} magic - 4-character file type marker
+ * @param {Object} header - JSON header; each section's {dtype, offset, length} is added under its name
+ * @param {Array} sections - Sections [{name, dtype, array}]
+ * @returns {Promise} - Promise that resolves when the file is written
+ */
+async function writeSections(filePath, magic, header, sections) {
+    await fs.ensureDir(path.dirname(filePath));
+    
+    // Section offsets are relative to the start of the aligned body
+    const fullHeader = { ...header };
+    let offset = 0;
+    sections.forEach(section => {
+        fullHeader[section.name] = { dtype: section.dtype, offset, length: section.array.length };
+        offset = alignTo(offset + section.array.byteLength, SECTION_ALIGNMENT);
+    });
+    
+    const headerBuffer = Buffer.from(JSON.stringify(fullHeader), 'utf8');
+    const prefix = Buffer.alloc(alignTo(8 + headerBuffer.length, SECTION_ALIGNMENT));
+    prefix.write(magic, 0, 'ascii');
+    prefix.writeUInt32LE(headerBuffer.length, 4);
+    headerBuffer.copy(prefix, 8);
+    
+    // Write section by section so the whole file is never held in one buffer
+    const fd = await fs.open(filePath, 'w');
+    try {
+        await writeFully(fd, prefix);
+        for (const section of sections) {
+            const bytes = Buffer.from(section.array.buffer, section.array.byteOffset, section.array.byteLength);
+            const padding = alignTo(bytes.length, SECTION_ALIGNMENT) - bytes.length;
+            await writeFully(fd, bytes);
+            if (padding > 0) {
+                await writeFully(fd, Buffer.alloc(padding));
+            }
+        }
+    } finally {
+        await fs.close(fd);
+    }
+}
+
+/**
+ * Parse a binary file written by writeSections
+ * @param {Buffer} buffer - File contents
+ * @param {string} magic - Expected file type marker
+ * @param {string} description - File type, for the error message
+ * @returns {Object} - {header, readSection} where readSection(header.<name>) returns a typed array
+ */
+function readSections(buffer, magic, description) {
+    if (buffer.toString('ascii', 0, 4) !== magic) {
+        throw new Error(`Not a ${description} file`);
+    }
+    
+    const headerLength = buffer.readUInt32LE(4);
+    const header = JSON.parse(buffer.toString('utf8', 8, 8 + headerLength));
+    const bodyStart = alignTo(8 + headerLength, SECTION_ALIGNMENT);
+    
+    const readSection = ({ dtype, offset, length }) => {
+        const ArrayType = SECTION_TYPES[dtype];
+        const start = buffer.byteOffset + bodyStart + offset;
+        // Copy so the typed array is aligned regardless of the Buffer's pooling
+        return new ArrayType(buffer.buffer.slice(start, start + length * ArrayType.BYTES_PER_ELEMENT));
+    };
+    
+    return { header, readSection };
+}
+
+/**
+ * Write a whole buffer to an open file descriptor
+ * @param {number} fd - File descriptor
+ * @param {Buffer} buffer - Bytes to write
+ * @returns {Promise} - Promise that resolves when every byte is written
+ */
+async function writeFully(fd, buffer) {
+    let written = 0;
+    while (written < buffer.length) {
+        const { bytesWritten } = await fs.write(fd, buffer, written, buffer.length - written);
+        written += bytesWritten;
+    }
+}
+
+/**
+ * Round an offset up to the next multiple of alignment
+ * @param {number} value - Offset in bytes
+ * @param {number} alignment - Alignment in bytes
+ * @returns {number} - Aligned offset
+ */
+function alignTo(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
+}
+
+/**
+ * Resolve which matrix file a platform uses, preferring the sparse format
+ * @param {string} platformPath - Base path for the platform
+ * @returns {Promise<string|null>} - Path to the matrix file or null if none exists
+ */
+async function resolveMatrixPath(platformPath) {
+    const sparsePath = path.join(platformPath, 'matrix.csr');
+    const legacyPath = path.join(platformPath, 'matrix.json');
+    
+    if (await fs.pathExists(sparsePath)) return sparsePath;
+    if (await fs.pathExists(legacyPath)) return legacyPath;
+    return null;
+}
+
+/**
+ * Path of the term counts of one document field
+ * @param {string} platformPath - Base path for the platform
+ * @param {string} field - Field name, e.g. "name"
+ * @returns {string} - Path to counts.<field>.csr
+ */
+function fieldCountsPath(platformPath, field) {
+    return path.join(platformPath, `counts.${field}.csr`);
+}
+
 /**
  * Save both vectorizer and matrix for a platform
  * @param {string} platformPath - Base path for the platform
  * @param {Object} vectorizer - Vectorizer to save
- * @param {Matrix} matrix - Matrix to save
- * @returns {Promise} - Promise that resolves when both are saved
+ * @param {SparseMatrix|Matrix} matrix - TF-IDF matrix to save
+ * @param {SparseMatrix|null} countsMatrix - Raw term counts used by BM25 (optional)
+ * @param {Object|null} fieldCounts - Raw term counts per document field, keyed by field (optional)
+ * @returns {Promise} - Promise that resolves when everything is saved
  */
-async function savePlatformData(platformPath, vectorizer, matrix) {
+async function savePlatformData(platformPath, vectorizer, matrix, countsMatrix = null, fieldCounts = null) {
     const vectorizerPath = path.join(platformPath, 'vectorizer.json');
-    const matrixPath = path.join(platformPath, 'matrix.json');
+    const matrixPath = path.join(platformPath, 'matrix.csr');
+    const countsPath = path.join(platformPath, 'counts.csr');
     
     await Promise.all([
         saveVectorizer(vectorizer, vectorizerPath),
-        saveMatrix(matrix, matrixPath)
+        saveSparseMatrix(matrix, matrixPath),
+        countsMatrix ? saveSparseMatrix(countsMatrix, countsPath) : Promise.resolve(),
+        ...Object.entries(fieldCounts || {}).map(([field, counts]) =>
+            saveSparseMatrix(counts, fieldCountsPath(platformPath, field)))
     ]);
     
     console.log(`Platform data saved to ${platformPath}`);
@@ -199,19 +464,85 @@ async function savePlatformData(platformPath, vectorizer, matrix) {
 /**
  * Load both vectorizer and matrix for a platform
  * @param {string} platformPath - Base path for the platform
- * @returns {Promise<Object>} - Object with vectorizer and matrix
+ * @returns {Promise<Object>} - Object with vectorizer, sparse matrix, counts and fieldCounts (null if not trained)
  */
 async function loadPlatformData(platformPath) {
     const vectorizerPath = path.join(platformPath, 'vectorizer.json');
-    const matrixPath = path.join(platformPath, 'matrix.json');
+    const countsPath = path.join(platformPath, 'counts.csr');
+    const matrixPath = await resolveMatrixPath(platformPath);
+    
+    if (!matrixPath) {
+        throw new Error(`Matrix file not found in ${platformPath}`);
+    }
+    
+    const loadAnyMatrix = async () => {
+        if (path.extname(matrixPath) === '.csr') {
+            return loadSparseMatrix(matrixPath);
+        }
+        
+        console.log(`Legacy dense matrix found at ${matrixPath}. Run "npm run convert-matrix" to convert it.`);
+        return SparseMatrix.fromDense(await loadMatrix(matrixPath));
+    };
     
-    const [vectorizer, matrix] = await Promise.all([
+    const loadCounts = async () => {
+        return await fs.pathExists(countsPath) ? loadSparseMatrix(countsPath) : null;
+    };
+    
+    const [vectorizer, matrix, counts] = await Promise.all([
         loadVectorizer(vectorizerPath),
-        loadMatrix(matrixPath)
+        loadAnyMatrix(),
+        loadCounts()
     ]);
     
+    // Models trained before field indexing have no per-field counts
+    let fieldCounts = null;
+    if (vectorizer.fields.length > 0) {
+        const fieldMatrices = await Promise.all(vectorizer.fields.map(async field => {
+            const fieldPath = fieldCountsPath(platformPath, field);
+            return await fs.pathExists(fieldPath) ? loadSparseMatrix(fieldPath) : null;
+        }));
+        if (fieldMatrices.every(Boolean)) {
+            fieldCounts = {};
+            vectorizer.fields.forEach((field, i) => { fieldCounts[field] = fieldMatrices[i]; });
+        }
+    }
+    
     console.log(`Platform data loaded from ${platformPath}`);
-    return { vectorizer, matrix };
+    return { vectorizer, matrix, counts, fieldCounts };
+}
+
+/**
+ * Save the index manifest (URL and content hash of each matrix row)
+ * @param {string} platformPath - Base path for the platform
+ * @param {Object} manifest - Manifest object
+ * @returns {Promise} - Promise that resolves when saving is complete
+ */
+async function saveManifest(platformPath, manifest) {
+    const manifestPath = path.join(platformPath, 'manifest.json');
+    
+    try {
+        await fs.ensureDir(platformPath);
+        await fs.writeJson(manifestPath, manifest);
+        console.log(`Manifest saved to ${manifestPath} (${manifest.documents.length} documents)`);
+    } catch (error) {
+        console.error(`Error saving manifest to ${manifestPath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Load the index manifest of a platform
+ * @param {string} platformPath - Base path for the platform
+ * @returns {Promise<Object|null>} - Manifest or null if the index was never built with one
+ */
+async function loadManifest(platformPath) {
+    const manifestPath = path.join(platformPath, 'manifest.json');
+    
+    if (!await fs.pathExists(manifestPath)) {
+        return null;
+    }
+    
+    return fs.readJson(manifestPath);
 }
 
 /**
@@ -221,14 +552,14 @@ async function loadPlatformData(platformPath) {
  */
 async function checkPlatformData(platformPath) {
     const vectorizerPath = path.join(platformPath, 'vectorizer.json');
-    const matrixPath = path.join(platformPath, 'matrix.json');
     const csvPath = path.join(platformPath, 'problem.csv');
     
-    const [vectorizerExists, matrixExists, csvExists] = await Promise.all([
+    const [vectorizerExists, matrixPath, csvExists] = await Promise.all([
         fs.pathExists(vectorizerPath),
-        fs.pathExists(matrixPath),
+        resolveMatrixPath(platformPath),
         fs.pathExists(csvPath)
     ]);
+    const matrixExists = matrixPath !== null;
     
     return {
         vectorizer: vectorizerExists,
@@ -246,8 +577,9 @@ async function checkPlatformData(platformPath) {
 async function getPlatformDataStats(platformPath) {
     const files = {
         vectorizer: path.join(platformPath, 'vectorizer.json'),
-        matrix: path.join(platformPath, 'matrix.json'),
-        csv: path.join(platformPath, 'problem.csv')
+        matrix: await resolveMatrixPath(platformPath) || path.join(platformPath, 'matrix.csr'),
+        csv: path.join(platformPath, 'problem.csv'),
+        embeddings: embeddingsPath(platformPath)
     };
     
     const stats = {};
@@ -293,8 +625,14 @@ module.exports = {
     loadVectorizer,
     saveMatrix,
     loadMatrix,
+    saveSparseMatrix,
+    loadSparseMatrix,
+    saveEmbeddings,
+    loadEmbeddings,
     savePlatformData,
     loadPlatformData,
+    saveManifest,
+    loadManifest,
     checkPlatformData,
     getPlatformDataStats,
     formatBytes
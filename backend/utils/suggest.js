@@ -0,0 +1,211 @@
+const { MAGNITUDE_TOKEN } = require('./math');
+
+// Suggestions returned when no limit is given, and the most a request may ask for
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+
+// Phrases (n-grams) in fewer problems are left out to keep the trie small
+const MIN_PHRASE_DOC_FREQ = 5;
+
+/**
+ * Prefix tree of weighted entries
+ *
+ * Each node keeps the largest weight below it, so completions are found best
+ * first and branches that cannot beat the current top ones are never visited.
+ */
+class PrefixTrie {
+    constructor() {
+        this.root = PrefixTrie.createNode();
+        this.size = 0;
+    }
+
+    static createNode() {
+        return { children: new Map(), entry: null, maxWeight: 0 };
+    }
+
+    /**
+     * Add an entry, adding its weight if the key is already present
+     * @param {string} key - Lowercase text to complete
+     * @param {number} weight - Ranking weight (e.g. a frequency)
+     * @param {Object} data - Fields returned with the entry (replacing those of an earlier insert)
+     */
+    insert(key, weight, data = {}) {
+        const path = [this.root];
+        let node = this.root;
+        for (const char of key) {
+            if (!node.children.has(char)) {
+                node.children.set(char, PrefixTrie.createNode());
+            }
+            node = node.children.get(char);
+            path.push(node);
+        }
+
+        if (!node.entry) {
+            node.entry = { text: key, weight: 0 };
+            this.size++;
+        }
+        Object.assign(node.entry, data);
+        node.entry.weight += weight;
+        path.forEach(visited => {
+            visited.maxWeight = Math.max(visited.maxWeight, node.entry.weight);
+        });
+    }
+
+    /**
+     * Find the heaviest entries starting with a prefix
+     * @param {string} prefix - Lowercase prefix
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array} - Entries {text, weight, ...data} sorted by weight
+     */
+    complete(prefix, limit = DEFAULT_SUGGESTIONS) {
+        let node = this.root;
+        for (const char of prefix) {
+            node = node.children.get(char);
+            if (!node) return [];
+        }
+
+        const results = [];
+        // Nodes to visit, kept sorted by the best weight below them
+        const frontier = [node];
+
+        while (frontier.length > 0 && results.length < limit) {
+            const current = frontier.shift();
+
+            // Entries are pushed as pseudo-nodes, so they come out in weight order too
+            if (current.result) {
+                results.push(current.result);
+                continue;
+            }
+
+            if (current.entry) {
+                insertSorted(frontier, { result: current.entry, maxWeight: current.entry.weight });
+            }
+            current.children.forEach(child => insertSorted(frontier, child));
+        }
+
+        return results;
+    }
+}
+
+// Insert a node into an array sorted by decreasing maxWeight
+function insertSorted(nodes, node) {
+    let low = 0;
+    let high = nodes.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (nodes[middle].maxWeight >= node.maxWeight) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    nodes.splice(low, 0, node);
+}
+
+/**
+ * Completes partial queries with problem names and vocabulary terms
+ *
+ * Terms are weighted by the number of problems containing them and stored
+ * under their readable words ("shortest path", not the stems "shortest
+ * path"); problem names are weighted by the number of problems sharing them.
+ */
+class QuerySuggester {
+    /**
+     * @param {TFIDFVectorizer} vectorizer - Trained vectorizer
+     * @param {Array} problemNames - Problem names
+     * @param {number} minPhraseDocFreq - Fewest problems a phrase must be in to be suggested
+     */
+    constructor(vectorizer, problemNames = [], minPhraseDocFreq = MIN_PHRASE_DOC_FREQ) {
+        this.trie = new PrefixTrie();
+
+        vectorizer.vocabulary.forEach((column, term) => {
+            const parts = term.split(' ');
+            const docFreq = vectorizer.docFreq.get(term) || 0;
+            if (docFreq === 0 || (parts.length > 1 && docFreq < minPhraseDocFreq)) return;
+            if (parts.some(part => MAGNITUDE_TOKEN.test(part))) return;
+
+            this.trie.insert(parts.map(part => vectorizer.surfaceForm(part)).join(' '), docFreq, { type: 'term' });
+        });
+
+        // Names come last, so a name that is also a phrase is shown as the problem
+        problemNames.forEach(name => {
+            const key = String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+            if (key) {
+                this.trie.insert(key, 1, { type: 'problem', name: name.trim() });
+            }
+        });
+    }
+
+    /**
+     * Suggest completions of a partial query
+     *
+     * The whole input is completed with names and phrases; with several
+     * words, the last one is also completed on its own and appended to the
+     * words before it.
+     * @param {string} prefix - Partial query
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Array} - Suggestions [{text, type ('term' or 'problem'), weight}] sorted by weight
+     */
+    suggest(prefix, limit = DEFAULT_SUGGESTIONS) {
+        const input = String(prefix || '').toLowerCase().replace(/\s+/g, ' ').replace(/^ /, '');
+        if (!input.trim()) return [];
+
+        const suggestions = this.trie.complete(input, limit).map(entry => ({
+            text: entry.type === 'problem' ? entry.name : entry.text,
+            type: entry.type,
+            weight: entry.weight
+        }));
+
+        const lastSpace = input.lastIndexOf(' ');
+        const lastWord = input.slice(lastSpace + 1);
+        if (lastSpace > 0 && lastWord) {
+            const before = input.slice(0, lastSpace + 1);
+            this.trie.complete(lastWord, limit)
+                .filter(entry => entry.type === 'term')
+                .forEach(entry => suggestions.push({ text: before + entry.text, type: 'term', weight: entry.weight }));
+        }
+
+        // A completion found by both lookups keeps its weight, it is not counted twice
+        return mergeSuggestions([suggestions], limit, Math.max);
+    }
+}
+
+/**
+ * Merge suggestion lists (e.g. of several platforms), combining the weights of equal texts
+ * @param {Array} suggestionLists - Lists of suggestions from QuerySuggester.suggest
+ * @param {number} limit - Maximum number of suggestions
+ * @param {Function} combine - Weight of two equal suggestions (default: their sum)
+ * @returns {Array} - Merged suggestions sorted by weight, then alphabetically
+ */
+function mergeSuggestions(suggestionLists, limit = DEFAULT_SUGGESTIONS, combine = (a, b) => a + b) {
+    const merged = new Map();
+
+    suggestionLists.forEach(suggestions => {
+        suggestions.forEach(suggestion => {
+            // "Two Sum" the problem and "two sum" the phrase are one suggestion
+            const key = suggestion.text.toLowerCase();
+            const current = merged.get(key);
+            if (!current) {
+                merged.set(key, { ...suggestion });
+            } else {
+                current.weight = combine(current.weight, suggestion.weight);
+                if (suggestion.type === 'problem') {
+                    current.text = suggestion.text;
+                    current.type = 'problem';
+                }
+            }
+        });
+    });
+
+    return Array.from(merged.values())
+        .sort((a, b) => b.weight - a.weight || a.text.localeCompare(b.text))
+        .slice(0, limit);
+}
+
+module.exports = {
+    DEFAULT_SUGGESTIONS,
+    MAX_SUGGESTIONS,
+    PrefixTrie,
+    QuerySuggester,
+    mergeSuggestions
+};
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+
+// Curated dictionary shipped with the server; SYNONYMS_PATH points to another file
+const DEFAULT_SYNONYMS_PATH = path.join(__dirname, '..', 'config', 'synonyms.json');
+
+// Expansion weights relative to the words typed by the user (weight 1)
+const DEFAULT_WEIGHTS = {
+    synonym: 0.8,
+    related: 0.3
+};
+
+/**
+ * Build the pattern of a dictionary term
+ *
+ * Parts of a term may be written together or separated by spaces or hyphens,
+ * and digits may be attached to words: "2sat" also matches "2-sat" and
+ * "2 sat", "seg tree" also matches "segtree", "k-th" also matches "kth".
+ * @param {string} term - Dictionary term
+ * @returns {RegExp} - Case-insensitive pattern matching the term as whole words
+ */
+function termPattern(term) {
+    const parts = term.toLowerCase()
+        .split(/[\s-]+|(?<=\d)(?=[a-z])|(?<=[a-z])(?=\d)/)
+        .filter(part => part.length > 0)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    return new RegExp(`(?<![a-z0-9])${parts.join('[\\s-]*')}(?![a-z0-9])`, 'gi');
+}
+
+/**
+ * Dictionary of competitive programming abbreviations and their synonyms
+ *
+ * Each group lists equivalent terms (an abbreviation and its full names) and
+ * related terms. When a query contains a term of a group, the other terms are
+ * added to it with a lower weight, so "dp" also searches for "dynamic programming".
+ */
+class SynonymDictionary {
+    /**
+     * @param {Object} data - Dictionary {weights: {synonym, related}, groups: [{terms, related}]}
+     * @throws {Error} - If the dictionary is malformed
+     */
+    constructor(data = {}) {
+        if (!data || typeof data !== 'object' || (data.groups !== undefined && !Array.isArray(data.groups))) {
+            throw new Error('Synonym dictionary must be an object with a "groups" array');
+        }
+
+        this.weights = { ...DEFAULT_WEIGHTS, ...data.weights };
+        for (const [kind, weight] of Object.entries(this.weights)) {
+            if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+                throw new Error(`Synonym weight "${kind}" must be a number from 0 to 1`);
+            }
+        }
+
+        this.groups = (data.groups || []).map((group, index) => {
+            const terms = group && Array.isArray(group.terms) ? group.terms : null;
+            const related = group && group.related !== undefined ? group.related : [];
+            if (!terms || terms.length === 0 || !Array.isArray(related) ||
+                ![...terms, ...related].every(term => typeof term === 'string' && term.trim())) {
+                throw new Error(`Synonym group ${index} must have a non-empty "terms" array of strings`);
+            }
+
+            return { terms: terms.map(term => term.trim()), related: related.map(term => term.trim()) };
+        });
+
+        // Longer terms are matched first, so "segment tree" is not also read as "tree"
+        this.patterns = [];
+        this.groups.forEach((group, groupIndex) => {
+            group.terms.forEach(term => {
+                this.patterns.push({ term, groupIndex, pattern: termPattern(term) });
+            });
+        });
+        this.patterns.sort((a, b) => b.term.length - a.term.length);
+    }
+
+    /**
+     * Find the dictionary terms of a query and the terms to add for them
+     * @param {string} queryText - Query string
+     * @returns {Array} - Expansions [{text, weight}], without the terms already in the query
+     */
+    expand(queryText) {
+        let remaining = String(queryText || '').toLowerCase();
+        const matchedTerms = new Set();
+        const matchedGroups = new Set();
+
+        this.patterns.forEach(({ term, groupIndex, pattern }) => {
+            remaining = remaining.replace(pattern, match => {
+                matchedTerms.add(term.toLowerCase());
+                matchedGroups.add(groupIndex);
+                return ' '.repeat(match.length);
+            });
+        });
+
+        // A term reached through several groups keeps its highest weight
+        const weights = new Map();
+        const add = (term, weight) => {
+            const text = term.toLowerCase();
+            if (!matchedTerms.has(text) && weight > (weights.get(text) || 0)) {
+                weights.set(text, weight);
+            }
+        };
+
+        matchedGroups.forEach(groupIndex => {
+            const group = this.groups[groupIndex];
+            group.terms.forEach(term => add(term, this.weights.synonym));
+            group.related.forEach(term => add(term, this.weights.related));
+        });
+
+        return Array.from(weights.entries()).map(([text, weight]) => ({ text, weight }));
+    }
+
+    /**
+     * Dictionary statistics
+     * @returns {Object} - {groups, terms}
+     */
+    getStats() {
+        return {
+            groups: this.groups.length,
+            terms: this.patterns.length
+        };
+    }
+
+    /**
+     * Load a dictionary from a JSON file
+     * @param {string} filePath - Path to the dictionary
+     * @returns {SynonymDictionary} - Loaded dictionary
+     * @throws {Error} - If the file cannot be read or is not a valid dictionary
+     */
+    static load(filePath) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return new SynonymDictionary(data);
+    }
+}
+
+// Dictionary used by searches, loaded on first use
+let synonyms = null;
+
+/**
+ * Path of the synonym dictionary
+ * @returns {string} - SYNONYMS_PATH or the shipped config/synonyms.json
+ */
+function getSynonymsPath() {
+    return process.env.SYNONYMS_PATH || DEFAULT_SYNONYMS_PATH;
+}
+
+/**
+ * Get the synonym dictionary used by searches
+ * @returns {SynonymDictionary} - Active dictionary (empty if the file could not be loaded)
+ */
+function getSynonyms() {
+    if (!synonyms) {
+        try {
+            synonyms = SynonymDictionary.load(getSynonymsPath());
+            console.log(`Loaded ${synonyms.groups.length} synonym groups from ${getSynonymsPath()}`);
+        } catch (error) {
+            console.error(`Error loading synonyms from ${getSynonymsPath()}:`, error.message);
+            synonyms = new SynonymDictionary();
+        }
+    }
+    return synonyms;
+}
+
+/**
+ * Reload the synonym dictionary, e.g. after editing the file
+ * @param {string} filePath - Dictionary to load (default: getSynonymsPath())
+ * @returns {SynonymDictionary} - Newly active dictionary
+ * @throws {Error} - If the file is invalid; the previous dictionary stays active
+ */
+function reloadSynonyms(filePath = getSynonymsPath()) {
+    synonyms = SynonymDictionary.load(filePath);
+    console.log(`Reloaded ${synonyms.groups.length} synonym groups from ${filePath}`);
+    return synonyms;
+}
+
+module.exports = {
+    DEFAULT_SYNONYMS_PATH,
+    SynonymDictionary,
+    getSynonyms,
+    getSynonymsPath,
+    reloadSynonyms
+};
@@ -1,47 +1,169 @@
 const natural = require('natural');
 const { Matrix } = require('ml-matrix');
 const stopword = require('stopword');
+const SparseMatrix = require('./sparse');
+const { MAGNITUDE_TOKEN, normalizeMath } = require('./math');
+
+// Stemmers that can be applied to tokens; 'none' keeps tokens as they are
+const STEMMERS = {
+    none: null,
+    porter: natural.PorterStemmer,
+    lancaster: natural.LancasterStemmer
+};
+
+// Longest n-grams that can be indexed (trigrams)
+const MAX_NGRAMS = 3;
+
+// N-grams join their tokens with a space, which never appears in a token
+const isNgram = (term) => term.includes(' ');
+
+// Alphanumeric tokens with at least one letter ("dijkstra", "2sat", "kth")
+const WORD_TOKEN = /^(?=.*[a-z])[a-z0-9]+$/;
+
+// Hyphenated words ("k-th", "2-SAT"), also indexed whole so "kth" and "2sat" find them
+const HYPHENATED_WORD = /[a-z0-9]+(?:-[a-z0-9]+)+/g;
 
 class TFIDFVectorizer {
-    constructor() {
+    /**
+     * @param {Object} options - Vectorizer options
+     * @param {string} options.stemmer - 'none', 'porter' or 'lancaster'
+     * @param {number} options.ngrams - Longest n-grams indexed besides single tokens (1 to 3; 1 indexes tokens only)
+     * @param {number} options.minDf - Minimum number of documents an n-gram must appear in to be indexed
+     */
+    constructor(options = {}) {
+        const { stemmer = 'none', ngrams = 1, minDf = 2 } = options;
+        if (!Object.prototype.hasOwnProperty.call(STEMMERS, stemmer)) {
+            throw new Error(`Unknown stemmer: ${stemmer}`);
+        }
+        if (!Number.isInteger(ngrams) || ngrams < 1 || ngrams > MAX_NGRAMS) {
+            throw new Error(`N-gram length must be an integer from 1 to ${MAX_NGRAMS}`);
+        }
+        if (!Number.isInteger(minDf) || minDf < 1) {
+            throw new Error('Minimum document frequency must be a positive integer');
+        }
+
+        this.stemmer = stemmer;
+        this.ngrams = ngrams;
+        this.minDf = minDf;
+        // Stems of tokens seen so far; corpora repeat the same words a lot
+        this.stems = new Map();
+        // Readable word for stemmed terms ("queri" -> "query"), used in suggestions
+        this.surfaceForms = new Map();
         this.vocabulary = new Map();
         this.idf = new Map();
+        this.docFreq = new Map();
+        this.documentCount = 0;
+        this.scoring = { model: 'tfidf' };
+        // Document fields with their own term counts (set by training)
+        this.fields = [];
         this.documents = [];
         this.fitted = false;
     }
 
-    // Preprocess text: lowercase, tokenize, remove stopwords
+    // Preprocess text: lowercase, tokenize, remove stopwords, stem
     preprocessText(text) {
         if (!text || typeof text !== 'string') return [];
         
-        // Convert to lowercase and tokenize
+        // Convert math to words, lowercase and tokenize (hyphenated words are split)
         const tokenizer = new natural.WordTokenizer();
-        const tokens = tokenizer.tokenize(text.toLowerCase());
+        const tokens = tokenizer.tokenize(normalizeMath(text).toLowerCase());
         if (!tokens) return [];
         
-        // Remove stopwords and non-alphabetic tokens
+        return this.filterTokens(tokens);
+    }
+
+    // Hyphenated words of a text written together ("k-th" -> "kth"), stemmed like tokens
+    joinedTerms(text) {
+        if (!text || typeof text !== 'string') return [];
+        
+        const words = normalizeMath(text).toLowerCase().match(HYPHENATED_WORD) || [];
+        return this.filterTokens(words.map(word => word.replace(/-/g, '')));
+    }
+
+    // Remove stopwords and tokens without letters (except magnitude tokens such as n_1e5), then stem
+    filterTokens(tokens) {
         const filtered = tokens.filter(token => 
-            /^[a-zA-Z]+$/.test(token) && 
+            (WORD_TOKEN.test(token) || MAGNITUDE_TOKEN.test(token)) && 
             token.length > 1 &&
             !(stopword.eng && stopword.eng.includes(token))
         );
         
-        return filtered;
+        return this.stemmer === 'none' ? filtered : filtered.map(token => this.stem(token));
+    }
+
+    // Stem a token with the configured stemmer (magnitude tokens are kept)
+    stem(token) {
+        if (MAGNITUDE_TOKEN.test(token)) return token;
+
+        let stemmed = this.stems.get(token);
+        if (stemmed === undefined) {
+            stemmed = STEMMERS[this.stemmer].stem(token);
+            this.stems.set(token, stemmed);
+        }
+        return stemmed;
     }
 
-    // Build vocabulary from documents
+    // Terms of a text: its tokens followed by their n-grams ("segment tree") and its
+    // hyphenated words written together, which take no part in n-grams.
+    // A document with several fields ({name, statement, ...}) or a list is analyzed
+    // part by part, so no n-gram spans two parts
+    analyze(text) {
+        if (text && typeof text === 'object') {
+            return Object.values(text).reduce((terms, field) => terms.concat(this.analyze(field)), []);
+        }
+        
+        const tokens = this.preprocessText(text);
+        const terms = tokens.slice();
+        
+        for (let n = 2; n <= this.ngrams; n++) {
+            for (let i = 0; i + n <= tokens.length; i++) {
+                terms.push(tokens.slice(i, i + n).join(' '));
+            }
+        }
+        
+        return terms.concat(this.joinedTerms(text));
+    }
+
+    // Terms of a text without the n-grams left out of the vocabulary (pruned or unseen)
+    vocabularyTerms(text) {
+        return this.analyze(text).filter(term => !isNgram(term) || this.vocabulary.has(term));
+    }
+
+    // Readable word for a term: the shortest word seen with that stem, or the term itself
+    surfaceForm(term) {
+        return this.surfaceForms.get(term) || term;
+    }
+
+    // Record the words behind the stemmed terms of the vocabulary (a stem may be a word itself: "path" for "paths")
+    updateSurfaceForms() {
+        this.stems.forEach((stem, word) => {
+            if (!this.vocabulary.has(stem)) return;
+
+            const current = this.surfaceForms.get(stem);
+            if (!current || word.length < current.length || (word.length === current.length && word < current)) {
+                this.surfaceForms.set(stem, word);
+            }
+        });
+        
+        return this.surfaceForms;
+    }
+
+    // Build vocabulary from documents, pruning n-grams found in fewer than minDf documents
     buildVocabulary(documents) {
-        const vocabSet = new Set();
+        const termDocCount = new Map();
         
         documents.forEach(doc => {
-            const tokens = this.preprocessText(doc);
-            tokens.forEach(token => vocabSet.add(token));
+            new Set(this.analyze(doc)).forEach(term => {
+                termDocCount.set(term, (termDocCount.get(term) || 0) + 1);
+            });
         });
         
-        // Convert set to map with indices
+        // Convert to map with indices, in order of first appearance
         let index = 0;
-        vocabSet.forEach(token => {
-            this.vocabulary.set(token, index++);
+        termDocCount.forEach((docFreq, term) => {
+            if (!isNgram(term) || docFreq >= this.minDf) {
+                this.vocabulary.set(term, index++);
+            }
         });
         
         return this.vocabulary;
@@ -71,7 +193,7 @@ class TFIDFVectorizer {
         
         // Count documents containing each term
         documents.forEach(doc => {
-            const tokens = this.preprocessText(doc);
+            const tokens = this.vocabularyTerms(doc);
             const uniqueTokens = new Set(tokens);
             
             uniqueTokens.forEach(token => {
@@ -80,8 +202,10 @@ class TFIDFVectorizer {
         });
         
         // Calculate IDF for each term
+        this.documentCount = docCount;
         this.vocabulary.forEach((index, token) => {
             const docFreq = termDocCount.get(token) || 0;
+            this.docFreq.set(token, docFreq);
             if (docFreq > 0) {
                 this.idf.set(token, Math.log(docCount / docFreq));
             } else {
@@ -92,21 +216,88 @@ class TFIDFVectorizer {
         return this.idf;
     }
 
-    // Convert document to TF-IDF vector
-    documentToVector(doc) {
-        const tokens = this.preprocessText(doc);
-        const tf = this.calculateTF(tokens);
-        const vector = new Array(this.vocabulary.size).fill(0);
+    // Recompute IDF from the stored document frequencies (after incremental updates)
+    updateIDF() {
+        this.vocabulary.forEach((index, token) => {
+            const docFreq = this.docFreq.get(token) || 0;
+            this.idf.set(token, docFreq > 0 ? Math.log(this.documentCount / docFreq) : 0);
+        });
         
+        return this.idf;
+    }
+
+    // Add unseen tokens to the end of the vocabulary, keeping existing columns
+    extendVocabulary(tokens) {
+        tokens.forEach(token => {
+            if (!this.vocabulary.has(token)) {
+                this.vocabulary.set(token, this.vocabulary.size);
+            }
+        });
+        
+        return this.vocabulary;
+    }
+
+    // Convert document to sparse TF-IDF vector (vocabulary index -> weight)
+    documentToSparseVector(doc) {
+        const tokens = this.vocabularyTerms(doc);
+        const tf = this.calculateTF(tokens);
+        const vector = new Map();
+
         tf.forEach((tfValue, token) => {
             const vocabIndex = this.vocabulary.get(token);
             const idfValue = this.idf.get(token) || 0;
-            
+
+            if (vocabIndex !== undefined && idfValue !== 0) {
+                vector.set(vocabIndex, tfValue * idfValue);
+            }
+        });
+
+        return vector;
+    }
+
+    // Count raw occurrences of vocabulary terms in a document (vocabulary index -> count)
+    documentToTermCounts(doc) {
+        const counts = new Map();
+
+        this.vocabularyTerms(doc).forEach(token => {
+            const vocabIndex = this.vocabulary.get(token);
             if (vocabIndex !== undefined) {
-                vector[vocabIndex] = tfValue * idfValue;
+                counts.set(vocabIndex, (counts.get(vocabIndex) || 0) + 1);
             }
         });
+
+        return counts;
+    }
+
+    // Weight raw term count rows (column -> count) like documentToSparseVector: (count / length) * idf
+    weightCounts(countRows) {
+        const idfByColumn = new Float64Array(this.vocabulary.size);
+        this.vocabulary.forEach((column, token) => {
+            idfByColumn[column] = this.idf.get(token) || 0;
+        });
         
+        return countRows.map(counts => {
+            let length = 0;
+            counts.forEach(count => { length += count; });
+            
+            const vector = new Map();
+            counts.forEach((count, column) => {
+                if (idfByColumn[column] !== 0) {
+                    vector.set(column, (count / length) * idfByColumn[column]);
+                }
+            });
+            return vector;
+        });
+    }
+
+    // Convert document to TF-IDF vector
+    documentToVector(doc) {
+        const vector = new Array(this.vocabulary.size).fill(0);
+
+        this.documentToSparseVector(doc).forEach((weight, vocabIndex) => {
+            vector[vocabIndex] = weight;
+        });
+
         return vector;
     }
 
@@ -115,6 +306,7 @@ class TFIDFVectorizer {
         this.documents = documents;
         this.buildVocabulary(documents);
         this.calculateIDF(documents);
+        this.updateSurfaceForms();
         this.fitted = true;
         return this;
     }
@@ -129,6 +321,26 @@ class TFIDFVectorizer {
         return new Matrix(vectors);
     }
 
+    // Transform documents to a sparse TF-IDF matrix
+    transformSparse(documents) {
+        if (!this.fitted) {
+            throw new Error('Vectorizer must be fitted before transform');
+        }
+        
+        const vectors = documents.map(doc => this.documentToSparseVector(doc));
+        return SparseMatrix.fromRows(vectors, this.vocabulary.size);
+    }
+
+    // Transform documents to a sparse matrix of raw term counts
+    transformCounts(documents) {
+        if (!this.fitted) {
+            throw new Error('Vectorizer must be fitted before transform');
+        }
+        
+        const vectors = documents.map(doc => this.documentToTermCounts(doc));
+        return SparseMatrix.fromRows(vectors, this.vocabulary.size);
+    }
+
     // Fit and transform in one step
     fitTransform(documents) {
         this.fit(documents);
@@ -145,18 +357,41 @@ class TFIDFVectorizer {
         return {
             vocabulary: Array.from(this.vocabulary.entries()),
             idf: Array.from(this.idf.entries()),
+            docFreq: Array.from(this.docFreq.entries()),
+            documentCount: this.documentCount,
+            scoring: this.scoring,
+            stemmer: this.stemmer,
+            ngrams: this.ngrams,
+            minDf: this.minDf,
+            fields: this.fields,
+            surfaceForms: Array.from(this.surfaceForms.entries()),
             fitted: this.fitted
         };
     }
 
     // Deserialize vectorizer from saved data
     static deserialize(data) {
-        const vectorizer = new TFIDFVectorizer();
+        // Models saved before stemming and n-grams were configurable were trained without them
+        const vectorizer = new TFIDFVectorizer({
+            stemmer: data.stemmer || 'none',
+            ngrams: data.ngrams || 1,
+            minDf: data.minDf || 1
+        });
         vectorizer.vocabulary = new Map(data.vocabulary);
         vectorizer.idf = new Map(data.idf);
+        // Models saved before document frequencies were stored only support TF-IDF
+        vectorizer.docFreq = new Map(data.docFreq || []);
+        vectorizer.documentCount = data.documentCount || 0;
+        vectorizer.scoring = data.scoring || { model: 'tfidf' };
+        vectorizer.fields = data.fields || [];
+        vectorizer.surfaceForms = new Map(data.surfaceForms || []);
         vectorizer.fitted = data.fitted;
         return vectorizer;
     }
 }
 
+TFIDFVectorizer.STEMMERS = Object.keys(STEMMERS);
+TFIDFVectorizer.MAX_NGRAMS = MAX_NGRAMS;
+TFIDFVectorizer.isNgram = isNgram;
+
 module.exports = TFIDFVectorizer;
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readProblemData } = require('./csv');
+const { savePlatformData, loadPlatformData, saveManifest, loadManifest } = require('./storage');
+const TFIDFVectorizer = require('./tfidf');
+const SparseMatrix = require('./sparse');
+const { BM25_DEFAULTS, DOCUMENT_FIELDS, isScoringModel } = require('./scoring');
+
+// Version 2: documents are hashed field by field
+// Version 3: alphanumeric and hyphenated words are indexed, so older indexes are rebuilt
+// Version 4: new indexes default to Porter stemming and bigrams (DEFAULT_STEMMER, DEFAULT_NGRAMS)
+// Version 5: hyphenated words written together are indexed outside n-grams
+const MANIFEST_VERSION = 5;
+
+// Incremental updates between forced full rebuilds (e.g. weekly for nightly refreshes)
+const DEFAULT_FULL_REBUILD_EVERY = 7;
+
+// Stemmer of newly trained models ("paths" and "path" share a term)
+const DEFAULT_STEMMER = 'porter';
+
+// Newly trained models index bigrams seen in at least two problems ("segment tree")
+const DEFAULT_NGRAMS = 2;
+const DEFAULT_MIN_DF = 2;
+
+/**
+ * Create document corpus from problem fields
+ *
+ * Each document keeps its fields apart (see DOCUMENT_FIELDS) so they can be
+ * weighted at query time instead of repeating the name in the text.
+ * @param {Array} names - Array of problem names
+ * @param {Array} texts - Array of problem texts
+ * @param {Array} tags - Array of comma-separated problem tags (optional)
+ * @param {Array} hints - Array of problem hints (optional)
+ * @param {Array} sections - Array of statement sections from readProblemData (optional)
+ * @returns {Array} - Array of documents {name, statement, tags (array), hints}
+ */
+function createDocumentCorpus(names, texts, tags = [], hints = [], sections = []) {
+    console.log('Creating document corpus...');
+    
+    const documents = [];
+    
+    for (let i = 0; i < names.length; i++) {
+        // The input and output specifications, where constraints live, are part of the statement
+        const { input = '', output = '' } = sections[i] || {};
+        
+        documents.push({
+            name: names[i] || '',
+            statement: [texts[i], input, output].filter(Boolean).join(' ').toLowerCase(),
+            // A list is analyzed item by item, so no n-gram spans two tags
+            tags: (tags[i] || '').split(','),
+            hints: hints[i] || ''
+        });
+        
+        // Log progress every 100 documents
+        if ((i + 1) % 100 === 0) {
+            console.log(`Processed ${i + 1}/${names.length} documents`);
+        }
+    }
+    
+    console.log(`Document corpus created with ${documents.length} documents`);
+    return documents;
+}
+
+/**
+ * Hash a corpus document to detect changed problems
+ * @param {Object} document - Document from createDocumentCorpus
+ * @returns {string} - SHA-1 hex digest
+ */
+function hashDocument(document) {
+    return crypto.createHash('sha1').update(JSON.stringify(DOCUMENT_FIELDS.map(field => document[field]))).digest('hex');
+}
+
+/**
+ * Count the vocabulary terms of a text
+ * @param {TFIDFVectorizer} vectorizer - Vectorizer holding the vocabulary
+ * @param {Array} terms - Terms from vectorizer.vocabularyTerms
+ * @returns {Map} - Column -> count
+ */
+function countTerms(vectorizer, terms) {
+    const counts = new Map();
+    terms.forEach(term => {
+        const column = vectorizer.vocabulary.get(term);
+        counts.set(column, (counts.get(column) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Create the manifest describing the rows of a freshly written index
+ * @param {Array} urls - Problem URLs, one per matrix row
+ * @param {Array} hashes - Document hashes, one per matrix row
+ * @param {Object} previous - Previous manifest (null for a full build)
+ * @returns {Object} - Manifest object
+ */
+function createManifest(urls, hashes, previous = null) {
+    const now = new Date().toISOString();
+
+    return {
+        version: MANIFEST_VERSION,
+        updatedAt: now,
+        lastFullBuild: previous ? previous.lastFullBuild : now,
+        updatesSinceFullBuild: previous ? previous.updatesSinceFullBuild + 1 : 0,
+        documents: urls.map((url, i) => ({ url, hash: hashes[i] }))
+    };
+}
+
+/**
+ * Update an existing index with new, changed and removed problems
+ *
+ * Only new or changed documents are tokenized. Unchanged documents keep their
+ * stored term counts (per document and per field); document frequencies are
+ * adjusted for the documents that changed, and TF-IDF rows are re-weighted
+ * from the counts since the IDF of every term moves with the document count.
+ * @param {string} outputDir - Directory holding the current index
+ * @param {Object} manifest - Manifest of the current index
+ * @param {Array} urls - Problem URLs in problem.csv order
+ * @param {Array} documents - Corpus documents in problem.csv order
+ * @param {Array} hashes - Document hashes in problem.csv order
+ * @param {Object} analyzer - Settings the index must use {stemmer, ngrams, minDf}
+ * @returns {Promise<Object|null>} - {vectorizer, tfidfMatrix, countsMatrix, fieldCounts, changes} or null if a full build is required
+ */
+async function updateIndex(outputDir, manifest, urls, documents, hashes, analyzer) {
+    const { vectorizer, counts: oldCounts, fieldCounts: oldFieldCounts } = await loadPlatformData(outputDir);
+
+    if (!oldCounts || !oldFieldCounts || vectorizer.docFreq.size === 0 || manifest.version !== MANIFEST_VERSION ||
+        oldCounts.rows !== manifest.documents.length) {
+        console.log('Index has no usable term counts, falling back to a full build');
+        return null;
+    }
+
+    // Stored counts are per stemmed term and n-gram, so other settings need every document again
+    const changed = Object.keys(analyzer).filter(setting => vectorizer[setting] !== analyzer[setting]);
+    if (changed.length > 0) {
+        console.log(`Index was built with a different ${changed.join(', ')}, falling back to a full build`);
+        return null;
+    }
+
+    const columnTerms = [];
+    vectorizer.vocabulary.forEach((column, token) => { columnTerms[column] = token; });
+
+    // Match problems to unchanged rows of the current index by URL and hash
+    const oldRows = new Map();
+    manifest.documents.forEach((doc, row) => oldRows.set(doc.url, { row, hash: doc.hash }));
+
+    const reusedRows = new Set();
+    const sourceRows = urls.map((url, i) => {
+        const previous = oldRows.get(url);
+        if (previous && previous.hash === hashes[i] && !reusedRows.has(previous.row)) {
+            reusedRows.add(previous.row);
+            return previous.row;
+        }
+        return null;
+    });
+
+    const changes = { added: 0, changed: 0, removed: 0, unchanged: reusedRows.size };
+    const currentUrls = new Set(urls);
+
+    // Forget the terms of rows that were removed or changed
+    manifest.documents.forEach((doc, row) => {
+        if (reusedRows.has(row)) return;
+
+        oldCounts.rowEntries(row).forEach(([column]) => {
+            const token = columnTerms[column];
+            vectorizer.docFreq.set(token, vectorizer.docFreq.get(token) - 1);
+        });
+        if (!currentUrls.has(doc.url)) {
+            changes.removed++;
+        }
+    });
+
+    // Tokenize new and changed documents only
+    const fieldRows = {};
+    DOCUMENT_FIELDS.forEach(field => { fieldRows[field] = []; });
+
+    const countRows = documents.map((document, i) => {
+        if (sourceRows[i] !== null) {
+            DOCUMENT_FIELDS.forEach(field => {
+                fieldRows[field].push(new Map(oldFieldCounts[field].rowEntries(sourceRows[i])));
+            });
+            return new Map(oldCounts.rowEntries(sourceRows[i]));
+        }
+
+        if (oldRows.has(urls[i])) {
+            changes.changed++;
+        } else {
+            changes.added++;
+        }
+
+        // New n-grams are left out until the next full build can check their document frequency
+        const tokens = vectorizer.vocabularyTerms(document);
+        vectorizer.extendVocabulary(tokens);
+
+        DOCUMENT_FIELDS.forEach(field => {
+            fieldRows[field].push(countTerms(vectorizer, vectorizer.vocabularyTerms(document[field])));
+        });
+        new Set(tokens).forEach(token => {
+            vectorizer.docFreq.set(token, (vectorizer.docFreq.get(token) || 0) + 1);
+        });
+        return countTerms(vectorizer, tokens);
+    });
+
+    vectorizer.documentCount = documents.length;
+    vectorizer.updateIDF();
+    vectorizer.updateSurfaceForms();
+    vectorizer.fitted = true;
+
+    const fieldCounts = {};
+    DOCUMENT_FIELDS.forEach(field => {
+        fieldCounts[field] = SparseMatrix.fromRows(fieldRows[field], vectorizer.vocabulary.size);
+    });
+
+    return {
+        vectorizer,
+        tfidfMatrix: SparseMatrix.fromRows(vectorizer.weightCounts(countRows), vectorizer.vocabulary.size),
+        countsMatrix: SparseMatrix.fromRows(countRows, vectorizer.vocabulary.size),
+        fieldCounts,
+        changes
+    };
+}
+
+/**
+ * Train TF-IDF vectorizer and create similarity matrix for a platform
+ * @param {string} csvPath - Path to cleaned problem CSV file
+ * @param {string} outputDir - Directory to save vectorizer and matrix (default: the CSV file's directory)
+ * @param {Object} options - {platformName, model: 'tfidf'|'bm25', k1, b, stemmer, ngrams, minDf, incremental, fullRebuildEvery}
+ * @returns {Promise<Object>} - Training result with statistics
+ */
+async function trainTFIDF(csvPath, outputDir = null, options = {}) {
+    outputDir = outputDir || path.dirname(csvPath);
+
+    try {
+        const {
+            platformName = 'platform',
+            model = 'tfidf',
+            k1 = BM25_DEFAULTS.k1,
+            b = BM25_DEFAULTS.b,
+            stemmer = DEFAULT_STEMMER,
+            ngrams = DEFAULT_NGRAMS,
+            minDf = DEFAULT_MIN_DF,
+            incremental = false,
+            fullRebuildEvery = DEFAULT_FULL_REBUILD_EVERY
+        } = options;
+        
+        if (!isScoringModel(model)) {
+            throw new Error(`Unknown scoring model: ${model}`);
+        }
+        
+        if (!TFIDFVectorizer.STEMMERS.includes(stemmer)) {
+            throw new Error(`Unknown stemmer: ${stemmer}. Use one of: ${TFIDFVectorizer.STEMMERS.join(', ')}`);
+        }
+        
+        // Validates ngrams and minDf before any data is read
+        const analyzer = { stemmer, ngrams, minDf };
+        new TFIDFVectorizer(analyzer);
+        
+        console.log(`Training TF-IDF for ${platformName} from: ${csvPath}`);
+        
+        // Read problem data
+        const problemData = await readProblemData(csvPath);
+        const { names, urls, texts, tags, hints, sections, length } = problemData;
+        
+        console.log(`Loaded ${length} problems`);
+        
+        if (length === 0) {
+            throw new Error('No problems found in the CSV file');
+        }
+        
+        // Create document corpus
+        const documents = createDocumentCorpus(names, texts, tags, hints, sections);
+        const hashes = documents.map(hashDocument);
+        
+        // Update the existing index unless a periodic full rebuild is due
+        let manifest = incremental ? await loadManifest(outputDir) : null;
+        if (manifest && fullRebuildEvery > 0 && manifest.updatesSinceFullBuild + 1 >= fullRebuildEvery) {
+            console.log(`${manifest.updatesSinceFullBuild} incremental updates since the last full build, rebuilding`);
+            manifest = null;
+        }
+        
+        const update = manifest ? await updateIndex(outputDir, manifest, urls, documents, hashes, analyzer) : null;
+        
+        let vectorizer, tfidfMatrix, countsMatrix, fieldCounts;
+        if (update) {
+            console.log('Updating TF-IDF index incrementally:', update.changes);
+            ({ vectorizer, tfidfMatrix, countsMatrix, fieldCounts } = update);
+        } else {
+            // Initialize and train TF-IDF vectorizer
+            console.log('Training TF-IDF vectorizer...');
+            vectorizer = new TFIDFVectorizer(analyzer);
+            
+            // Fit and transform documents straight into a sparse matrix
+            vectorizer.fit(documents);
+            tfidfMatrix = vectorizer.transformSparse(documents);
+            
+            // Raw counts let either model be selected at query time
+            countsMatrix = vectorizer.transformCounts(documents);
+            
+            // Counts per field let fields be weighted at query time
+            fieldCounts = {};
+            DOCUMENT_FIELDS.forEach(field => {
+                fieldCounts[field] = vectorizer.transformCounts(documents.map(document => document[field]));
+            });
+        }
+        vectorizer.scoring = { model, k1, b };
+        vectorizer.fields = DOCUMENT_FIELDS;
+        
+        console.log(`TF-IDF matrix created: ${tfidfMatrix.rows} x ${tfidfMatrix.columns}`);
+        console.log(`Vocabulary size: ${vectorizer.vocabulary.size}`);
+        
+        // Save vectorizer and matrix
+        console.log('Saving vectorizer and matrix...');
+        await savePlatformData(outputDir, vectorizer, tfidfMatrix, countsMatrix, fieldCounts);
+        await saveManifest(outputDir, createManifest(urls, hashes, update ? manifest : null));
+        
+        const stats = {
+            problemCount: length,
+            mode: update ? 'incremental' : 'full',
+            changes: update ? update.changes : null,
+            defaultModel: model,
+            stemmer,
+            ngrams,
+            minDf,
+            vocabularySize: vectorizer.vocabulary.size,
+            matrixRows: tfidfMatrix.rows,
+            matrixColumns: tfidfMatrix.columns,
+            nonZeros: tfidfMatrix.nnz,
+            documentsProcessed: update ? update.changes.added + update.changes.changed : documents.length
+        };
+        
+        console.log('TF-IDF training completed successfully');
+        console.log('Training statistics:', stats);
+        
+        return {
+            success: true,
+            stats: stats,
+            outputDir: outputDir
+        };
+        
+    } catch (error) {
+        console.error('Error training TF-IDF:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_FULL_REBUILD_EVERY,
+    DEFAULT_STEMMER,
+    DEFAULT_NGRAMS,
+    DEFAULT_MIN_DF,
+    createDocumentCorpus,
+    hashDocument,
+    trainTFIDF
+};
@@ -1,42 +1,104 @@
-import { Mic, Search } from "lucide-react";
-import { useState } from "react";
+import { Layers, Mic, Search } from "lucide-react";
+import { useEffect, useState } from "react";
+
+const API_URL = process.env.REACT_APP_API_URL || "http://localhost:3000";
+
+// API platform ids of the platform selector values ("both" searches all)
+const PLATFORM_IDS = {
+  leetcode: "leetcode",
+  codeforces: "codeforce",
+  atcoder: "atcoder",
+  dmoj: "dmoj",
+};
+
+// Wait for a pause in typing before asking for suggestions
+const SUGGEST_DELAY_MS = 200;
+const SUGGEST_LIMIT = 8;
 
 export default function HomePage() {
   const [searchQuery, setSearchQuery] = useState("");
   const [platform, setPlatform] = useState("both");
   const [results, setResults] = useState([]);
+  const [totalResults, setTotalResults] = useState(0);
+  const [activeQuery, setActiveQuery] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [isListening, setIsListening] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  // Problem whose similar problems are shown instead of the search results
+  const [similarTo, setSimilarTo] = useState(null);
   const resultsPerPage = 10;
 
-  const handleSearch = async (e, newPlatform = platform) => {
+  // Fetch suggestions for the text being typed, debounced
+  useEffect(() => {
+    if (!showSuggestions || !searchQuery.trim()) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        let url = `${API_URL}/suggest?prefix=${encodeURIComponent(searchQuery)}`;
+        url += `&limit=${SUGGEST_LIMIT}`;
+        if (PLATFORM_IDS[platform]) {
+          url += `&platform=${PLATFORM_IDS[platform]}`;
+        }
+
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        setSuggestions(Array.isArray(data.suggestions) ? data.suggestions : []);
+        setHighlighted(-1);
+      } catch (error) {
+        // Suggestions are optional: a failed or cancelled request shows none
+        if (error.name !== "AbortError") {
+          setSuggestions([]);
+        }
+      }
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [searchQuery, platform, showSuggestions]);
+
+  const handleSearch = async (
+    e,
+    newPlatform = platform,
+    page = 1,
+    query = searchQuery
+  ) => {
     if (e) e.preventDefault();
-    if (!searchQuery) {
+    if (!query) {
       return;
     }
 
+    setShowSuggestions(false);
+    setSimilarTo(null);
     setLoading(true);
     setError(null);
-    setCurrentPage(1);
+    setCurrentPage(page);
+    setActiveQuery(query);
 
     try {
-      const baseUrl = process.env.REACT_APP_API_URL || "http://localhost:3000";
-      let url = `${baseUrl}/`;
-
-      if (newPlatform === "leetcode") {
-        url = `${baseUrl}/leetcode`;
-      } else if (newPlatform === "codeforces") {
-        url = `${baseUrl}/codeforce`;
-      } else if (newPlatform === "atcoder") {
-        url = `${baseUrl}/atcoder`;
-      } else if (newPlatform === "dmoj") {
-        url = `${baseUrl}/dmoj`;
+      let url = `${API_URL}/`;
+
+      if (PLATFORM_IDS[newPlatform]) {
+        url = `${API_URL}/${PLATFORM_IDS[newPlatform]}`;
       }
 
-      if (searchQuery) {
-        url += `?q=${encodeURIComponent(searchQuery)}`;
+      url += `?q=${encodeURIComponent(query)}`;
+      url += `&page=${page}&pageSize=${resultsPerPage}`;
+      if (!PLATFORM_IDS[newPlatform]) {
+        // Platform scores are not comparable, so interleave them by rank
+        url += "&fusion=rrf";
       }
 
       const response = await fetch(url);
@@ -44,11 +106,36 @@ export default function HomePage() {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       const data = await response.json();
-      // Check if data is an array before sorting
-      const sortedResults = Array.isArray(data)
-        ? data.sort((a, b) => b.score - a.score)
-        : [];
-      setResults(sortedResults);
+      // The API returns one sorted page plus the total match count
+      setResults(Array.isArray(data.results) ? data.results : []);
+      setTotalResults(data.total || 0);
+    } catch (error) {
+      setError(
+        error.message || "Failed to fetch results. Please try again later."
+      );
+      setResults([]);
+      setTotalResults(0);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Show the problems closest to a result, on every platform
+  const handleSimilar = async (problem) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      let url = `${API_URL}/problems/${problem.platform}/${encodeURIComponent(problem.id)}/similar`;
+      url += `?n=${resultsPerPage}`;
+
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      setResults(Array.isArray(data.results) ? data.results : []);
+      setSimilarTo(data.problem || problem);
     } catch (error) {
       setError(
         error.message || "Failed to fetch results. Please try again later."
@@ -92,14 +179,13 @@ export default function HomePage() {
     recognition.start();
   };
 
-  // Get current result for pagination
-  const indexOfLastResult = currentPage * resultsPerPage;
-  const indexOfFirstResult = indexOfLastResult - resultsPerPage;
-  const currentResults = results.slice(indexOfFirstResult, indexOfLastResult);
-  const totalPages = Math.ceil(results.length / resultsPerPage);
+  // Results are paginated by the API, so only the current page is loaded
+  const currentResults = results;
+  const totalPages = Math.ceil(totalResults / resultsPerPage);
 
   // Change page
-  const paginate = (pageNumber) => setCurrentPage(pageNumber);
+  const paginate = (pageNumber) =>
+    handleSearch(null, platform, pageNumber, activeQuery);
 
   // Handle platform change
   const handlePlatformChange = (e) => {
@@ -111,11 +197,72 @@ export default function HomePage() {
     }
   };
 
+  const renderResultCard = (result, key) => (
+    <div
+      key={key}
+      className="bg-white p-2 sm:p-3 rounded-lg shadow-md hover:shadow-lg transition-shadow border-l-4 border-blue-500"
+    >
+      <div className="flex justify-between items-start">
+        <a
+          className="font-semibold text-base sm:text-lg text-gray-800 hover:text-blue-600 transition-colors truncate"
+          href={result.url}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          {result.name}
+        </a>
+        {result.id !== undefined && (
+          <button
+            type="button"
+            onClick={() => handleSimilar(result)}
+            title="Similar problems"
+            className="flex items-center flex-shrink-0 ml-2 text-xs sm:text-sm text-gray-500 hover:text-blue-600 transition-colors focus:outline-none"
+          >
+            <Layers className="w-4 h-4 mr-1" />
+            <span className="hidden sm:inline">Similar problems</span>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
   const clearSearch = () => {
     setSearchQuery("");
     document.querySelector("input").focus();
   };
 
+  const handleQueryChange = (e) => {
+    setSearchQuery(e.target.value);
+    setShowSuggestions(true);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    setSearchQuery(suggestion.text);
+    handleSearch(null, platform, 1, suggestion.text);
+  };
+
+  // Arrow keys move through the suggestions, Enter picks one, Escape hides them
+  const handleQueryKeyDown = (e) => {
+    if (!showSuggestions || suggestions.length === 0) {
+      return;
+    }
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlighted(
+        (highlighted - 1 + suggestions.length) % suggestions.length
+      );
+    } else if (e.key === "Enter" && highlighted >= 0) {
+      e.preventDefault();
+      selectSuggestion(suggestions[highlighted]);
+    } else if (e.key === "Escape") {
+      setShowSuggestions(false);
+    }
+  };
+
   return (
     <div className="min-h-screen flex flex-col items-center pt-8 sm:pt-14 bg-gray-50 px-4">
       <div className="text-center mb-6 sm:mb-8">
@@ -133,13 +280,16 @@ export default function HomePage() {
 
       <div className="w-full max-w-2xl px-2 sm:px-4">
         <form onSubmit={handleSearch} className="flex flex-col gap-4 sm:gap-6">
-          <div className="flex items-center w-full border border-gray-200 rounded-full px-3 sm:px-5 py-2 sm:py-3 hover:shadow-md focus-within:shadow-md bg-white">
+          <div className="relative flex items-center w-full border border-gray-200 rounded-full px-3 sm:px-5 py-2 sm:py-3 hover:shadow-md focus-within:shadow-md bg-white">
             <Search className="text-gray-400 mr-2 sm:mr-3 w-4 h-4 sm:w-5 sm:h-5" />
             <input
               type="text"
               value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
+              onChange={handleQueryChange}
+              onKeyDown={handleQueryKeyDown}
+              onBlur={() => setShowSuggestions(false)}
               placeholder="Search coding problems"
+              autoComplete="off"
               className="flex-1 outline-none text-gray-700 text-sm sm:text-base"
             />
 
@@ -182,6 +332,35 @@ export default function HomePage() {
                 } ml-2 sm:ml-3 w-4 h-4 sm:w-5 sm:h-5 cursor-pointer`}
               />
             </button>
+
+            {showSuggestions && suggestions.length > 0 && (
+              <ul className="absolute left-0 right-0 top-full mt-1 z-10 bg-white border border-gray-200 rounded-2xl shadow-md py-2 text-left">
+                {suggestions.map((suggestion, index) => (
+                  <li
+                    key={`${suggestion.type}-${suggestion.text}`}
+                    // mouseDown fires before the input's blur hides the list
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      selectSuggestion(suggestion);
+                    }}
+                    onMouseEnter={() => setHighlighted(index)}
+                    className={`flex items-center justify-between px-4 sm:px-5 py-1.5 cursor-pointer text-sm sm:text-base text-gray-700 ${
+                      index === highlighted ? "bg-gray-100" : ""
+                    }`}
+                  >
+                    <span className="flex items-center truncate">
+                      <Search className="text-gray-400 mr-2 sm:mr-3 w-4 h-4 flex-shrink-0" />
+                      <span className="truncate">{suggestion.text}</span>
+                    </span>
+                    {suggestion.type === "problem" && (
+                      <span className="ml-2 text-xs text-gray-400">
+                        Problem
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
         </form>
       </div>
@@ -213,77 +392,78 @@ export default function HomePage() {
         </div>
       )}
 
+      {!loading && !error && similarTo && (
+        <div className="mt-4 w-full max-w-6xl px-2 sm:px-4 flex flex-wrap justify-between items-center gap-2 text-sm sm:text-base text-gray-700">
+          <span>
+            {results.length > 0
+              ? "Problems similar to "
+              : "No problems similar to "}
+            <a
+              className="font-semibold hover:text-blue-600 transition-colors"
+              href={similarTo.url}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              {similarTo.name}
+            </a>
+          </span>
+          {activeQuery && (
+            <button
+              type="button"
+              onClick={() => paginate(currentPage)}
+              className="text-blue-500 hover:text-blue-600 focus:outline-none"
+            >
+              Back to results
+            </button>
+          )}
+        </div>
+      )}
+
       {!loading && !error && results.length > 0 && (
         <div className="mt-4 w-full max-w-6xl px-2 sm:px-4">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 sm:gap-8">
             <div className="space-y-3 sm:space-y-4">
-              {currentResults.slice(0, 5).map((result, index) => (
-                <div
-                  key={index}
-                  className="bg-white p-2 sm:p-3 rounded-lg shadow-md hover:shadow-lg transition-shadow border-l-4 border-blue-500"
-                >
-                  <div className="flex justify-between items-start">
-                    <a
-                      className="font-semibold text-base sm:text-lg text-gray-800 hover:text-blue-600 transition-colors truncate"
-                      href={result.url}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                    >
-                      {result.name}
-                    </a>
-                  </div>
-                </div>
-              ))}
+              {currentResults
+                .slice(0, 5)
+                .map((result, index) => renderResultCard(result, index))}
             </div>
             <div className="space-y-3 sm:space-y-4">
-              {currentResults.slice(5, 10).map((result, index) => (
-                <div
-                  key={index + 5}
-                  className="bg-white p-2 sm:p-3 rounded-lg shadow-md hover:shadow-lg transition-shadow border-l-4 border-blue-500"
-                >
-                  <div className="flex justify-between items-start">
-                    <a
-                      className="font-semibold text-base sm:text-lg text-gray-800 hover:text-blue-600 transition-colors truncate"
-                      href={result.url}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                    >
-                      {result.name}
-                    </a>
-                  </div>
-                </div>
-              ))}
+              {currentResults
+                .slice(5, 10)
+                .map((result, index) => renderResultCard(result, index + 5))}
             </div>
           </div>
 
-          {/* Pagination */}
-          <div className="flex justify-center items-center mt-6 space-x-2">
-            <button
-              onClick={() => paginate(currentPage - 1)}
-              disabled={currentPage === 1}
-              className={`px-3 sm:px-4 py-1.5 sm:py-2 rounded-md transition-colors text-sm sm:text-base ${
-                currentPage === 1
-                  ? "bg-gray-200 cursor-not-allowed"
-                  : "bg-blue-500 text-white hover:bg-blue-600"
-              }`}
-            >
-              Previous
-            </button>
-            <span className="text-gray-600 bg-white px-3 sm:px-4 py-1.5 sm:py-2 rounded-md border text-sm sm:text-base">
-              Page {currentPage} of {totalPages}
-            </span>
-            <button
-              onClick={() => paginate(currentPage + 1)}
-              disabled={currentPage === totalPages}
-              className={`px-3 sm:px-4 py-1.5 sm:py-2 rounded-md transition-colors text-sm sm:text-base ${
-                currentPage === totalPages
-                  ? "bg-gray-200 cursor-not-allowed"
-                  : "bg-blue-500 text-white hover:bg-blue-600"
-              }`}
-            >
-              Next
-            </button>
-          </div>
+          {/* Pagination (similar problems fit on one page) */}
+          {!similarTo && (
+            <div className="flex justify-center items-center mt-6 space-x-2">
+              <button
+                onClick={() => paginate(currentPage - 1)}
+                disabled={currentPage === 1}
+                className={`px-3 sm:px-4 py-1.5 sm:py-2 rounded-md transition-colors text-sm sm:text-base ${
+                  currentPage === 1
+                    ? "bg-gray-200 cursor-not-allowed"
+                    : "bg-blue-500 text-white hover:bg-blue-600"
+                }`}
+              >
+                Previous
+              </button>
+              <span className="text-gray-600 bg-white px-3 sm:px-4 py-1.5 sm:py-2 rounded-md border text-sm sm:text-base">
+                Page {currentPage} of {totalPages}
+              </span>
+              <button
+                onClick={() => paginate(currentPage + 1)}
+                disabled={currentPage === totalPages}
+                className={`px-3 sm:px-4 py-1.5 sm:py-2 rounded-md transition-colors text-sm sm:text-base ${
+                  currentPage === totalPages
+                    ? "bg-gray-200 cursor-not-allowed"
+                    : "bg-blue-500 text-white hover:bg-blue-600"
+                }`}
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>